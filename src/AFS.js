@@ -4,6 +4,9 @@
 import { Logger } from "./core/Logger";
 import { Options } from "./core/Options";
 import { State } from "./core/State";
+import { Pipeline } from "./core/Pipeline";
+import { ItemIndex } from "./core/ItemIndex";
+import { createStorageAdapter } from "./core/Storage";
 import { StyleManager } from "./styles/StyleManager";
 import { Animation } from "./styles/Animation";
 import { EventEmitter } from "./core/EventEmitter";
@@ -16,12 +19,19 @@ import { Pagination } from "./features/Pagination";
 import { URLManager } from "./features/URLManager";
 import { RangeFilter } from "./features/RangeFilter";
 import { DateFilter } from "./features/DateFilter";
+import { Virtualization } from "./features/Virtualization";
+import { History } from "./features/History";
+import { Presets } from "./features/Presets";
+import { TabSync } from "./features/TabSync";
 
 import { debounce } from "./utils";
 
 // Version
 export const VERSION = "1.8.0";
 
+// Data-only mode (no DOM); exported here so the bundles include it
+export { HeadlessAFS } from "./HeadlessAFS";
+
 export class AFS extends EventEmitter {
   /**
    * @param {Object} options - Configuration options
@@ -51,6 +61,8 @@ export class AFS extends EventEmitter {
       );
 
       this.state = new State();
+      this.index = new ItemIndex();
+      this.storage = createStorageAdapter(this.options.get("storage.adapter"));
       this.styleManager = new StyleManager(this.options);
 
       this.initializeDOM();
@@ -87,6 +99,9 @@ export class AFS extends EventEmitter {
 
     this.state.setState("items.total", this.items.length);
     this.state.setState("items.visible", new Set(this.items));
+
+    // Parse data attributes once; features read values from the index
+    this.index.sync(this.items);
   }
 
   /**
@@ -99,6 +114,9 @@ export class AFS extends EventEmitter {
     // Single shared animation engine (features reference afs.animation)
     this.animation = new Animation(this);
 
+    // Central visibility pipeline; each feature registers its predicate
+    this.pipeline = new Pipeline(this);
+
     // Initialize all features first
     this.filter = new Filter(this);
     this.search = new Search(this);
@@ -109,6 +127,14 @@ export class AFS extends EventEmitter {
     this.pagination = new Pagination(this);
     this.inputRangeFilter = new InputRangeFilter(this);
 
+    // Last, so every feature has seen the attached items before they detach
+    this.virtualization = new Virtualization(this);
+    this.virtualization.initialize();
+
+    this.history = new History(this);
+    this.presets = new Presets(this);
+    this.tabSync = new TabSync(this);
+
     // Apply styles
     this.styleManager.applyStyles();
 
@@ -117,6 +143,12 @@ export class AFS extends EventEmitter {
 
     // Show the initial count without waiting for a first interaction
     this.updateCounter();
+    this.filter.renderFacetCounts();
+
+    // The loaded state (URL included) is the first undo entry
+    this.history.initialize();
+    this.presets.initialize();
+    this.tabSync.initialize();
   }
 
   /**
@@ -189,9 +221,8 @@ export class AFS extends EventEmitter {
     });
 
     this.container.appendChild(fragment);
-    this.items = this.container.querySelectorAll(
-      this.options.get("itemSelector")
-    );
+    this.index.add(items);
+    this.items = this.collectItems();
     // Keep state.items.total in sync with the live DOM
     this.state.setState("items.total", this.items.length);
     this.filter.applyFilters();
@@ -209,49 +240,79 @@ export class AFS extends EventEmitter {
       this.state.removeVisibleItem(item);
       item.remove();
     });
+    this.index.remove(items);
+    this.virtualization?.remove(items);
 
-    this.items = this.container.querySelectorAll(
-      this.options.get("itemSelector")
-    );
+    this.items = this.collectItems();
     // Keep state.items.total in sync with the live DOM
     this.state.setState("items.total", this.items.length);
     this.updateCounter();
+    this.filter.renderFacetCounts();
+  }
+
+  /**
+   * Re-read the item list from the container
+   * @private
+   * @returns {NodeList|HTMLElement[]} Items (when virtualized, an array that
+   *   also has NodeList's item(), since most items are detached)
+   */
+  collectItems() {
+    const found = this.container.querySelectorAll(
+      this.options.get("itemSelector")
+    );
+    return this.virtualization?.isEnabled()
+      ? this.virtualization.collectItems(found)
+      : found;
   }
 
   // State Management Methods
   /**
-   * Save current state
+   * Key under which this instance's state is stored: `storage.key`, or one
+   * derived from containerSelector so instances on a page don't share it
    * @public
+   * @returns {string}
    */
-  saveState() {
+  getStorageKey() {
+    return (
+      this.options.get("storage.key") ||
+      `afs_state:${this.options.get("containerSelector")}`
+    );
+  }
+
+  /**
+   * Save current state through the storage adapter
+   * @public
+   * @returns {Promise<void>}
+   */
+  async saveState() {
     if (!this.options.get("preserveState")) return;
 
-    const state = {
-      filters: Array.from(this.filter.getActiveFilters()),
-      search: this.search.getValue(),
-      sort: this.sort.getCurrentSort(),
-      pagination: this.pagination.getPageInfo(),
-      timestamp: Date.now(),
-    };
+    const state = { ...this.getState(), timestamp: Date.now() };
 
-    sessionStorage.setItem("afs_state", JSON.stringify(state));
-    this.logger.debug("State saved");
+    try {
+      await this.storage.set(this.getStorageKey(), state);
+      this.logger.debug("State saved");
+    } catch (error) {
+      this.logger.error("Error saving state:", error);
+    }
   }
 
   /**
-   * Restore saved state
+   * Restore state saved by saveState(); expired state is removed
    * @public
+   * @returns {Promise<void>}
    */
-  restoreState() {
+  async restoreState() {
     if (!this.options.get("preserveState")) return;
 
+    const key = this.getStorageKey();
+
     try {
-      const saved = sessionStorage.getItem("afs_state");
-      if (!saved) return;
+      const state = await this.storage.get(key);
+      if (!state) return;
 
-      const state = JSON.parse(saved);
       if (Date.now() - state.timestamp > this.options.get("stateExpiry")) {
-        localStorage.removeItem("afs_state");
+        await this.storage.remove(key);
         return;
       }
 
@@ -263,20 +324,41 @@ export class AFS extends EventEmitter {
   }
 
   /**
-   * Get current state
+   * Get a JSON-serializable snapshot of every feature's state: filters
+   * (with groups, modes, type logic and expression), range sliders, date
+   * pickers, input ranges, search, sort and pagination
    * @public
+   * @returns {Object} Snapshot (see State.export())
    */
   getState() {
     return this.state.export();
   }
 
   /**
-   * Set new state
+   * Restore a snapshot from getState() (or a part of one), including the
+   * UI controls: filter buttons, dropdowns, sliders, date pickers, range
+   * inputs, the search input and sort buttons
    * @public
+   * @param {Object} snapshot - Snapshot to restore
    */
-  setState(newState) {
-    this.state.import(newState);
+  setState(snapshot) {
+    // Sort is restored last by re-sorting, so it stays out of the import
+    const { sort, ...rest } = snapshot;
+    this.state.import(rest);
+    const { filters, search, pagination } = this.state.export();
+
+    if (snapshot.filters) {
+      this.filter.restoreSnapshot(filters);
+      this.rangeFilter.restoreSnapshot(filters.ranges);
+      this.dateFilter.restoreSnapshot(filters.dateRanges);
+      this.inputRangeFilter.restoreSnapshot(filters.inputRanges);
+    }
+    if (snapshot.search) this.search.restoreSnapshot(search);
+    if (snapshot.pagination) this.pagination.restoreSnapshot(pagination);
+
+    // One pipeline pass for every restored filter, then the sort order
     this.refresh();
+    if (sort) this.sort.restoreSnapshot(sort);
   }
 
   // Update Methods
@@ -323,13 +405,25 @@ export class AFS extends EventEmitter {
           " " + filteredTemplate.replace("{filtered}", formattedFiltered);
       }
 
-      // Show no results message if applicable
+      // Show no results message if applicable, with "did you mean" queries
+      // in place of {suggestion}
+      let suggestions = [];
       if (visible === 0 && counterOpts.noResultsTemplate) {
         counterText = counterOpts.noResultsTemplate;
+        if (counterText.includes("{suggestion}")) {
+          suggestions = this.search?.getCorrections() || [];
+          if (!suggestions.length) {
+            counterText = counterOpts.noSuggestionsTemplate ?? "No items found";
+          }
+        }
       }
 
       // Update counter element
-      counterElement.textContent = counterText;
+      if (suggestions.length) {
+        this.renderCounterSuggestions(counterElement, counterText, suggestions);
+      } else {
+        counterElement.textContent = counterText;
+      }
 
       // Emit event
       this.emit("counterUpdated", {
@@ -349,6 +443,31 @@ export class AFS extends EventEmitter {
     }
   }
 
+  /**
+   * Write a no-results template whose {suggestion} placeholder becomes a
+   * button per query; clicking one searches for it
+   * @private
+   * @param {HTMLElement} counterElement - Counter element
+   * @param {string} template - Template containing {suggestion}
+   * @param {string[]} suggestions - Queries, best first
+   */
+  renderCounterSuggestions(counterElement, template, suggestions) {
+    const [before, ...after] = template.split("{suggestion}");
+    const className = this.options.get("didYouMean.className");
+
+    counterElement.textContent = before;
+    suggestions.forEach((query, index) => {
+      if (index) counterElement.append(", ");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = className;
+      button.textContent = query;
+      button.addEventListener("click", () => this.search.setValue(query));
+      counterElement.append(button);
+    });
+    counterElement.append(after.join(""));
+  }
+
   /**
    * Update options
    * @public
@@ -365,19 +484,28 @@ export class AFS extends EventEmitter {
    */
   refresh() {
     this.logger.debug("Refreshing AFS");
+    // Data attributes may have changed in place, so every item is re-read
+    this.syncItems({ reread: true });
+  }
 
-    this.items = this.container.querySelectorAll(
-      this.options.get("itemSelector")
-    );
+  /**
+   * Collect the items again, sync the item index and run one pipeline pass
+   * @private
+   * @param {Object} [options]
+   * @param {boolean} [options.reread=false] - Re-read the data attributes of
+   *   items that are already indexed
+   */
+  syncItems({ reread = false } = {}) {
+    this.items = this.collectItems();
     this.state.setState("items.total", this.items.length);
+    this.index.sync(this.items, { reread });
 
-    this.filter.applyFilters();
-    this.search.search(this.search.getValue());
+    // New items may carry data attributes the observer does not watch yet
+    if (this.mutationObserver) this.observeItems();
 
-    // Only update pagination if it's enabled
-    if (this.options.get("pagination.enabled")) {
-      this.pagination.update();
-    }
+    // One pipeline pass covers filters, search and ranges (and pagination)
+    this.filter.applyFilters();
+    this.search.updateHighlights();
 
     this.emit("refreshed", { itemCount: this.items.length });
   }
@@ -413,16 +541,58 @@ export class AFS extends EventEmitter {
    */
   setupMutationObserver() {
     // Keep the reference so it can be disconnected in destroy().
+    // Inserted items are parsed once and removed ones dropped; moved items
+    // (e.g. after a sort) keep their entry. Items whose data attributes
+    // change in place are re-read.
     this.mutationObserver = new MutationObserver((mutations) => {
+      const items = new Set(this.items);
+      const changed = new Set(
+        mutations
+          .filter((mutation) => mutation.type === "attributes" && items.has(mutation.target))
+          .map((mutation) => mutation.target)
+      );
+      changed.forEach((item) => this.index.update(item));
+
       if (mutations.some((mutation) => mutation.type === "childList")) {
-        this.refresh();
+        this.syncItems();
+      } else if (changed.size) {
+        this.filter.applyFilters();
+        this.search.updateHighlights();
       }
     });
 
+    this.observeItems();
+  }
+
+  /**
+   * (Re)start observing the container. MutationObserver takes no wildcard,
+   * so the attribute filter lists the data attributes the items carry now;
+   * syncItems() calls this again when the items change. Observing the same
+   * node again replaces the options and keeps pending records.
+   * @private
+   */
+  observeItems() {
     this.mutationObserver.observe(this.container, {
       childList: true,
       subtree: true,
+      attributes: true,
+      attributeFilter: this.getItemDataAttributes(),
+    });
+  }
+
+  /**
+   * Names of the data-* attributes found on the current items
+   * @private
+   * @returns {string[]}
+   */
+  getItemDataAttributes() {
+    const names = new Set();
+    this.items.forEach((item) => {
+      Array.from(item.attributes).forEach(({ name }) => {
+        if (name.startsWith("data-")) names.add(name);
+      });
     });
+    return Array.from(names);
   }
 
   // Utility Methods
@@ -485,12 +655,23 @@ export class AFS extends EventEmitter {
     this.rangeFilter?.destroy?.();
     this.dateFilter?.destroy?.();
     this.inputRangeFilter?.destroy?.();
+    this.virtualization?.destroy();
     this.urlManager?.destroy?.();
+    this.history?.destroy();
+    this.presets?.destroy();
+    this.tabSync?.destroy();
+    this.pipeline?.destroy();
 
     // Cleanup
     this.styleManager.removeStyles();
     this.state.reset();
-    sessionStorage.removeItem("afs_state");
+    this.index.clear();
+    if (this.options.get("preserveState")) {
+      // Adapters may be sync or async; either way failures are only logged
+      Promise.resolve()
+        .then(() => this.storage.remove(this.getStorageKey()))
+        .catch((error) => this.logger.error("Error removing state:", error));
+    }
 
     // Reset items (element.style is read-only; clear the attribute instead)
     this.items.forEach((item) => {
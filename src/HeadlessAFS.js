@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Advanced Filter System - Headless (data-only) mode
+ */
+import { Logger } from "./core/Logger";
+import { Options } from "./core/Options";
+import { State } from "./core/State";
+import { Pipeline } from "./core/Pipeline";
+import { ItemIndex } from "./core/ItemIndex";
+import { EventEmitter } from "./core/EventEmitter";
+
+import { Filter } from "./features/Filter";
+import { Search } from "./features/Search";
+import { Sort } from "./features/Sort";
+import { Pagination } from "./features/Pagination";
+
+/**
+ * Runs the same filter/search/sort/pagination logic as AFS over plain
+ * records. Never touches `document`, so it works in Node and web workers.
+ *
+ * Records are wrapped as `{ id, record, dataset }`, where `dataset` holds the
+ * record's fields as strings (arrays joined with spaces), so the DOM
+ * features' matching methods read them exactly like `element.dataset`.
+ */
+export class HeadlessAFS extends EventEmitter {
+  /**
+   * @param {Object[]} records - Plain data records
+   * @param {Object} [options] - AFS options, plus `idKey` (default "id")
+   */
+  constructor(records = [], options = {}) {
+    super();
+
+    const { idKey = "id", ...afsOptions } = options;
+    this.idKey = idKey;
+    this.options = new Options(afsOptions);
+    this.logger = new Logger(
+      this.options.get("debug"),
+      this.options.get("logLevel")
+    );
+    this.state = new State();
+    this.index = new ItemIndex();
+    this.pipeline = new Pipeline(this);
+
+    this.initializeLogic();
+    this.setRecords(records);
+  }
+
+  /**
+   * Create the feature classes without their DOM bindings; they register
+   * their pipeline stages themselves
+   * @private
+   */
+  initializeLogic() {
+    this.filterLogic = new Filter(this, { dom: false });
+    this.searchLogic = new Search(this, { dom: false });
+    this.sortLogic = new Sort(this, { dom: false, search: this.searchLogic });
+    this.paginationLogic = new Pagination(this, { dom: false });
+
+    this.state.setState("search.keys", this.searchLogic.searchKeys);
+    this.state.setState("pagination", {
+      currentPage: 1,
+      itemsPerPage: this.options.get("pagination.itemsPerPage") || 10,
+      totalPages: 1,
+    });
+  }
+
+  /**
+   * Wrap a record so feature logic can read it like a DOM element
+   * @private
+   * @param {Object} record - Data record
+   * @param {number} index - Position in the source array (fallback id)
+   * @returns {{id: *, record: Object, dataset: Object}}
+   */
+  toItem(record, index) {
+    const dataset = {};
+    Object.entries(record).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      dataset[key] = Array.isArray(value) ? value.join(" ") : String(value);
+    });
+
+    const id = record[this.idKey] ?? index;
+    return { id, record, dataset };
+  }
+
+  // Data Methods
+  /**
+   * Replace the record set
+   * @public
+   * @param {Object[]} records - Plain data records
+   * @returns {Object} Result (see getResult())
+   */
+  setRecords(records) {
+    if (!Array.isArray(records)) {
+      this.logger.warn("HeadlessAFS records must be an array");
+      records = [];
+    }
+
+    this.sourceItems = records.map((record, index) =>
+      this.toItem(record, index)
+    );
+    this.items = [...this.sourceItems];
+    this.itemsById = new Map(this.items.map((item) => [item.id, item]));
+    this.index.clear();
+    this.index.add(this.sourceItems);
+    this.state.setState("items.total", this.items.length);
+
+    // Keep the current sort order for the new data
+    const currentSort = this.state.getState().sort.current;
+    if (currentSort) {
+      this.sortItems(currentSort.key, currentSort.direction);
+    }
+
+    return this.update();
+  }
+
+  /**
+   * Get a record by id
+   * @public
+   * @param {*} id - Record id
+   * @returns {Object|undefined} Record
+   */
+  getRecord(id) {
+    return this.itemsById.get(id)?.record;
+  }
+
+  // Filter Methods
+  /**
+   * Activate a filter; replaces any other filter of the same type, like
+   * Filter.addFilter(). Use setFilters() to select several of one type.
+   * @public
+   * @param {string} filter - Filter value ("type:value" or "*")
+   * @returns {Object} Result
+   */
+  addFilter(filter) {
+    if (filter === "*") {
+      return this.resetFilters();
+    }
+
+    const activeFilters = this.filterLogic.activeFilters;
+    const [filterType] = filter.split(":");
+
+    activeFilters.forEach((existing) => {
+      if (existing.startsWith(`${filterType}:`)) {
+        activeFilters.delete(existing);
+      }
+    });
+    activeFilters.delete("*");
+    activeFilters.add(filter);
+
+    return this.update();
+  }
+
+  /**
+   * Deactivate a filter; falls back to "*" when none remain
+   * @public
+   * @param {string} filter - Filter value
+   * @returns {Object} Result
+   */
+  removeFilter(filter) {
+    const activeFilters = this.filterLogic.activeFilters;
+    activeFilters.delete(filter);
+    if (activeFilters.size === 0) {
+      activeFilters.add("*");
+    }
+
+    return this.update();
+  }
+
+  /**
+   * Replace all active filters
+   * @public
+   * @param {string[]} filters - Filter values; empty means "*"
+   * @returns {Object} Result
+   */
+  setFilters(filters = []) {
+    const activeFilters = this.filterLogic.activeFilters;
+    activeFilters.clear();
+    filters
+      .filter((filter) => filter && filter !== "*")
+      .forEach((filter) => activeFilters.add(filter));
+    if (activeFilters.size === 0) {
+      activeFilters.add("*");
+    }
+
+    return this.update();
+  }
+
+  /**
+   * Back to "*"
+   * @public
+   * @returns {Object} Result
+   */
+  resetFilters() {
+    return this.setFilters([]);
+  }
+
+  /**
+   * Get active filters
+   * @public
+   * @returns {Set<string>} Active filters
+   */
+  getActiveFilters() {
+    return this.filterLogic.getActiveFilters();
+  }
+
+  /**
+   * Register a custom predicate, ANDed with the category filters
+   * @public
+   * @param {string} name - Predicate name
+   * @param {Function} predicate - (item, state) => boolean; `item.record` is
+   *   the original record
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - Start enabled
+   * @returns {Object} Result
+   */
+  registerPredicate(name, predicate, { enabled = true } = {}) {
+    if (!name || typeof predicate !== "function") {
+      this.logger.warn(
+        "registerPredicate requires a name and a predicate function"
+      );
+      return this.getResult();
+    }
+
+    this.filterLogic.predicates.set(name, { predicate, enabled: !!enabled });
+    return this.update();
+  }
+
+  /**
+   * Remove a custom predicate
+   * @public
+   * @param {string} name - Predicate name
+   * @returns {Object} Result
+   */
+  removePredicate(name) {
+    this.filterLogic.predicates.delete(name);
+    return this.update();
+  }
+
+  // Search Methods
+  /**
+   * Search records by the configured searchKeys
+   * @public
+   * @param {string} query - Search query
+   * @returns {Object} Result
+   */
+  search(query = "") {
+    this.state.setState(
+      "search.query",
+      this.searchLogic.normalizeQuery(String(query))
+    );
+
+    const parsed = this.searchLogic.getParsedQuery();
+    if (parsed) {
+      this.emit("searchParsed", { query: this.state.getState().search.query, parsed });
+    }
+
+    // A relevance sort follows the query
+    const currentSort = this.state.getState().sort.current;
+    if (currentSort?.key === "relevance") {
+      this.sortItems(currentSort.key, currentSort.direction);
+    }
+    return this.update();
+  }
+
+  /**
+   * Clear the search query
+   * @public
+   * @returns {Object} Result
+   */
+  clearSearch() {
+    return this.search("");
+  }
+
+  // Sort Methods
+  /**
+   * Sort records
+   * @public
+   * @param {string} key - Record field, or "relevance"
+   * @param {string} [direction] - "asc" or "desc"; defaults to "desc" for
+   *   relevance and "asc" otherwise
+   * @returns {Object} Result
+   */
+  sort(key, direction = key === "relevance" ? "desc" : "asc") {
+    this.sortItems(key, direction);
+    this.state.setState("sort.current", { key, direction });
+    return this.update();
+  }
+
+  /**
+   * Restore the original record order
+   * @public
+   * @returns {Object} Result
+   */
+  resetSort() {
+    this.state.setState("sort.current", null);
+    this.items = [...this.sourceItems];
+    return this.update();
+  }
+
+  /**
+   * Reorder this.items in place (the headless counterpart of reorderItems)
+   * @private
+   * @param {string} key - Record field
+   * @param {string} direction - "asc" or "desc"
+   */
+  sortItems(key, direction) {
+    const sortType = this.sortLogic.determineSortType(this.items[0], key);
+
+    this.items.sort((a, b) =>
+      this.sortLogic.compareValues(
+        this.sortLogic.getSortValue(a, key, sortType),
+        this.sortLogic.getSortValue(b, key, sortType),
+        direction
+      )
+    );
+  }
+
+  // Pagination Methods
+  /**
+   * Go to a page (clamped to the available pages)
+   * @public
+   * @param {number} page - Page number, 1-based
+   * @returns {Object} Result
+   */
+  goToPage(page) {
+    this.state.setState("pagination.currentPage", parseInt(page, 10) || 1);
+    return this.update();
+  }
+
+  /**
+   * Set items per page and go back to page 1
+   * @public
+   * @param {number} count - Items per page
+   * @returns {Object} Result
+   */
+  setItemsPerPage(count) {
+    const itemsPerPage = Math.max(1, parseInt(count, 10) || 1);
+    this.state.setState("pagination.itemsPerPage", itemsPerPage);
+    this.state.setState("pagination.currentPage", 1);
+    return this.update();
+  }
+
+  // Result Methods
+  /**
+   * Recompute the matching set and emit "results"
+   * @private
+   * @returns {Object} Result
+   */
+  update() {
+    const visibleItems = this.pipeline.compute(this.items);
+    this.state.setVisibleItems(visibleItems);
+    this.state.setState("filters.current", this.getActiveFilters());
+
+    const result = this.getResult();
+    this.state.setState("pagination", {
+      ...this.state.getState().pagination,
+      currentPage: result.page.currentPage,
+      totalPages: result.page.totalPages,
+    });
+
+    this.emit("results", result);
+    return result;
+  }
+
+  /**
+   * Get matching record ids (in sort order) and the current page slice
+   * @public
+   * @returns {{ids: Array, total: number, matched: number,
+   *   page: {currentPage: number, totalPages: number, itemsPerPage: number,
+   *   ids: Array, records: Object[]}}}
+   */
+  getResult() {
+    const visibleItems = this.state.getState().items.visible;
+    const matching = this.items.filter((item) => visibleItems.has(item));
+    const { items: pageItems, currentPage, totalPages } =
+      this.paginationLogic.getPageSlice(matching);
+
+    return {
+      ids: matching.map((item) => item.id),
+      total: this.items.length,
+      matched: matching.length,
+      page: {
+        currentPage,
+        totalPages,
+        itemsPerPage: this.state.getState().pagination.itemsPerPage,
+        ids: pageItems.map((item) => item.id),
+        records: pageItems.map((item) => item.record),
+      },
+    };
+  }
+
+  /**
+   * Get exportable state (same shape as AFS.getState())
+   * @public
+   * @returns {Object}
+   */
+  getState() {
+    return this.state.export();
+  }
+
+  /**
+   * Destroy instance
+   * @public
+   */
+  destroy() {
+    this.pipeline.destroy();
+    this.filterLogic.predicates.clear();
+    this.items = [];
+    this.sourceItems = [];
+    this.itemsById.clear();
+    this.index.clear();
+    this.state.reset();
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Boolean filter expressions for AFS
+ *
+ * Grammar (keywords are case-insensitive):
+ *   expression := or
+ *   or         := and ( OR and )*
+ *   and        := not ( AND not )*
+ *   not        := ( NOT | "!" ) not | primary
+ *   primary    := "(" expression ")" | comparison | category
+ *   comparison := key ( ">" | ">=" | "<" | "<=" | "=" | "!=" ) value
+ *   category   := type:value
+ *
+ * e.g. (brand:ferrari OR brand:pagani) AND NOT color:red AND price>100000
+ */
+
+const KEYWORDS = new Set(["AND", "OR", "NOT"]);
+const COMPARATORS = new Set([">", ">=", "<", "<=", "=", "!="]);
+
+export class FilterExpression {
+  /**
+   * Parse an expression
+   * @param {string} source - Expression text
+   * @throws {SyntaxError} With a `position` property (0-based character
+   *   offset) when the expression is invalid
+   */
+  constructor(source) {
+    this.source = String(source ?? "").trim();
+    this.tokens = tokenize(this.source);
+    this.position = 0;
+    this.ast = this.parseExpression();
+
+    const extra = this.peek();
+    if (extra) {
+      throw syntaxError(`Unexpected "${extra.text}"`, extra.start);
+    }
+  }
+
+  /**
+   * Build a predicate that evaluates the expression against an item
+   * @public
+   * @param {import('./ItemIndex').ItemIndex} index - Item index to read
+   *   categories and values from
+   * @param {Object} [options]
+   * @param {string|null} [options.separator] - Hierarchy separator; when set,
+   *   a category also matches its descendants
+   * @param {Function} [options.getCategories] - (item) => Set of category
+   *   tokens, replacing the index lookup (and `separator`)
+   * @returns {Function} (item) => boolean
+   */
+  compile(index, { separator = null, getCategories = null } = {}) {
+    if (!getCategories) {
+      getCategories = separator
+        ? (item) => index.getCategoryPaths(item, separator)
+        : (item) => index.getCategories(item);
+    }
+    return compileNode(this.ast, index, getCategories);
+  }
+
+  /**
+   * Category tokens (type:value) referenced by the expression
+   * @public
+   * @returns {string[]}
+   */
+  getCategories() {
+    const categories = new Set();
+    const walk = (node) => {
+      if (node.type === "category") categories.add(node.value);
+      node.operands?.forEach(walk);
+      if (node.operand) walk(node.operand);
+    };
+    walk(this.ast);
+    return Array.from(categories);
+  }
+
+  /**
+   * Expression source text
+   * @public
+   * @returns {string}
+   */
+  toString() {
+    return this.source;
+  }
+
+  /**
+   * @private
+   * @returns {Object|undefined} Current token
+   */
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  /**
+   * Consume the current token if it is the given keyword or symbol
+   * @private
+   * @param {...string} values - Accepted keyword/symbol values
+   * @returns {Object|null} Consumed token
+   */
+  accept(...values) {
+    const token = this.peek();
+    if (
+      token &&
+      (token.kind === "keyword" || token.kind === "symbol") &&
+      values.includes(token.value)
+    ) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @returns {Object} AST node
+   */
+  parseExpression() {
+    if (this.tokens.length === 0) {
+      throw syntaxError("Expression is empty", 0);
+    }
+    return this.parseOr();
+  }
+
+  /**
+   * @private
+   * @returns {Object} AST node
+   */
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.accept("OR")) {
+      operands.push(this.parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  }
+
+  /**
+   * @private
+   * @returns {Object} AST node
+   */
+  parseAnd() {
+    const operands = [this.parseNot()];
+    while (this.accept("AND")) {
+      operands.push(this.parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  }
+
+  /**
+   * @private
+   * @returns {Object} AST node
+   */
+  parseNot() {
+    if (this.accept("NOT", "!")) {
+      return { type: "not", operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  /**
+   * @private
+   * @returns {Object} AST node
+   */
+  parsePrimary() {
+    const token = this.peek();
+
+    if (!token) {
+      throw syntaxError(
+        "Unexpected end of expression, expected a filter",
+        this.source.length
+      );
+    }
+
+    if (this.accept("(")) {
+      const node = this.parseOr();
+      if (!this.accept(")")) {
+        const next = this.peek();
+        throw syntaxError(
+          next ? `Expected ")" but found "${next.text}"` : 'Missing closing ")"',
+          next ? next.start : this.source.length
+        );
+      }
+      return node;
+    }
+
+    if (token.kind !== "word") {
+      throw syntaxError(
+        `Unexpected "${token.text}", expected a filter`,
+        token.start
+      );
+    }
+    this.position++;
+
+    const operator = this.peek();
+    if (operator?.kind === "symbol" && COMPARATORS.has(operator.value)) {
+      this.position++;
+      const value = this.peek();
+      if (!value || value.kind !== "word") {
+        throw syntaxError(
+          `Expected a value after "${token.text}${operator.value}"`,
+          value ? value.start : this.source.length
+        );
+      }
+      this.position++;
+
+      const isNumber = value.value !== "" && !isNaN(Number(value.value));
+      if (!isNumber && operator.value !== "=" && operator.value !== "!=") {
+        throw syntaxError(
+          `"${operator.value}" needs a number, found "${value.text}"`,
+          value.start
+        );
+      }
+
+      return {
+        type: "compare",
+        key: token.value,
+        operator: operator.value,
+        value: value.value,
+      };
+    }
+
+    if (!token.value.includes(":")) {
+      throw syntaxError(
+        `Expected a "type:value" filter or a comparison, found "${token.text}"`,
+        token.start
+      );
+    }
+    return { type: "category", value: token.value };
+  }
+}
+
+/**
+ * Split an expression into words, keywords and symbols
+ * @param {string} source - Expression text
+ * @returns {Array<{kind: string, value: string, text: string, start: number}>}
+ * @throws {SyntaxError} On an unterminated quote
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (char === "(" || char === ")") {
+      tokens.push({ kind: "symbol", value: char, text: char, start });
+      i++;
+      continue;
+    }
+
+    const symbol = source.slice(i).match(/^(>=|<=|!=|&&|\|\||[<>=!])/);
+    if (symbol) {
+      // && and || are accepted as AND / OR
+      const value =
+        symbol[0] === "&&" ? "AND" : symbol[0] === "||" ? "OR" : symbol[0];
+      tokens.push({
+        kind: KEYWORDS.has(value) ? "keyword" : "symbol",
+        value,
+        text: symbol[0],
+        start,
+      });
+      i += symbol[0].length;
+      continue;
+    }
+
+    // A word; quoted sections may contain spaces and operators
+    let value = "";
+    while (i < source.length && !/[\s()<>=!&|]/.test(source[i])) {
+      if (source[i] === '"') {
+        const end = source.indexOf('"', i + 1);
+        if (end === -1) {
+          throw syntaxError("Unterminated quoted value", i);
+        }
+        value += source.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        value += source[i];
+        i++;
+      }
+    }
+
+    if (i === start) {
+      throw syntaxError(`Unexpected "${char}"`, start);
+    }
+
+    const text = source.slice(start, i);
+    const keyword = text.toUpperCase();
+    if (KEYWORDS.has(keyword)) {
+      tokens.push({ kind: "keyword", value: keyword, text, start });
+    } else {
+      tokens.push({ kind: "word", value, text, start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Turn an AST node into a predicate
+ * @param {Object} node - AST node
+ * @param {import('./ItemIndex').ItemIndex} index - Item index
+ * @param {Function} getCategories - (item) => Set of category tokens
+ * @returns {Function} (item) => boolean
+ */
+function compileNode(node, index, getCategories) {
+  const compileChild = (child) => compileNode(child, index, getCategories);
+
+  switch (node.type) {
+    case "and": {
+      const operands = node.operands.map(compileChild);
+      return (item) => operands.every((test) => test(item));
+    }
+    case "or": {
+      const operands = node.operands.map(compileChild);
+      return (item) => operands.some((test) => test(item));
+    }
+    case "not": {
+      const operand = compileChild(node.operand);
+      return (item) => !operand(item);
+    }
+    case "category":
+      return (item) => getCategories(item).has(node.value);
+    case "compare":
+      return compileComparison(node, index);
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Numeric comparison when the value is a number, text equality otherwise
+ * @param {Object} node - Comparison node
+ * @param {import('./ItemIndex').ItemIndex} index - Item index
+ * @returns {Function} (item) => boolean
+ */
+function compileComparison({ key, operator, value }, index) {
+  const number = Number(value);
+
+  // The parser only lets = and != through with a non-numeric value
+  if (value === "" || isNaN(number)) {
+    const text = value.toLowerCase();
+    return operator === "="
+      ? (item) => index.getText(item, key) === text
+      : (item) => index.getText(item, key) !== text;
+  }
+
+  const compare = {
+    ">": (a) => a > number,
+    ">=": (a) => a >= number,
+    "<": (a) => a < number,
+    "<=": (a) => a <= number,
+    "=": (a) => a === number,
+    "!=": (a) => a !== number,
+  }[operator];
+
+  // Items without a numeric value never satisfy a comparison
+  return (item) => {
+    const actual = index.getNumber(item, key);
+    return !isNaN(actual) && compare(actual);
+  };
+}
+
+/**
+ * Create a SyntaxError that points at the offending character
+ * @param {string} message - Error description
+ * @param {number} position - 0-based character offset
+ * @returns {SyntaxError}
+ */
+function syntaxError(message, position) {
+  const error = new SyntaxError(`${message} at position ${position}`);
+  error.position = position;
+  return error;
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Typo-tolerant term matching for fuzzy search
+ *
+ * Similarity between two words is 1 - distance / longer length, where the
+ * distance is the Damerau-Levenshtein (optimal string alignment) edit
+ * distance: insertions, deletions, substitutions and swaps of two adjacent
+ * characters each count as one edit. "ferari" vs "ferrari" is one edit, a
+ * similarity of 0.86.
+ */
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [max=Infinity] - Stop early and return max + 1 once the
+ *   distance is known to exceed this
+ * @returns {number}
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  // Three rolling rows: two back (for swaps), previous and current
+  let twoBack = new Array(b.length + 1).fill(0);
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let current = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        previous[j - 1] + cost // substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, twoBack[j - 2] + 1); // swap
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    [twoBack, previous, current] = [previous, current, twoBack];
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two words between 0 and 1
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} [threshold=0] - Similarities below this are reported as 0
+ *   (lets the distance computation stop early)
+ * @returns {number}
+ */
+export function similarity(a, b, threshold = 0) {
+  const length = Math.max(a.length, b.length);
+  if (!length) return 1;
+
+  const maxEdits = Math.floor((1 - threshold) * length);
+  const distance = editDistance(a, b, maxEdits);
+  return distance > maxEdits ? 0 : 1 - distance / length;
+}
+
+/**
+ * Words of a vocabulary closest to a term, for spelling suggestions
+ * @param {string} term - Lowercase word
+ * @param {Map<string, number>} vocabulary - Word -> number of items containing it
+ * @param {number} threshold - Minimum similarity (0-1)
+ * @param {number} limit - Most words returned
+ * @returns {Array<{word: string, score: number}>} Most similar first, then
+ *   most frequent
+ */
+export function closestWords(term, vocabulary, threshold, limit) {
+  const scored = [];
+  vocabulary.forEach((count, word) => {
+    const score = similarity(term, word, threshold);
+    if (score > 0) scored.push({ word, score, count });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || b.count - a.count)
+    .slice(0, limit)
+    .map(({ word, score }) => ({ word, score }));
+}
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Match every query term against the words of a text. A term found as a
+ * substring scores 1; otherwise it scores its best similarity to a word, or
+ * to the start of a longer word (so a half-typed word still matches).
+ * @param {string[]} terms - Lowercase query terms
+ * @param {string} text - Lowercase text to search
+ * @param {number} threshold - Minimum similarity for a term to match (0-1)
+ * @returns {{score: number, words: string[]}|null} Mean term score and the
+ *   matched words (the terms themselves for substring hits), or null when
+ *   a term does not match
+ */
+export function fuzzyMatch(terms, text, threshold) {
+  let words = null;
+  let total = 0;
+  const matched = [];
+
+  for (const term of terms) {
+    if (text.includes(term)) {
+      total += 1;
+      matched.push(term);
+      continue;
+    }
+
+    words = words || tokenize(text);
+    let best = 0;
+    let bestWord = null;
+    for (const word of words) {
+      let score = similarity(term, word, threshold);
+      if (word.length > term.length) {
+        score = Math.max(
+          score,
+          similarity(term, word.slice(0, term.length), threshold)
+        );
+      }
+      if (score > best) {
+        best = score;
+        bestWord = word;
+      }
+    }
+
+    if (!bestWord || best < threshold) return null;
+    total += best;
+    matched.push(bestWord);
+  }
+
+  return { score: total / terms.length, words: matched };
+}
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Per-item index of parsed data attribute values
+ */
+
+import { stemText } from "./Stemmer";
+
+export class ItemIndex {
+  constructor() {
+    // item -> { data, categories, parsed, searchText }
+    // `data` is a one-time copy of item.dataset; `parsed` and `searchText`
+    // are filled on first use and kept until the item is re-indexed.
+    this.entries = new Map();
+  }
+
+  /**
+   * Index (or re-index) items, re-reading their data attributes
+   * @public
+   * @param {Iterable<HTMLElement>} items - Items to index
+   */
+  add(items) {
+    for (const item of items) {
+      this.entries.set(item, this.createEntry(item));
+    }
+  }
+
+  /**
+   * Re-read one item's data attributes after they changed in place
+   * @public
+   * @param {HTMLElement} item - Item to re-index
+   */
+  update(item) {
+    this.add([item]);
+  }
+
+  /**
+   * Drop items from the index
+   * @public
+   * @param {Iterable<HTMLElement>} items - Items to remove
+   */
+  remove(items) {
+    for (const item of items) {
+      this.entries.delete(item);
+    }
+  }
+
+  /**
+   * Match the index to the current item list: index new items and drop the
+   * ones that are gone
+   * @public
+   * @param {Iterable<HTMLElement>} items - Current items
+   * @param {Object} [options]
+   * @param {boolean} [options.reread=false] - Also re-read the items already
+   *   indexed; otherwise their entries are left untouched
+   */
+  sync(items, { reread = false } = {}) {
+    const current = new Set(items);
+
+    this.entries.forEach((_, item) => {
+      if (!current.has(item)) this.entries.delete(item);
+    });
+
+    current.forEach((item) => {
+      if (reread || !this.entries.has(item)) {
+        this.entries.set(item, this.createEntry(item));
+      }
+    });
+  }
+
+  /**
+   * Remove every entry
+   * @public
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of indexed items
+   * @public
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Build an entry from the item's current data attributes
+   * @private
+   * @param {HTMLElement} item - Item to read
+   * @returns {Object} Index entry
+   */
+  createEntry(item) {
+    const data = { ...(item.dataset || {}) };
+
+    return {
+      data,
+      categories: new Set(data.categories ? data.categories.split(" ") : []),
+      parsed: new Map(),
+      searchText: new Map(),
+    };
+  }
+
+  /**
+   * Get an item's entry, indexing it on the fly if it was never registered
+   * @private
+   * @param {HTMLElement} item - Item
+   * @returns {Object} Index entry
+   */
+  getEntry(item) {
+    let entry = this.entries.get(item);
+    if (!entry) {
+      entry = this.createEntry(item);
+      this.entries.set(item, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Whether the item has a data attribute
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} key - Dataset key
+   * @returns {boolean}
+   */
+  has(item, key) {
+    return Object.prototype.hasOwnProperty.call(this.getEntry(item).data, key);
+  }
+
+  /**
+   * Raw (string) data attribute value
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} key - Dataset key
+   * @returns {string|undefined}
+   */
+  getRaw(item, key) {
+    return this.getEntry(item).data[key];
+  }
+
+  /**
+   * Category tokens from data-categories
+   * @public
+   * @param {HTMLElement} item - Item
+   * @returns {Set<string>} Live set; do not mutate
+   */
+  getCategories(item) {
+    return this.getEntry(item).categories;
+  }
+
+  /**
+   * Category tokens plus every ancestor path of hierarchical tokens, e.g.
+   * "category:vehicles/cars" also yields "category:vehicles"
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} separator - Path separator (e.g. "/")
+   * @returns {Set<string>} Cached set; do not mutate
+   */
+  getCategoryPaths(item, separator) {
+    return this.getParsed(item, "categories", `paths:${separator}`, () =>
+      this.expandCategoryPaths(this.getCategories(item), separator)
+    );
+  }
+
+  /**
+   * Add the ancestor paths of hierarchical tokens to a token set
+   * @public
+   * @param {Iterable<string>} tokens - Category tokens
+   * @param {string} separator - Path separator (e.g. "/")
+   * @returns {Set<string>} New set with the tokens and their ancestors
+   */
+  expandCategoryPaths(tokens, separator) {
+    const paths = new Set();
+
+    for (const token of tokens) {
+      paths.add(token);
+
+      const valueStart = token.indexOf(":") + 1;
+      const type = token.slice(0, valueStart);
+      const segments = token.slice(valueStart).split(separator);
+      for (let depth = 1; depth < segments.length; depth++) {
+        paths.add(type + segments.slice(0, depth).join(separator));
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Parse a value once and cache it under `kind`
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} key - Dataset key
+   * @param {string} kind - Cache namespace (e.g. "number")
+   * @param {Function} parse - (rawValue) => parsed value
+   * @returns {*} Parsed value
+   */
+  getParsed(item, key, kind, parse) {
+    const entry = this.getEntry(item);
+    const cacheKey = `${kind}:${key}`;
+
+    if (!entry.parsed.has(cacheKey)) {
+      entry.parsed.set(cacheKey, parse(entry.data[key]));
+    }
+    return entry.parsed.get(cacheKey);
+  }
+
+  /**
+   * Numeric value (parseFloat), NaN when missing or invalid
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} key - Dataset key
+   * @returns {number}
+   */
+  getNumber(item, key) {
+    return this.getParsed(item, key, "number", (value) => parseFloat(value));
+  }
+
+  /**
+   * Date value as a timestamp (new Date(value)), NaN when missing or invalid
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} key - Dataset key
+   * @returns {number}
+   */
+  getDate(item, key) {
+    return this.getParsed(item, key, "date", (value) =>
+      value ? new Date(value).getTime() : NaN
+    );
+  }
+
+  /**
+   * Lowercased string value, "" when missing
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string} key - Dataset key
+   * @returns {string}
+   */
+  getText(item, key) {
+    return this.getParsed(item, key, "text", (value) =>
+      value ? String(value).toLowerCase() : ""
+    );
+  }
+
+  /**
+   * Lowercased search text for a set of keys
+   * @public
+   * @param {HTMLElement} item - Item
+   * @param {string[]} keys - Dataset keys to join
+   * @param {Function} [fold] - Text folding function (see TextFolding.js)
+   *   used instead of lowercasing; the cached text is rebuilt when a
+   *   different function is passed
+   * @param {Function} [stem] - Stemmer (see Stemmer.js); when given, the
+   *   text with every word stemmed is returned (and cached alongside)
+   * @returns {string}
+   */
+  getSearchText(item, keys, fold = null, stem = null) {
+    const entry = this.getEntry(item);
+    const signature = keys.join("|");
+    let cached = entry.searchText.get(signature);
+
+    if (!cached || cached.fold !== fold) {
+      const text = keys.map((key) => entry.data[key] || "").join(" ");
+      cached = { fold, text: fold ? fold(text) : text.toLowerCase(), stem: null, stemmed: null };
+      entry.searchText.set(signature, cached);
+    }
+    if (!stem) return cached.text;
+
+    if (cached.stem !== stem) {
+      cached.stem = stem;
+      cached.stemmed = stemText(cached.text, stem);
+    }
+    return cached.stemmed;
+  }
+}
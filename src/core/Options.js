@@ -18,8 +18,22 @@ export class Options {
    * @property {number} animationDuration - Animation duration in ms
    * @property {string} filterMode - Filter mode ('OR' or 'AND')
    * @property {string} groupMode - Group filter mode ('OR' or 'AND')
-   * @property {string[]} searchKeys - Data attributes to search in
+   * @property {Array<string|{key: string, weight: number}>} searchKeys - Data
+   *   attributes to search in, optionally weighted for relevance ranking
    * @property {number} debounceTime - Search debounce delay in ms
+   * @property {boolean} fuzzy - Typo-tolerant search
+   * @property {number} fuzzyThreshold - Minimum word similarity for fuzzy matches
+   * @property {boolean} ignoreDiacritics - Accent-insensitive search
+   * @property {string|null} searchLocale - Locale used to lowercase search text
+   * @property {boolean} querySyntax - Parse phrases, exclusions and field:value in queries
+   * @property {Object<string, string[]>} synonyms - Words or phrases and their equivalents
+   * @property {string|Function|null} stemmer - "english" or (word) => stem
+   * @property {boolean} highlightMatches - Highlight query matches in [data-search-key] elements
+   * @property {string} highlightMode - "dom" wraps matches in elements, "css" uses the CSS Custom Highlight API
+   * @property {string} highlightElement - Tag of the wrapping elements in "dom" mode
+   * @property {Object} autocomplete - Suggestion dropdown under the search input
+   * @property {Object} recentSearches - Remembered queries, kept in storage
+   * @property {Object} didYouMean - Spelling suggestions for searches that find nothing
    * @property {boolean} debug - Enable debug mode
    * @property {string} logLevel - Log level
    * @property {string} dateFormat - Date format
@@ -28,7 +42,10 @@ export class Options {
    * @property {boolean} responsive - Enable responsive mode
    * @property {boolean} preserveState - Preserve state between sessions
    * @property {number} stateExpiry - State expiry time in milliseconds
+   * @property {Object} storage - Where preserved state is persisted
    * @property {boolean} observeDOM - Observe DOM changes
+   * @property {boolean} syncTabs - Mirror state to other tabs
+   * @property {string|null} syncTabsKey - Channel key shared by synced instances
    */
 
   /**
@@ -56,6 +73,16 @@ export class Options {
     filterTypeLogic: {}, // New: Configure logic per filter type (e.g., { brand: 'OR', category: 'AND' })
     searchKeys: ["title"],
     debounceTime: 300,
+    fuzzy: false, // Typo-tolerant search
+    fuzzyThreshold: 0.7, // Minimum word similarity (0-1) for a fuzzy match
+    ignoreDiacritics: true, // "creme" matches "crème"
+    searchLocale: null, // Case-folding locale; null uses <html lang>
+    querySyntax: true, // "exact phrase", -exclude, field:value, field:>10
+    synonyms: {}, // e.g. { sneakers: ["trainers"] }; applies both ways
+    stemmer: null, // 'english' or (word) => stem: "running" finds "run"
+    highlightMatches: false,
+    highlightMode: "dom", // 'dom' (wrapping elements) or 'css' (::highlight(), no DOM changes)
+    highlightElement: "span", // e.g. 'mark'
 
     // Debug
     debug: false,
@@ -65,7 +92,13 @@ export class Options {
     responsive: true,
     preserveState: false,
     stateExpiry: 86400000, // 24 hours in milliseconds
+    storage: {
+      adapter: "session", // 'session', 'local', 'memory', 'indexedDB' or a custom { get, set, remove }
+      key: null, // null: "afs_state:" + containerSelector, one per instance
+    },
     observeDOM: false,
+    syncTabs: false, // Mirror filters, search, sort and page to other tabs (BroadcastChannel)
+    syncTabsKey: null, // Instances with the same key sync; defaults to containerSelector
 
     // Date handling
     dateFormat: "YYYY-MM-DD",
@@ -74,7 +107,8 @@ export class Options {
       template: "Showing {visible} of {total}",
       showFiltered: true,
       filteredTemplate: "({filtered} filtered)",
-      noResultsTemplate: "No items found",
+      noResultsTemplate: "No items found", // May show corrections: "Did you mean {suggestion}?"
+      noSuggestionsTemplate: "No items found", // Replaces a {suggestion} template when there are none
       formatter: (num) => num.toLocaleString(),
     },
 
@@ -141,6 +175,49 @@ export class Options {
       selectedClass: "afs-range-selected",
     },
 
+    // Hierarchical category tokens (opt-in), e.g. "category:vehicles/cars"
+    hierarchy: {
+      separator: null, // e.g. "/": selecting a parent then matches its descendants
+      indeterminateClass: "afs-indeterminate", // Parent with only some children active
+    },
+
+    // Spelling suggestions when a search finds nothing
+    didYouMean: {
+      enabled: true,
+      maxSuggestions: 1,
+      threshold: 0.6, // Minimum word similarity (0-1)
+      className: "afs-did-you-mean", // Suggestion buttons in the counter
+    },
+
+    // Remembered searches, offered while the search input is empty (opt-in)
+    recentSearches: {
+      enabled: false,
+      limit: 10,
+      key: null, // Storage key; defaults to the state key (see afs.getStorageKey()) + "_searches"
+    },
+
+    // Search suggestions under the search input (opt-in)
+    autocomplete: {
+      enabled: false,
+      maxSuggestions: 8,
+      minLength: 1, // Characters typed before suggesting
+      template: "{label} ({count})", // Or (suggestion) => string | Node
+      recentTemplate: "{label}", // Recent searches, shown while the input is empty
+      listClass: "afs-autocomplete",
+      optionClass: "afs-autocomplete-option",
+      activeClass: "afs-autocomplete-active",
+    },
+
+    // Facet counts on filter buttons and dropdown options (opt-in)
+    facets: {
+      enabled: false,
+      target: "attribute", // 'attribute' (data-count) or 'span' (child element)
+      countClass: "afs-facet-count", // Class of the span when target is 'span'
+      template: "({count})", // Span text; {count} is formatted like the counter
+      emptyOptions: null, // 'disable' or 'hide' options that would show nothing
+      emptyClass: "afs-empty", // Added to those options
+    },
+
     // Pagination
     pagination: {
       enabled: false,
@@ -154,6 +231,31 @@ export class Options {
       scrollBehavior: "smooth", // or 'auto' for instant scroll
     },
 
+    // Undo/redo (opt-in)
+    history: {
+      enabled: false,
+      limit: 50, // Entries kept, the current one included
+      keyboard: false, // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+    },
+
+    // Saved views
+    presets: {
+      enabled: false,
+      adapter: "local", // Storage adapter name or instance; null shares storage.adapter
+      key: null, // Storage key; null = the state key (afs.getStorageKey()) + "_presets"
+      buttonSelector: "[data-afs-preset]", // Buttons that apply the preset they name
+      buttonContainer: null, // Selector of the element holding the buttons; null = the container
+    },
+
+    // Virtualization (opt-in, for very large lists)
+    virtualization: {
+      enabled: false,
+      itemHeight: 0, // Row height in px; 0 = measure the first rendered item
+      columns: 1, // Items per row, for fixed-column grids
+      overscan: 5, // Extra rows rendered above and below the viewport
+      scrollContainer: null, // Selector of the scrolling element; null = window
+    },
+
     // Animation
     animation: {
       type: "fade",
@@ -171,6 +273,8 @@ export class Options {
    */
   constructor(userOptions = {}) {
     this.options = this.mergeOptions(Options.defaults, userOptions);
+    // Bumped on every change, so values derived from options can be cached
+    this.revision = 0;
     this.initializeStyles();
     this.validate();
   }
@@ -203,11 +307,7 @@ export class Options {
     const result = { ...target };
 
     for (const key in source) {
-      if (
-        source[key] !== null &&
-        typeof source[key] === "object" &&
-        !Array.isArray(source[key])
-      ) {
+      if (isPlainObject(source[key])) {
         // If the key doesn't exist in target or isn't an object, create/override it
         if (!target[key] || typeof target[key] !== "object") {
           result[key] = {};
@@ -275,6 +375,70 @@ export class Options {
     ) {
       throw new Error("searchKeys must be a non-empty array");
     }
+    const validSearchKey = (entry) =>
+      typeof entry === "string" ||
+      (typeof entry?.key === "string" &&
+        (entry.weight === undefined ||
+          (typeof entry.weight === "number" && entry.weight >= 0)));
+    if (!this.options.searchKeys.every(validSearchKey)) {
+      throw new Error(
+        "searchKeys entries must be strings or { key, weight } objects with a non-negative weight"
+      );
+    }
+
+    // Fuzzy threshold
+    const threshold = this.options.fuzzyThreshold;
+    if (typeof threshold !== "number" || !(threshold >= 0 && threshold <= 1)) {
+      throw new Error("fuzzyThreshold must be a number between 0 and 1");
+    }
+
+    // Synonyms and stemming
+    const { synonyms, stemmer } = this.options;
+    if (
+      typeof synonyms !== "object" || synonyms === null || Array.isArray(synonyms) ||
+      !Object.values(synonyms).every(
+        (equivalents) => Array.isArray(equivalents) &&
+          equivalents.every((entry) => typeof entry === "string")
+      )
+    ) {
+      throw new Error("synonyms must map words to arrays of strings");
+    }
+    if (stemmer !== null && stemmer !== "english" && typeof stemmer !== "function") {
+      throw new Error('stemmer must be "english", a function or null');
+    }
+
+    if (!["dom", "css"].includes(this.options.highlightMode)) {
+      throw new Error('highlightMode must be "dom" or "css"');
+    }
+
+    // Autocomplete
+    const autocomplete = this.options.autocomplete;
+    if (!Number.isInteger(autocomplete.maxSuggestions) || autocomplete.maxSuggestions < 1) {
+      throw new Error("autocomplete.maxSuggestions must be a positive integer");
+    }
+    ["template", "recentTemplate"].forEach((name) => {
+      if (!["string", "function"].includes(typeof autocomplete[name])) {
+        throw new Error(`autocomplete.${name} must be a string or a function`);
+      }
+    });
+
+    // Recent searches
+    const { limit } = this.options.recentSearches;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("recentSearches.limit must be a positive integer");
+    }
+
+    // Did you mean
+    const { didYouMean } = this.options;
+    if (!Number.isInteger(didYouMean.maxSuggestions) || didYouMean.maxSuggestions < 1) {
+      throw new Error("didYouMean.maxSuggestions must be a positive integer");
+    }
+    if (
+      typeof didYouMean.threshold !== "number" ||
+      !(didYouMean.threshold > 0 && didYouMean.threshold <= 1)
+    ) {
+      throw new Error("didYouMean.threshold must be a number between 0 and 1");
+    }
 
     // Counter validation
     if (this.options.counter) {
@@ -329,6 +493,7 @@ export class Options {
       }
       throw error;
     }
+    this.revision++;
   }
 
   /**
@@ -338,6 +503,7 @@ export class Options {
   update(updates) {
     this.options = this.mergeOptions(this.options, updates);
     this.validate();
+    this.revision++;
   }
 
   /**
@@ -345,6 +511,7 @@ export class Options {
    */
   reset() {
     this.options = { ...Options.defaults };
+    this.revision++;
   }
 
   /**
@@ -355,3 +522,15 @@ export class Options {
     return { ...this.options };
   }
 }
+
+/**
+ * Only plain objects are deep-merged; class instances (e.g. a custom
+ * storage adapter) and DOM nodes are taken as-is
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
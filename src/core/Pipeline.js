@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Visibility pipeline for AFS
+ */
+
+export class Pipeline {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   */
+  constructor(afs) {
+    this.afs = afs;
+    // name -> predicate(item) => boolean. An item is visible only when every
+    // stage returns true; a stage with nothing active simply returns true.
+    this.stages = new Map();
+  }
+
+  /**
+   * Register a predicate stage
+   * @public
+   * @param {string} name - Stage name (e.g. "filter", "search")
+   * @param {Function} predicate - (item) => boolean
+   * @returns {Function} Unregister function
+   */
+  register(name, predicate) {
+    if (typeof predicate !== "function") {
+      this.afs.logger.warn(`Pipeline stage "${name}" must be a function`);
+      return () => {};
+    }
+
+    this.stages.set(name, predicate);
+    this.afs.logger.debug(`Pipeline stage registered: ${name}`);
+    return () => this.unregister(name);
+  }
+
+  /**
+   * Remove a predicate stage
+   * @public
+   * @param {string} name - Stage name
+   * @returns {boolean} Whether a stage was removed
+   */
+  unregister(name) {
+    return this.stages.delete(name);
+  }
+
+  /**
+   * Check whether a stage is registered
+   * @public
+   * @param {string} name - Stage name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.stages.has(name);
+  }
+
+  /**
+   * Get registered stage names in evaluation order
+   * @public
+   * @returns {string[]}
+   */
+  getStageNames() {
+    return Array.from(this.stages.keys());
+  }
+
+  /**
+   * Check an item against every stage
+   * @public
+   * @param {HTMLElement} item - Item to test
+   * @param {Object<string, Function|null>} [overrides] - Replace a stage's
+   *   predicate for this check only; null skips the stage entirely
+   * @returns {boolean} Whether the item passes all stages
+   */
+  matches(item, overrides = {}) {
+    for (const [name, predicate] of this.stages) {
+      const test = name in overrides ? overrides[name] : predicate;
+      if (test && !test(item)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Compute the visible set without touching state or the DOM
+   * @public
+   * @param {Iterable<HTMLElement>} [items] - Items to test (defaults to afs.items)
+   * @param {Object<string, Function|null>} [overrides] - See matches()
+   * @returns {Set<HTMLElement>} Matching items
+   */
+  compute(items = this.afs.items, overrides = {}) {
+    const visibleItems = new Set();
+
+    items.forEach((item) => {
+      try {
+        if (this.matches(item, overrides)) {
+          visibleItems.add(item);
+        }
+      } catch (error) {
+        // A failing predicate hides the item rather than aborting the pass
+        this.afs.logger.error("Error evaluating pipeline for item:", error);
+      }
+    });
+
+    return visibleItems;
+  }
+
+  /**
+   * Compute visibility once, write it to state, then render it and update
+   * pagination, the counter and the URL from that single result.
+   * @public
+   * @returns {Promise<Set<HTMLElement>>} Resolves with the visible set once
+   *   show/hide animations have settled
+   */
+  apply() {
+    const visibleItems = this.compute();
+
+    // The only write to items.visible for this pass
+    this.afs.state.setVisibleItems(visibleItems);
+    this.afs.logger.debug(
+      `Pipeline applied: ${visibleItems.size}/${this.afs.items.length} visible`
+    );
+
+    const rendered = this.render(visibleItems);
+
+    this.afs.updateCounter();
+    this.afs.filter?.renderFacetCounts();
+    this.afs.urlManager?.updateURL();
+
+    return rendered;
+  }
+
+  /**
+   * Render a visible set
+   * @private
+   * @param {Set<HTMLElement>} visibleItems - Items that should be shown
+   * @returns {Promise<Set<HTMLElement>>}
+   */
+  render(visibleItems) {
+    const hiddenClass = this.afs.options.get("hiddenClass");
+    const virtualization = this.afs.virtualization;
+
+    if (virtualization?.isEnabled()) {
+      // VIRTUALIZED PATH: non-matching items are simply never attached, so
+      // only the viewport window is touched (no per-item animation)
+      if (this.afs.options.get("pagination.enabled")) {
+        this.afs.pagination.update();
+      } else {
+        virtualization.render();
+      }
+      return Promise.resolve(visibleItems);
+    }
+
+    if (this.afs.options.get("pagination.enabled")) {
+      // PAGINATION PATH: Don't animate items individually —
+      // let pagination handle display for the current page.
+      // Only hide non-matching items immediately.
+      this.afs.items.forEach((item) => {
+        if (!visibleItems.has(item)) {
+          item.classList.add(hiddenClass);
+          item.style.display = "none";
+        }
+      });
+
+      this.afs.pagination.update();
+      return Promise.resolve(visibleItems);
+    }
+
+    // NON-PAGINATION PATH: Animate items directly
+    const animationType = this.afs.options.get("animation.type");
+    const duration =
+      parseFloat(this.afs.options.get("animation.duration")) || 300;
+    const animationPromises = [];
+
+    this.afs.items.forEach((item) => {
+      const promise = new Promise((resolve) => {
+        if (visibleItems.has(item)) {
+          item.classList.remove(hiddenClass);
+          item.style.display = this.afs.filter.getItemDisplayType(item);
+
+          requestAnimationFrame(() => {
+            this.afs.animation.applyShowAnimation(item, animationType);
+            setTimeout(resolve, duration);
+          });
+        } else {
+          item.classList.add(hiddenClass);
+          item.style.display = "none";
+          requestAnimationFrame(() => {
+            this.afs.animation.applyHideAnimation(item, animationType);
+            setTimeout(resolve, duration);
+          });
+        }
+      });
+      animationPromises.push(promise);
+    });
+
+    return Promise.all(animationPromises).then(() => {
+      // Ensure visible items remain visible and hidden items stay hidden
+      this.afs.items.forEach((item) => {
+        if (visibleItems.has(item)) {
+          item.classList.remove(hiddenClass);
+          item.style.display = this.afs.filter.getItemDisplayType(item);
+          item.style.opacity = "1";
+          item.style.visibility = "visible";
+          item.style.filter = "none";
+          item.style.transform = "";
+        } else {
+          item.style.display = "none";
+          item.classList.add(hiddenClass);
+        }
+      });
+
+      return visibleItems;
+    });
+  }
+
+  /**
+   * Remove all stages
+   * @public
+   */
+  destroy() {
+    this.stages.clear();
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Relevance scoring for ranking search results
+ *
+ * Each query term is scored against each searched field:
+ *   match quality (whole word 3, word prefix 2, substring 1, fuzzy match
+ *   = its similarity, below 1) x (1 + ln(occurrences)) x field weight
+ * and an item's relevance is the sum over terms and fields.
+ */
+
+import { tokenize, similarity } from './Fuzzy';
+
+const WHOLE_WORD = 3;
+const WORD_PREFIX = 2;
+const SUBSTRING = 1;
+
+/**
+ * Score one query term against a field's text
+ * @param {string} term - Lowercase query term
+ * @param {string} text - Lowercase field text
+ * @param {string[]} words - tokenize(text)
+ * @param {number|null} fuzzyThreshold - Minimum similarity of a fuzzy
+ *   match, or null to score exact matches only
+ * @returns {number} 0 when the term does not occur
+ */
+function scoreTerm(term, text, words, fuzzyThreshold) {
+  if (text.includes(term)) {
+    const occurrences = text.split(term).length - 1;
+    const quality = words.includes(term)
+      ? WHOLE_WORD
+      : words.some((word) => word.startsWith(term))
+        ? WORD_PREFIX
+        : SUBSTRING;
+    return quality * (1 + Math.log(occurrences));
+  }
+
+  if (fuzzyThreshold === null) return 0;
+
+  let best = 0;
+  for (const word of words) {
+    best = Math.max(best, similarity(term, word, fuzzyThreshold));
+    if (word.length > term.length) {
+      best = Math.max(
+        best,
+        similarity(term, word.slice(0, term.length), fuzzyThreshold)
+      );
+    }
+  }
+  return best >= fuzzyThreshold ? best : 0;
+}
+
+/**
+ * Relevance of a set of weighted fields to the query terms
+ * @param {string[]} terms - Lowercase query terms
+ * @param {Array<{text: string, weight: number}>} fields - Lowercase field
+ *   texts and their weights
+ * @param {Object} [options]
+ * @param {number|null} [options.fuzzyThreshold=null] - Also score fuzzy
+ *   matches at or above this similarity
+ * @returns {number} 0 when nothing matches; higher is more relevant
+ */
+export function scoreRelevance(terms, fields, { fuzzyThreshold = null } = {}) {
+  let total = 0;
+
+  fields.forEach(({ text, weight }) => {
+    if (!text || !weight) return;
+
+    const words = tokenize(text);
+    terms.forEach((term) => {
+      total += weight * scoreTerm(term, text, words, fuzzyThreshold);
+    });
+  });
+
+  return total;
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Search box query syntax
+ *
+ *   word          plain term (substring match)
+ *   "some words"  exact phrase
+ *   -word         exclude a term; -"some words" excludes a phrase
+ *   key:value     the item's data-key contains value (key:"two words" too)
+ *   key:>10       numeric comparison on data-key: >, >=, <, <=
+ *   -key:value    negates a field condition
+ *
+ * e.g. "carbon fiber" -convertible brand:ferrari year:>2015
+ *
+ * Parsing never fails: a malformed part (unterminated quote, missing value,
+ * non-numeric comparison) is kept as plain text and reported in `errors`.
+ */
+
+const FIELD = /^([A-Za-z][\w-]*):(>=|<=|>|<)?/;
+
+/**
+ * Parse a (lowercased, whitespace-collapsed) search query
+ * @param {string} query - Query text
+ * @returns {{
+ *   terms: string[],
+ *   phrases: string[],
+ *   exclude: string[],
+ *   fields: Array<{key: string, operator: string, value: (string|number), negate: boolean, text: string}>,
+ *   errors: Array<{message: string, position: number}>
+ * }} `fields[].key` is the dataset key (data-release-year -> releaseYear),
+ *   `operator` is ":" for a text match, and `text` is the original token
+ */
+export function parseSearchQuery(query) {
+  const source = String(query ?? "");
+  const parsed = { terms: [], phrases: [], exclude: [], fields: [], errors: [] };
+  let i = 0;
+
+  const readWord = () => {
+    const start = i;
+    while (i < source.length && !/\s/.test(source[i])) i++;
+    return source.slice(start, i);
+  };
+
+  // A quoted string starting at i; null (and an error) when unterminated
+  const readQuoted = () => {
+    const end = source.indexOf('"', i + 1);
+    if (end === -1) {
+      parsed.errors.push({ message: "Unterminated quote", position: i });
+      i++; // Drop the quote and read on as plain words
+      return null;
+    }
+    const text = source.slice(i + 1, end).trim().replace(/\s+/g, " ");
+    i = end + 1;
+    return text;
+  };
+
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negate = source[i] === "-" && i + 1 < source.length && !/\s/.test(source[i + 1]);
+    if (negate) i++;
+
+    if (source[i] === '"') {
+      const phrase = readQuoted();
+      if (phrase) (negate ? parsed.exclude : parsed.phrases).push(phrase);
+      continue;
+    }
+
+    const field = FIELD.exec(source.slice(i));
+    if (field) {
+      i += field[0].length;
+      const operator = field[2] || ":";
+      const value = source[i] === '"' ? readQuoted() : readWord();
+      const text = source.slice(start, i);
+
+      if (!value) {
+        parsed.errors.push({ message: `Missing value after "${field[0]}"`, position: i });
+        parsed.terms.push(...text.split(/\s+/).filter(Boolean));
+      } else if (operator !== ":" && isNaN(Number(value))) {
+        parsed.errors.push({
+          message: `"${operator}" needs a number, found "${value}"`,
+          position: i - value.length,
+        });
+        parsed.terms.push(text);
+      } else {
+        parsed.fields.push({
+          key: toDatasetKey(field[1]),
+          operator,
+          value: operator === ":" ? value : Number(value),
+          negate,
+          text,
+        });
+      }
+      continue;
+    }
+
+    const word = readWord();
+    (negate ? parsed.exclude : parsed.terms).push(word);
+  }
+
+  return parsed;
+}
+
+/**
+ * data-attribute style name to dataset key ("release-year" -> "releaseYear")
+ * @param {string} name - Field name
+ * @returns {string}
+ */
+function toDatasetKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
@@ -14,8 +14,11 @@ export class State {
         groups: new Map(),
         ranges: new Map(),
         dateRanges: new Map(),
+        inputRanges: new Map(),
         mode: 'OR',
-        groupMode: 'OR'
+        groupMode: 'OR',
+        typeLogic: {},
+        expression: null
       },
       search: {
         query: '',
@@ -147,18 +150,29 @@ export class State {
   }
 
   /**
-   * Export state
+   * Export state as a JSON-serializable snapshot (Sets/Maps become arrays;
+   * dates in dateRanges serialize to ISO strings)
    * @returns {Object} Exportable state
    */
   export() {
+    const { filters } = this.state;
+    const copyEntries = (map) =>
+      Array.from(map.entries(), ([key, value]) => [key, { ...value }]);
+
     return {
       filters: {
-        current: Array.from(this.state.filters.current),
-        groups: Array.from(this.state.filters.groups.entries()),
-        ranges: Array.from(this.state.filters.ranges.entries()),
-        dateRanges: Array.from(this.state.filters.dateRanges.entries()),
-        mode: this.state.filters.mode,
-        groupMode: this.state.filters.groupMode
+        current: Array.from(filters.current),
+        groups: Array.from(filters.groups.entries(), ([id, group]) => [
+          id,
+          { filters: Array.from(group.filters), operator: group.operator }
+        ]),
+        ranges: copyEntries(filters.ranges),
+        dateRanges: copyEntries(filters.dateRanges),
+        inputRanges: copyEntries(filters.inputRanges),
+        mode: filters.mode,
+        groupMode: filters.groupMode,
+        typeLogic: JSON.parse(JSON.stringify(filters.typeLogic)),
+        expression: filters.expression
       },
       search: { ...this.state.search },
       sort: { ...this.state.sort },
@@ -167,29 +181,52 @@ export class State {
   }
 
   /**
-   * Import state
+   * Import state from an export() snapshot. Missing parts keep their current
+   * values; subscribers are not notified.
    * @param {Object} importedState - State to import
    */
   import(importedState) {
-    if (importedState.filters) {
-      this.state.filters.current = new Set(importedState.filters.current);
-      this.state.filters.groups = new Map(importedState.filters.groups);
-      this.state.filters.ranges = new Map(importedState.filters.ranges);
-      this.state.filters.dateRanges = new Map(importedState.filters.dateRanges);
-      this.state.filters.mode = importedState.filters.mode;
-      this.state.filters.groupMode = importedState.filters.groupMode;
+    const filters = importedState.filters;
+    if (filters && typeof filters === 'object' && !Array.isArray(filters)) {
+      const current = this.state.filters;
+      this.state.filters = {
+        current: new Set(filters.current ?? current.current),
+        groups: filters.groups
+          ? new Map(
+              filters.groups.map(([id, group]) => [
+                id,
+                { filters: new Set(group.filters), operator: group.operator }
+              ])
+            )
+          : current.groups,
+        ranges: filters.ranges ? new Map(filters.ranges) : current.ranges,
+        dateRanges: filters.dateRanges
+          ? new Map(filters.dateRanges)
+          : current.dateRanges,
+        inputRanges: filters.inputRanges
+          ? new Map(filters.inputRanges)
+          : current.inputRanges,
+        mode: filters.mode ?? current.mode,
+        groupMode: filters.groupMode ?? current.groupMode,
+        typeLogic: filters.typeLogic ?? current.typeLogic,
+        expression:
+          filters.expression !== undefined ? filters.expression : current.expression
+      };
     }
 
-    if (importedState.search) {
-      this.state.search = { ...importedState.search };
+    if (isObject(importedState.search)) {
+      this.state.search = { ...this.state.search, ...importedState.search };
     }
 
-    if (importedState.sort) {
-      this.state.sort = { ...importedState.sort };
+    if (isObject(importedState.sort)) {
+      this.state.sort = { ...this.state.sort, ...importedState.sort };
     }
 
-    if (importedState.pagination) {
-      this.state.pagination = { ...importedState.pagination };
+    if (isObject(importedState.pagination)) {
+      this.state.pagination = {
+        ...this.state.pagination,
+        ...importedState.pagination
+      };
     }
   }
 
@@ -203,8 +240,11 @@ export class State {
         groups: new Map(),
         ranges: new Map(),
         dateRanges: new Map(),
+        inputRanges: new Map(),
         mode: 'OR',
-        groupMode: 'OR'
+        groupMode: 'OR',
+        typeLogic: {},
+        expression: null
       },
       search: {
         query: '',
@@ -225,4 +265,12 @@ export class State {
       }
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a non-array object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
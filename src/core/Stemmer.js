@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Word stemming for search
+ *
+ * A stemmer maps a lowercase word to its stem so that inflected forms match:
+ * "running", "runs" and "run" all stem to "run". The built-in English
+ * stemmer is deliberately small (plurals, -ing, -ed, -ly and a final -e);
+ * plug in a full one (e.g. Porter or Snowball) through the `stemmer` option.
+ */
+
+const VOWEL = /[aeiouy]/;
+// A doubled final consonant left by -ing/-ed ("runn", "stopp"), except ll, ss, zz
+const DOUBLED = /([^aeiouylsz])\1$/;
+
+/**
+ * Simple English stemmer
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem; words of three letters or fewer, and words with
+ *   anything but a-z, are returned unchanged
+ */
+export function englishStemmer(word) {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let stem = word;
+  if (stem.endsWith("sses")) {
+    stem = stem.slice(0, -2); // glasses -> glass
+  } else if (stem.endsWith("ies")) {
+    stem = `${stem.slice(0, -3)}y`; // batteries -> battery
+  } else if (stem.endsWith("s") && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1); // sneakers -> sneaker
+  }
+
+  for (const suffix of ["ing", "ed"]) {
+    const base = stem.slice(0, -suffix.length);
+    if (stem.endsWith(suffix) && base.length >= 3 && VOWEL.test(base)) {
+      stem = DOUBLED.test(base) ? base.slice(0, -1) : base; // running -> run
+      break;
+    }
+  }
+
+  if (stem.endsWith("ly") && stem.length > 4) stem = stem.slice(0, -2);
+  // making -> mak and make -> mak
+  if (stem.endsWith("e") && stem.length > 3) stem = stem.slice(0, -1);
+
+  return stem;
+}
+
+/**
+ * Stem every word of a text
+ * @param {string} text - Lowercase text
+ * @param {Function} stem - (word) => stem
+ * @returns {string} The stems, separated by single spaces (punctuation is
+ *   dropped)
+ */
+export function stemText(text, stem) {
+  return (text.match(/[\p{L}\p{N}]+/gu) || []).map((word) => stem(word)).join(" ");
+}
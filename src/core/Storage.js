@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Storage adapters for persisted AFS state
+ *
+ * An adapter is any object with async get/set/remove:
+ *   get(key)        -> Promise<any>   (undefined when missing)
+ *   set(key, value) -> Promise<void>  (value is JSON-serializable)
+ *   remove(key)     -> Promise<void>
+ */
+
+/**
+ * Adapter over a Web Storage area (localStorage / sessionStorage)
+ */
+export class WebStorageAdapter {
+  /**
+   * @param {Function} getArea - () => Storage; resolved on each call so a
+   *   missing or blocked area fails the operation instead of construction
+   */
+  constructor(getArea) {
+    this.getArea = getArea;
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    const raw = this.getArea().getItem(key);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @param {any} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.getArea().setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.getArea().removeItem(key);
+  }
+}
+
+/**
+ * localStorage adapter (persists across sessions)
+ */
+export class LocalStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super(() => window.localStorage);
+  }
+}
+
+/**
+ * sessionStorage adapter (persists for the tab's lifetime)
+ */
+export class SessionStorageAdapter extends WebStorageAdapter {
+  constructor() {
+    super(() => window.sessionStorage);
+  }
+}
+
+/**
+ * In-memory adapter (lost on reload; useful for tests and SSR)
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @returns {Promise<any>}
+   */
+  async get(key) {
+    // Stored as JSON so callers never share references with the store
+    const raw = this.entries.get(key);
+    return raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @param {any} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.entries.set(key, JSON.stringify(value));
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * IndexedDB adapter (large quotas, structured values)
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.database="afs"] - Database name
+   * @param {string} [options.store="state"] - Object store name
+   */
+  constructor({ database = "afs", store = "state" } = {}) {
+    this.database = database;
+    this.store = store;
+    this.connection = null; // Promise<IDBDatabase>, opened on first use
+  }
+
+  /**
+   * Open (once) the database
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+
+        const request = indexedDB.open(this.database, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.store);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later call to retry after a failed open
+      this.connection.catch(() => {
+        this.connection = null;
+      });
+    }
+    return this.connection;
+  }
+
+  /**
+   * Run one request in its own transaction
+   * @private
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} operation - (objectStore) => IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(
+        db.transaction(this.store, mode).objectStore(this.store)
+      );
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @returns {Promise<any>}
+   */
+  get(key) {
+    return this.run("readonly", (store) => store.get(key));
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @param {any} value - Structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.run("readwrite", (store) => store.put(value, key));
+  }
+
+  /**
+   * @public
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.run("readwrite", (store) => store.delete(key));
+  }
+}
+
+const BUILT_IN_ADAPTERS = {
+  local: LocalStorageAdapter,
+  session: SessionStorageAdapter,
+  memory: MemoryStorageAdapter,
+  indexedDB: IndexedDBStorageAdapter,
+};
+
+/**
+ * Resolve the `storage.adapter` option to an adapter instance
+ * @param {string|Object} adapter - "local", "session", "memory",
+ *   "indexedDB", or an object implementing get/set/remove
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the adapter is unknown or incomplete
+ */
+export function createStorageAdapter(adapter) {
+  if (typeof adapter === "string") {
+    const Adapter = BUILT_IN_ADAPTERS[adapter];
+    if (!Adapter) {
+      throw new Error(
+        `Unknown storage adapter "${adapter}" (expected ${Object.keys(
+          BUILT_IN_ADAPTERS
+        ).join(", ")})`
+      );
+    }
+    return new Adapter();
+  }
+
+  const isAdapter =
+    adapter &&
+    ["get", "set", "remove"].every(
+      (method) => typeof adapter[method] === "function"
+    );
+  if (!isAdapter) {
+    throw new Error("Storage adapter must implement get, set and remove");
+  }
+  return adapter;
+}
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Synonym dictionaries for search
+ *
+ * The `synonyms` option maps a word or phrase to its equivalents:
+ *   { sneakers: ["trainers", "running shoes"] }
+ * Equivalence goes both ways, so "trainers" also finds "sneakers" (but
+ * "trainers" and "running shoes" are only linked through "sneakers" if
+ * they share an entry, as here).
+ */
+
+/**
+ * Build the lookup table for a synonym dictionary
+ * @param {Object<string, string[]>} synonyms - Word or phrase -> equivalents
+ * @param {Function} fold - Folding applied to every entry (see TextFolding.js)
+ * @returns {Map<string, string[]>} Folded word or phrase -> its folded
+ *   equivalents
+ */
+export function buildSynonymMap(synonyms, fold) {
+  const groups = new Map();
+
+  Object.entries(synonyms || {}).forEach(([word, equivalents]) => {
+    const group = [word, ...equivalents]
+      .map((entry) => fold(String(entry)).trim().replace(/\s+/g, " "))
+      .filter(Boolean);
+
+    group.forEach((entry) => {
+      if (!groups.has(entry)) groups.set(entry, new Set());
+      group.forEach((other) => {
+        if (other !== entry) groups.get(entry).add(other);
+      });
+    });
+  });
+
+  return new Map(Array.from(groups, ([entry, others]) => [entry, Array.from(others)]));
+}
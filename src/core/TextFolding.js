@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Locale-aware, accent-insensitive text folding for search
+ *
+ * Text is folded one code point at a time: lowercased for the locale (so
+ * Turkish "I" becomes "ı" and "İ" becomes "i"), decomposed (NFD) and
+ * stripped of combining marks, with a few letters that have no
+ * decomposition spelled out ("ø" -> "o", "ß" -> "ss"). Folding per code
+ * point lets every folded character be traced back to the original text,
+ * which is how highlights land on the accented original.
+ */
+
+// Letters that NFD does not split into base + mark
+const LOOSE_LETTERS = {
+  "ß": "ss",
+  "æ": "ae",
+  "œ": "oe",
+  "ø": "o",
+  "đ": "d",
+  "ð": "d",
+  "ħ": "h",
+  "ł": "l",
+  "ŧ": "t",
+};
+
+const COMBINING_MARK = /\p{Mn}/u;
+const COMBINING_MARKS = /\p{Mn}+/gu;
+const ASCII = /^[\x00-\x7f]*$/;
+
+/**
+ * Create a folding function
+ * @param {Object} [options]
+ * @param {string} [options.locale] - BCP 47 tag used for lowercasing;
+ *   invalid or missing tags use the default locale
+ * @param {boolean} [options.ignoreDiacritics=true] - Strip accents and
+ *   spell out the letters in LOOSE_LETTERS
+ * @returns {Function} (text) => folded text; the options are exposed as
+ *   `fold.locale` and `fold.ignoreDiacritics`
+ */
+export function createFolder({ locale, ignoreDiacritics = true } = {}) {
+  locale = locale || undefined;
+  try {
+    "".toLocaleLowerCase(locale);
+  } catch (error) {
+    locale = undefined; // Invalid language tag
+  }
+
+  const foldChar = (char) => {
+    const lower = char.toLocaleLowerCase(locale);
+    if (!ignoreDiacritics) return lower;
+    return Array.from(lower.normalize("NFD").replace(COMBINING_MARKS, ""))
+      .map((c) => LOOSE_LETTERS[c] ?? c)
+      .join("");
+  };
+
+  const fold = (text) => {
+    text = String(text ?? "");
+    // ASCII lowercases one character at a time anyway
+    if (ASCII.test(text)) return text.toLocaleLowerCase(locale);
+
+    let folded = "";
+    for (const char of text) folded += foldChar(char);
+    return folded;
+  };
+
+  fold.foldChar = foldChar;
+  fold.locale = locale;
+  fold.ignoreDiacritics = ignoreDiacritics;
+  return fold;
+}
+
+/**
+ * Fold text and record where each folded character came from
+ * @param {string} text - Original text
+ * @param {Function} fold - Function from createFolder()
+ * @returns {{text: string, starts: number[], ends: number[]}} Folded text;
+ *   folded character i came from original text.slice(starts[i], ends[i])
+ */
+export function foldWithOffsets(text, fold) {
+  let folded = "";
+  const starts = [];
+  const ends = [];
+
+  let index = 0;
+  for (const char of text) {
+    const piece = fold.foldChar(char);
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(index);
+      ends.push(index + char.length);
+    }
+    folded += piece;
+    index += char.length;
+  }
+
+  return { text: folded, starts, ends };
+}
+
+/**
+ * Find folded words in original text
+ * @param {string} text - Original text
+ * @param {string[]} words - Folded words to find
+ * @param {Function} fold - Function from createFolder()
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end)
+ *   ranges in the original text; a range never ends between a letter and
+ *   its combining marks
+ */
+export function findFoldedRanges(text, words, fold) {
+  const { text: folded, starts, ends } = foldWithOffsets(text, fold);
+  const ranges = [];
+
+  words.forEach((word) => {
+    if (!word) return;
+    let from = folded.indexOf(word);
+    while (from !== -1) {
+      let end = ends[from + word.length - 1];
+      while (end < text.length && COMBINING_MARK.test(text[end])) end++;
+      ranges.push([starts[from], end]);
+      from = folded.indexOf(word, from + word.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Type-ahead suggestions for the search input
+ */
+
+import { tokenize } from "../core/Fuzzy";
+
+let instanceCount = 0;
+
+export class Autocomplete {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   * @param {import('./Search').Search} search - Search feature that owns the input
+   */
+  constructor(afs, search) {
+    this.afs = afs;
+    this.search = search;
+    this.input = search.searchInput;
+    this.listId = `afs-autocomplete-${++instanceCount}`;
+    this.list = null;
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this.vocabulary = null; // Folded word -> number of items containing it
+    this.handlers = {};
+    this.initialize();
+  }
+
+  /**
+   * Create the listbox and bind the input
+   * @private
+   */
+  initialize() {
+    this.list = document.createElement("ul");
+    this.list.id = this.listId;
+    this.list.className = this.afs.options.get("autocomplete.listClass");
+    this.list.setAttribute("role", "listbox");
+    this.list.hidden = true;
+    this.input.insertAdjacentElement("afterend", this.list);
+
+    this.input.setAttribute("role", "combobox");
+    this.input.setAttribute("aria-autocomplete", "list");
+    this.input.setAttribute("aria-controls", this.listId);
+    this.input.setAttribute("aria-expanded", "false");
+
+    this.handlers = {
+      input: () => this.update(),
+      focus: () => this.update(),
+      blur: () => {
+        this.close();
+        this.vocabulary = null; // Items may change before the next focus
+      },
+      keydown: (e) => this.handleKeydown(e),
+      // Keep the focus in the input while an option is clicked
+      mousedown: (e) => e.preventDefault(),
+      click: (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) this.select(Number(option.dataset.index));
+      },
+    };
+    ["input", "focus", "blur", "keydown"].forEach((type) =>
+      this.input.addEventListener(type, this.handlers[type])
+    );
+    ["mousedown", "click"].forEach((type) =>
+      this.list.addEventListener(type, this.handlers[type])
+    );
+
+    this.afs.logger.debug("Search autocomplete initialized");
+  }
+
+  /**
+   * Arrow keys move through the options, Enter selects, Escape closes
+   * @private
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    const open = !this.list.hidden;
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        e.preventDefault();
+        if (!open) {
+          this.update();
+          if (this.list.hidden) return;
+        }
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        const count = this.suggestions.length;
+        // Wraps around, through "no option" (-1) back to the input text
+        const next = ((this.activeIndex + 1 + step + count + 1) % (count + 1)) - 1;
+        this.setActive(next);
+        break;
+      }
+      case "Enter":
+        if (open && this.activeIndex >= 0) {
+          e.preventDefault(); // Also keeps Search from searching the typed text
+          this.select(this.activeIndex);
+        } else {
+          this.close();
+        }
+        break;
+      case "Escape":
+        if (open) {
+          e.preventDefault();
+          this.close();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Recompute the suggestions for the input text and show them: recent
+   * searches while the input is empty
+   * @public
+   */
+  update() {
+    const text = this.search.getFolder()(this.input.value.trim());
+    if (!text) {
+      this.suggestions = this.getRecentSuggestions();
+    } else if (
+      this.afs.options.get("autocomplete.enabled") &&
+      text.length >= this.afs.options.get("autocomplete.minLength")
+    ) {
+      this.suggestions = this.getSuggestions(text);
+    } else {
+      this.suggestions = [];
+    }
+    this.render();
+  }
+
+  /**
+   * The visitor's recent searches (see RecentSearches)
+   * @private
+   * @returns {Array<{type: string, label: string, value: string, count: null}>}
+   */
+  getRecentSuggestions() {
+    return this.search
+      .getHistory()
+      .slice(0, this.afs.options.get("autocomplete.maxSuggestions"))
+      .map((query) => ({ type: "recent", label: query, value: query, count: null }));
+  }
+
+  /**
+   * Suggestions for a folded input text: matching titles, frequent words
+   * that complete it, then matching filter buttons. Each carries the number
+   * of items it would show; suggestions that would show none are left out.
+   * @public
+   * @param {string} text - Folded input text
+   * @returns {Array<{type: string, label: string, value: string, count: number}>}
+   *   `type` is "title", "term" or "filter"; `value` is the query, or the
+   *   filter value for "filter"
+   */
+  getSuggestions(text) {
+    const fold = this.search.getFolder();
+    const max = this.afs.options.get("autocomplete.maxSuggestions");
+    const index = this.afs.index;
+
+    // Items that pass everything but the search
+    const candidates = Array.from(
+      this.afs.pipeline.compute(this.afs.items, { search: null })
+    );
+    const countMatches = (query) => {
+      const folded = fold(query);
+      return candidates.filter((item) =>
+        this.search.getItemSearchText(item).includes(folded)
+      ).length;
+    };
+
+    const suggestions = [];
+    const seen = new Set();
+    const add = (suggestion) => {
+      // A filter is a different action from searching for the same text
+      const key = `${suggestion.type === "filter"}:${fold(suggestion.label)}`;
+      if (seen.has(key) || !suggestion.count) return;
+      seen.add(key);
+      suggestions.push(suggestion);
+    };
+
+    Array.from(this.afs.items)
+      .map((item) => index.getRaw(item, "title"))
+      .filter((title) => title && fold(title).includes(text))
+      .sort((a, b) => Number(!fold(b).startsWith(text)) - Number(!fold(a).startsWith(text)))
+      .forEach((title) => {
+        if (suggestions.length < max) {
+          add({ type: "title", label: title, value: title, count: countMatches(title) });
+        }
+      });
+
+    Array.from(this.getVocabulary())
+      .filter(([word]) => word.startsWith(text) && word !== text)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([word]) => {
+        if (suggestions.length < max) {
+          add({ type: "term", label: word, value: word, count: countMatches(word) });
+        }
+      });
+
+    const filter = this.afs.filter;
+    if (filter && suggestions.length < max) {
+      const active = filter.getActiveFilters();
+      const counts = filter.getFacetCounts({ ignoreSearch: true });
+      filter.filterButtons.forEach((value, button) => {
+        const label = filter.getControlLabel(button);
+        if (
+          suggestions.length < max &&
+          label &&
+          !value.endsWith("*") &&
+          !active.has(value) &&
+          fold(label).includes(text)
+        ) {
+          add({ type: "filter", label, value, count: counts.get(value) ?? 0 });
+        }
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Words of the searched keys and how many items contain each, built once
+   * per focus
+   * @private
+   * @returns {Map<string, number>}
+   */
+  getVocabulary() {
+    if (!this.vocabulary) {
+      this.vocabulary = new Map();
+      this.afs.items.forEach((item) => {
+        new Set(tokenize(this.search.getItemSearchText(item))).forEach((word) => {
+          this.vocabulary.set(word, (this.vocabulary.get(word) || 0) + 1);
+        });
+      });
+    }
+    return this.vocabulary;
+  }
+
+  /**
+   * Render the suggestions into the listbox
+   * @private
+   */
+  render() {
+    this.activeIndex = -1;
+    this.input.removeAttribute("aria-activedescendant");
+    this.list.replaceChildren(
+      ...this.suggestions.map((suggestion, i) => {
+        const option = document.createElement("li");
+        option.id = `${this.listId}-${i}`;
+        option.className = this.afs.options.get("autocomplete.optionClass");
+        option.dataset.index = String(i);
+        option.dataset.type = suggestion.type;
+        option.setAttribute("role", "option");
+        option.setAttribute("aria-selected", "false");
+        option.append(this.renderSuggestion(suggestion));
+        return option;
+      })
+    );
+
+    const open = this.suggestions.length > 0 && document.activeElement === this.input;
+    this.list.hidden = !open;
+    this.input.setAttribute("aria-expanded", String(open));
+  }
+
+  /**
+   * Content of one option from the `autocomplete.template` option (or
+   * `autocomplete.recentTemplate` for recent searches, which have no count):
+   * a string with {label}, {count} and {type} placeholders, or a function
+   * returning a string or a Node. Strings are inserted as text.
+   * @private
+   * @param {Object} suggestion - See getSuggestions()
+   * @returns {Node|string}
+   */
+  renderSuggestion(suggestion) {
+    const template = this.afs.options.get(
+      suggestion.type === "recent" ? "autocomplete.recentTemplate" : "autocomplete.template"
+    );
+    if (typeof template === "function") return template(suggestion);
+
+    const formatter =
+      this.afs.options.get("counter.formatter") || ((num) => num.toLocaleString());
+    return template
+      .replace("{label}", suggestion.label)
+      .replace("{count}", suggestion.count === null ? "" : formatter(suggestion.count))
+      .replace("{type}", suggestion.type);
+  }
+
+  /**
+   * Mark an option as the active one
+   * @private
+   * @param {number} index - Option index, -1 for none
+   */
+  setActive(index) {
+    const activeClass = this.afs.options.get("autocomplete.activeClass");
+    Array.from(this.list.children).forEach((option, i) => {
+      option.classList.toggle(activeClass, i === index);
+      option.setAttribute("aria-selected", String(i === index));
+    });
+
+    this.activeIndex = index;
+    if (index >= 0) {
+      this.input.setAttribute("aria-activedescendant", `${this.listId}-${index}`);
+      this.list.children[index].scrollIntoView?.({ block: "nearest" });
+    } else {
+      this.input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  /**
+   * Use a suggestion: search for it, or for a filter suggestion clear the
+   * search and click the filter button
+   * @public
+   * @param {number} index - Suggestion index
+   */
+  select(index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) return;
+
+    this.close();
+    if (suggestion.type === "filter") {
+      this.search.clearSearch();
+      const button = Array.from(this.afs.filter.filterButtons.keys()).find(
+        (element) => this.afs.filter.filterButtons.get(element) === suggestion.value
+      );
+      button?.click();
+    } else {
+      this.search.setValue(suggestion.value);
+    }
+
+    this.afs.emit("suggestionSelected", { ...suggestion });
+  }
+
+  /**
+   * Hide the listbox
+   * @public
+   */
+  close() {
+    this.list.hidden = true;
+    this.input.setAttribute("aria-expanded", "false");
+    this.setActive(-1);
+  }
+
+  /**
+   * Remove the listbox and the input bindings
+   * @public
+   */
+  destroy() {
+    ["input", "focus", "blur", "keydown"].forEach((type) =>
+      this.input.removeEventListener(type, this.handlers[type])
+    );
+    ["role", "aria-autocomplete", "aria-controls", "aria-expanded", "aria-activedescendant"]
+      .forEach((attribute) => this.input.removeAttribute(attribute));
+    this.list?.remove();
+    this.list = null;
+    this.afs.logger.debug("Search autocomplete destroyed");
+  }
+}
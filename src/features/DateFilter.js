@@ -9,6 +9,8 @@ export class DateFilter {
     this.afs = afs;
     this.activeDateRanges = new Map();
     this.defaultFormat = this.afs.options.get('dateFormat') || 'YYYY-MM-DD';
+
+    this.afs.pipeline.register('date', (item) => this.itemMatchesDateRanges(item));
   }
 
   /**
@@ -33,6 +35,19 @@ export class DateFilter {
     return new Date(value);
   }
 
+  /**
+   * Item's local date timestamp, cached in the item index
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @param {string} key - Data attribute key
+   * @returns {number} Timestamp, NaN when missing or invalid
+   */
+  getItemTime(item, key) {
+    return this.afs.index.getParsed(item, key, "localDate", (value) =>
+      value ? this.parseLocalDate(value).getTime() : NaN
+    );
+  }
+
   /**
    * @typedef {Object} DateRangeOptions
    * @property {string} key - Data attribute key
@@ -86,11 +101,9 @@ export class DateFilter {
     try {
       const validDates = Array.from(this.afs.items)
         .map(item => {
-          if (!item || !item.dataset || !item.dataset[key]) {
-            return null;
-          }
-          const date = this.parseLocalDate(item.dataset[key]);
-          return isNaN(date.getTime()) ? null : date;
+          if (!item) return null;
+          const time = this.getItemTime(item, key);
+          return isNaN(time) ? null : new Date(time);
         })
         .filter(date => date !== null);
   
@@ -256,46 +269,12 @@ export class DateFilter {
   applyDateFilter(key) {
     this.afs.logger.info(`Applying date filter for ${key}`);
     const { state } = this.activeDateRanges.get(key);
-  
-    this.afs.items.forEach(item => {
-      try {
-        // Check if item and dataset exist
-        if (!item || !item.dataset || !item.dataset[key]) {
-          this.afs.hideItem(item);
-          return;
-        }
-  
-        const itemDate = this.parseLocalDate(item.dataset[key]);
 
-        // Check if date is valid
-        if (isNaN(itemDate.getTime())) {
-          this.afs.hideItem(item);
-          return;
-        }
-  
-        // Set time to midnight for consistent comparison
-        const startDate = new Date(state.currentStartDate);
-        startDate.setHours(0, 0, 0, 0);
-        
-        const endDate = new Date(state.currentEndDate);
-        endDate.setHours(23, 59, 59, 999);
-        
-        const compareDate = new Date(itemDate);
-        compareDate.setHours(0, 0, 0, 0);
-  
-        if (compareDate >= startDate && compareDate <= endDate) {
-          this.afs.showItem(item);
-        } else {
-          this.afs.hideItem(item);
-        }
-      } catch (error) {
-        this.afs.logger.error('Error filtering item by date:', error);
-        this.afs.hideItem(item);
-      }
-    });
-  
-    this.afs.updateCounter();
-    this.afs.urlManager.updateURL();
+    // From now on this range constrains the pipeline
+    state.applied = true;
+    this.syncState();
+    this.afs.pipeline.apply();
+
     this.afs.emit("dateFilter", {
       key,
       startDate: state.currentStartDate,
@@ -303,6 +282,38 @@ export class DateFilter {
     });
   }
 
+  /**
+   * Check if item falls within every applied date range (pipeline predicate)
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {boolean} Whether item matches all applied date ranges
+   */
+  itemMatchesDateRanges(item) {
+    for (const [key, { state }] of this.activeDateRanges) {
+      if (!state.applied) continue;
+
+      // Items without a (valid) date never match an applied range
+      if (!item) return false;
+
+      const itemTime = this.getItemTime(item, key);
+      if (isNaN(itemTime)) return false;
+
+      // Set time to midnight for consistent comparison
+      const startDate = new Date(state.currentStartDate);
+      startDate.setHours(0, 0, 0, 0);
+
+      const endDate = new Date(state.currentEndDate);
+      endDate.setHours(23, 59, 59, 999);
+
+      const compareDate = new Date(itemTime);
+      compareDate.setHours(0, 0, 0, 0);
+
+      if (compareDate < startDate || compareDate > endDate) return false;
+    }
+
+    return true;
+  }
+
   /**
    * Get current date range
    * @param {string} key - Date range key
@@ -350,9 +361,55 @@ export class DateFilter {
 
     range.elements.container.remove();
     this.activeDateRanges.delete(key);
+
+    // Items this range was hiding become visible again
+    if (range.state.applied) {
+      this.syncState();
+      this.afs.pipeline.apply();
+    }
+
     this.afs.logger.info(`Date range removed for ${key}`);
   }
 
+  /**
+   * Mirror the applied date ranges into the shared State
+   * (`filters.dateRanges`, as {start, end} dates)
+   * @private
+   */
+  syncState() {
+    const ranges = new Map();
+    this.activeDateRanges.forEach(({ state }, key) => {
+      if (!state.applied) return;
+      ranges.set(key, {
+        start: new Date(state.currentStartDate),
+        end: new Date(state.currentEndDate)
+      });
+    });
+    this.afs.state.setState('filters.dateRanges', ranges);
+  }
+
+  /**
+   * Set the date pickers to the ranges of a snapshot (`filters.dateRanges`
+   * from State.export(); dates may be Date objects or ISO strings). Pickers
+   * missing from it are reset to their full range; snapshot entries without
+   * a picker are ignored. Does not re-apply the pipeline.
+   * @public
+   * @param {Array<[string, Object]>} ranges - [key, {start, end}] pairs
+   */
+  restoreSnapshot(ranges = []) {
+    const saved = new Map(ranges);
+
+    this.activeDateRanges.forEach(({ state }, key) => {
+      const range = saved.get(key);
+      state.applied = Boolean(range);
+      state.currentStartDate = range ? new Date(range.start) : state.minDate;
+      state.currentEndDate = range ? new Date(range.end) : state.maxDate;
+      this.updateDateUI(key);
+    });
+
+    this.syncState();
+  }
+
   /**
    * Destroy all date ranges and detach their listeners
    * @public
@@ -2,14 +2,38 @@
  * @fileoverview Filter functionality for AFS
  */
 
+import { FilterExpression } from "../core/FilterExpression";
+
+// Active-filter token prefix for custom predicates (e.g. "predicate:inStock")
+const PREDICATE_PREFIX = "predicate:";
+
+// Active-filter token prefix for exclusions (e.g. "!brand:ferrari")
+const EXCLUSION_PREFIX = "!";
+
+// Holds an <option>'s label while its text carries a facet count
+const OPTION_LABEL_ATTR = "data-afs-label";
 
 export class Filter {
   /**
    * @param {import('../AFS').AFS} afs - Main AFS instance
+   * @param {Object} [options]
+   * @param {boolean} [options.dom=true] - Bind buttons and dropdowns; false
+   *   for the matching logic alone (see HeadlessAFS)
    */
-  constructor(afs) {
+  constructor(afs, { dom = true } = {}) {
     this.afs = afs;
-    this.animation = afs.animation;
+    this.initializeState();
+
+    if (dom) this.setupFilters();
+    this.afs.pipeline.register("filter", (item) => this.itemMatchesFilters(item));
+  }
+
+  /**
+   * Set up the state the matching logic reads, DOM or not
+   * @private
+   */
+  initializeState() {
+    this.animation = this.afs.animation;
     this.filterButtons = new Map();
     this.filterHandlers = new Map(); // Store button event handlers for cleanup
     this.dropdownHandlers = new Map(); // Store dropdown event handlers for cleanup
@@ -19,10 +43,13 @@ export class Filter {
     this.sortOrders = new Map();
     this.itemDisplayTypes = new Map(); // Store original display types
     this.exclusiveFilterTypes = new Set(); // Track filter types that should use exclusive toggle
+    this.predicates = new Map(); // name -> { predicate, enabled }
+    this.facetElements = new Set(); // Controls currently showing a facet count
+    this.emptyElements = new Map(); // Controls disabled/hidden for zero results
+    this.expression = null; // { expression: FilterExpression, test: Function }
+    this.attributeTypes = null; // getAttributeTypes() result: { revision, attributes }
     this.isScrolling = false;
     this.scrollTimeout = null;
-
-    this.setupFilters();
   }
 
   /**
@@ -106,10 +133,11 @@ export class Filter {
 
     const handler = () => {
       const selectedValue = dropdown.value;
-      const filterType = dropdown.getAttribute("data-filter-type") || selectedValue.split(":")[0];
-
       // Treat empty value same as "*" — means "show all for this type"
-      const isShowAll = selectedValue === "*" || selectedValue === "" || selectedValue.endsWith(":all");
+      const { type: filterType, isShowAll } = this.parseDropdownValue(
+        dropdown,
+        selectedValue
+      );
 
       // Only clear "*" if we're adding a specific filter
       if (!isShowAll) {
@@ -194,10 +222,13 @@ export class Filter {
     // Extract the category name (e.g., "brand:*" -> "brand")
     const category = categoryFilter.replace(":*", "");
     
-    // Find and remove all active filters of this category
+    // Find and remove all active filters of this category, exclusions included
     const filtersToRemove = [];
     this.activeFilters.forEach(filter => {
-      if (filter !== "*" && filter.startsWith(`${category}:`)) {
+      if (
+        filter.startsWith(`${category}:`) ||
+        filter.startsWith(`${EXCLUSION_PREFIX}${category}:`)
+      ) {
         filtersToRemove.push(filter);
       }
     });
@@ -260,46 +291,14 @@ export class Filter {
 
     // Clear filter groups
     this.filterGroups.clear();
+    this.syncCheckboxStates();
+    this.syncState();
 
-    // Update state — all items are now visible (filter-wise)
-    const visibleItems = new Set(this.afs.items);
-    this.afs.state.setState("items.visible", visibleItems);
-
-    if (this.afs.options.get("pagination.enabled")) {
-      // PAGINATION PATH: Let pagination handle display
-      this.afs.pagination.update();
-      this.afs.updateCounter();
-      this.afs.urlManager.updateURL();
+    // Search and range predicates still apply, so the result is not
+    // necessarily every item
+    this.afs.pipeline.apply().then(() => {
       this.afs.emit("filtersReset");
-    } else {
-      // NON-PAGINATION PATH: Animate all items
-
-      const animationPromises = [];
-
-      this.afs.items.forEach((item) => {
-        const promise = new Promise((resolve) => {
-          item.classList.remove(this.afs.options.get("hiddenClass"));
-
-          requestAnimationFrame(() => {
-            this.animation.applyShowAnimation(
-              item,
-              this.afs.options.get("animation.type")
-            );
-            setTimeout(
-              resolve,
-              this.afs.options.get("animation.duration") || 300
-            );
-          });
-        });
-        animationPromises.push(promise);
-      });
-
-      Promise.all(animationPromises).then(() => {
-        this.afs.updateCounter();
-        this.afs.urlManager.updateURL();
-        this.afs.emit("filtersReset");
-      });
-    }
+    });
   }
 
   /**
@@ -357,73 +356,9 @@ export class Filter {
       this.activeFilters.add(filterValue);
     } else {
       // For checkboxes/buttons, handle exclusive toggle based on logic configuration
-      const filterCategoryMode = (this.afs.options.get("filterCategoryMode") || "mixed").toUpperCase();
-      const filterMode = this.afs.options.get("filterMode") || "OR";
-      const filterTypeLogic = this.afs.options.get("filterTypeLogic") || {};
-      
-      // Extract filter type/category from the filter value (e.g., "category:demo" -> "category")
       const [filterType] = filterValue.split(":");
-      
-      // Determine the logic for this specific filter type
-      let typeLogic;
-      let allowMultiple = false; // Default to exclusive for OR mode
-      
-      if (filterCategoryMode === "MIXED" && filterType) {
-        // In mixed mode, check if there's a specific logic for this type
-        const typeConfig = filterTypeLogic[filterType];
-        
-        if (typeof typeConfig === 'object' && typeConfig !== null) {
-          // Extended configuration format: {mode: 'OR', multi: true}
-          const mode = typeConfig.mode || 'OR';
-          typeLogic = (typeof mode === 'string' ? mode : 'OR').toUpperCase();
-          allowMultiple = typeConfig.multi === true;
-        } else if (typeof typeConfig === 'string') {
-          // Simple string format: 'OR'
-          typeLogic = typeConfig.toUpperCase();
-          // For OR mode, default to exclusive (single selection)
-          allowMultiple = false;
-        } else {
-          // Default fallback
-          this.afs.logger.warn(`Unexpected typeConfig type for '${filterType}':`, typeof typeConfig, typeConfig);
-          typeLogic = 'OR';
-          allowMultiple = false;
-        }
-      } else {
-        // In non-mixed mode, use the global filter mode
-        typeLogic = filterMode.toUpperCase();
-        allowMultiple = false; // Default to exclusive for OR
-      }
-      
-      // Check if this filter type should use exclusive toggle
-      const isExclusiveType = this.exclusiveFilterTypes.has(filterType);
-      
-      // Apply exclusive toggle if:
-      // 1. The type is explicitly set as exclusive (for radio buttons), OR
-      // 2. The button/input type suggests exclusive behavior (radio, select with single selection), OR
-      // 3. The type logic is OR and allowMultiple is false (default behavior)
-      const isRadioInput = button.type === 'radio' || button.tagName === 'SELECT';
-      const isCheckboxInput = button.type === 'checkbox';
-      const isRegularButton = button.tagName === 'BUTTON';
-      
-      // Determine if we should use exclusive toggle
-      let shouldUseExclusiveToggle;
-      if (allowMultiple) {
-        // If explicitly set to allow multiple, never use exclusive toggle
-        shouldUseExclusiveToggle = false;
-      } else if (isRadioInput) {
-        // Radio inputs are always exclusive
-        shouldUseExclusiveToggle = true;
-      } else if (typeLogic === 'OR') {
-        // For OR logic without multi:true, use exclusive toggle for buttons (not checkboxes)
-        shouldUseExclusiveToggle = isRegularButton || !isCheckboxInput;
-      } else {
-        // AND logic defaults to allowing multiple
-        shouldUseExclusiveToggle = false;
-      }
-      
-      this.afs.logger.debug(`Toggle filter debug: filterValue=${filterValue}, filterType=${filterType}, typeLogic=${typeLogic}, allowMultiple=${allowMultiple}, button.type=${button.type}, button.tagName=${button.tagName}, isExclusiveType=${isExclusiveType}, isRadioInput=${isRadioInput}, isCheckboxInput=${isCheckboxInput}, isRegularButton=${isRegularButton}, shouldUseExclusiveToggle=${shouldUseExclusiveToggle}`);
-      
-      if ((isExclusiveType || isRadioInput || shouldUseExclusiveToggle) && filterType && filterValue.includes(":")) {
+
+      if (this.usesExclusiveToggle(filterValue, button)) {
         // Find and deactivate other buttons with the same filter type
         this.filterButtons.forEach((value, btn) => {
           if (value !== filterValue && value.startsWith(`${filterType}:`)) {
@@ -450,6 +385,15 @@ export class Filter {
       } else {
         this.afs.logger.debug(`Activating button for ${filterValue}`);
         button.classList.add(this.afs.options.get("activeClass"));
+        this.collapseHierarchy(this.activeFilters, filterValue).forEach(
+          (removed) => {
+            this.filterButtons.forEach((value, btn) => {
+              if (value === removed) {
+                btn.classList.remove(this.afs.options.get("activeClass"));
+              }
+            });
+          }
+        );
         this.activeFilters.add(filterValue);
       }
       
@@ -467,121 +411,110 @@ export class Filter {
     this.afs.logger.debug("Filter toggled:", filterValue);
   }
 
+  /**
+   * Whether toggling a button deactivates the other filters of its type
+   * @private
+   * @param {string} filterValue - Filter value
+   * @param {HTMLElement} button - Filter button
+   * @returns {boolean}
+   */
+  usesExclusiveToggle(filterValue, button) {
+    // Exclusions accumulate: excluding one brand never re-includes another
+    if (filterValue.startsWith(EXCLUSION_PREFIX)) return false;
+
+    const filterCategoryMode = (this.afs.options.get("filterCategoryMode") || "mixed").toUpperCase();
+    const filterMode = this.afs.options.get("filterMode") || "OR";
+    const filterTypeLogic = this.afs.options.get("filterTypeLogic") || {};
+    
+    // Extract filter type/category from the filter value (e.g., "category:demo" -> "category")
+    const [filterType] = filterValue.split(":");
+    
+    // Determine the logic for this specific filter type
+    let typeLogic;
+    let allowMultiple = false; // Default to exclusive for OR mode
+    
+    if (filterCategoryMode === "MIXED" && filterType) {
+      // In mixed mode, check if there's a specific logic for this type
+      const typeConfig = filterTypeLogic[filterType];
+      
+      if (typeof typeConfig === 'object' && typeConfig !== null) {
+        // Extended configuration format: {mode: 'OR', multi: true}
+        const mode = typeConfig.mode || 'OR';
+        typeLogic = (typeof mode === 'string' ? mode : 'OR').toUpperCase();
+        allowMultiple = typeConfig.multi === true;
+      } else if (typeof typeConfig === 'string') {
+        // Simple string format: 'OR'
+        typeLogic = typeConfig.toUpperCase();
+        // For OR mode, default to exclusive (single selection)
+        allowMultiple = false;
+      } else {
+        // Default fallback (no config for this type is the common case)
+        if (typeConfig !== undefined) {
+          this.afs.logger.warn(`Unexpected typeConfig type for '${filterType}':`, typeof typeConfig, typeConfig);
+        }
+        typeLogic = 'OR';
+        allowMultiple = false;
+      }
+    } else {
+      // In non-mixed mode, use the global filter mode
+      typeLogic = filterMode.toUpperCase();
+      allowMultiple = false; // Default to exclusive for OR
+    }
+    
+    // Check if this filter type should use exclusive toggle
+    const isExclusiveType = this.exclusiveFilterTypes.has(filterType);
+    
+    // Apply exclusive toggle if:
+    // 1. The type is explicitly set as exclusive (for radio buttons), OR
+    // 2. The button/input type suggests exclusive behavior (radio, select with single selection), OR
+    // 3. The type logic is OR and allowMultiple is false (default behavior)
+    const isRadioInput = button.type === 'radio' || button.tagName === 'SELECT';
+    const isCheckboxInput = button.type === 'checkbox';
+    const isRegularButton = button.tagName === 'BUTTON';
+    
+    // Determine if we should use exclusive toggle
+    let shouldUseExclusiveToggle;
+    if (allowMultiple) {
+      // If explicitly set to allow multiple, never use exclusive toggle
+      shouldUseExclusiveToggle = false;
+    } else if (isRadioInput) {
+      // Radio inputs are always exclusive
+      shouldUseExclusiveToggle = true;
+    } else if (typeLogic === 'OR') {
+      // For OR logic without multi:true, use exclusive toggle for buttons (not checkboxes)
+      shouldUseExclusiveToggle = isRegularButton || !isCheckboxInput;
+    } else {
+      // AND logic defaults to allowing multiple
+      shouldUseExclusiveToggle = false;
+    }
+    
+    this.afs.logger.debug(`Toggle filter debug: filterValue=${filterValue}, filterType=${filterType}, typeLogic=${typeLogic}, allowMultiple=${allowMultiple}, button.type=${button.type}, button.tagName=${button.tagName}, isExclusiveType=${isExclusiveType}, isRadioInput=${isRadioInput}, isCheckboxInput=${isCheckboxInput}, isRegularButton=${isRegularButton}, shouldUseExclusiveToggle=${shouldUseExclusiveToggle}`);
+
+    return (isExclusiveType || isRadioInput || shouldUseExclusiveToggle) && !!filterType && filterValue.includes(":");
+  }
+
   /**
    * Apply current filters
    * @public
    */
   applyFilters() {
-    const activeFilters = Array.from(this.activeFilters);
+    const activeFilters = Array.from(this.getActiveFilters());
     this.afs.logger.debug("Active filters:", activeFilters);
+    this.syncState();
 
     const previouslyVisible = new Set(this.afs.state.getState().items.visible);
-    const visibleItems = new Set();
-
-    // First determine visibility
-    this.afs.items.forEach((item) => {
-      if (this.activeFilters.has("*") || this.itemMatchesFilters(item)) {
-        visibleItems.add(item);
-      }
-    });
-
-    // Update state before animations
-    this.afs.state.setState("items.visible", visibleItems);
-
-    const paginationEnabled = this.afs.options.get("pagination.enabled");
-
-    if (paginationEnabled) {
-      // PAGINATION PATH: Don't animate items individually —
-      // let pagination handle display for the current page.
-      // Only hide non-matching items immediately.
-      this.afs.items.forEach((item) => {
-        if (!visibleItems.has(item)) {
-          item.classList.add(this.afs.options.get("hiddenClass"));
-          item.style.display = "none";
-        }
-      });
-
-      // Pagination handles showing the correct page of matching items
-      this.afs.pagination.update();
 
-      this.afs.updateCounter();
-      this.afs.urlManager.updateURL();
+    // Visibility is computed once by the shared pipeline, so category filters
+    // compose with search and range predicates instead of overwriting them
+    const rendered = this.afs.pipeline.apply();
+    const visibleItems = this.afs.state.getState().items.visible;
 
+    rendered.then(() => {
       this.afs.emit("filtersApplied", {
         activeFilters,
         visibleItems: visibleItems.size,
       });
-    } else {
-      // NON-PAGINATION PATH: Animate items directly
-
-      // Track animation promises
-      const animationPromises = [];
-
-      // Apply animations
-      this.afs.items.forEach((item) => {
-        const promise = new Promise((resolve) => {
-          if (visibleItems.has(item)) {
-            // Show item
-            item.classList.remove(this.afs.options.get("hiddenClass"));
-            item.style.display = this.getItemDisplayType(item);
-
-            requestAnimationFrame(() => {
-              this.animation.applyShowAnimation(
-                item,
-                this.afs.options.get("animation.type")
-              );
-              setTimeout(
-                resolve,
-                parseFloat(this.afs.options.get("animation.duration")) || 300
-              );
-            });
-          } else {
-            // Hide item
-            item.classList.add(this.afs.options.get("hiddenClass"));
-            item.style.display = "none";
-            requestAnimationFrame(() => {
-              this.animation.applyHideAnimation(
-                item,
-                this.afs.options.get("animation.type")
-              );
-              setTimeout(
-                resolve,
-                parseFloat(this.afs.options.get("animation.duration")) || 300
-              );
-            });
-          }
-        });
-        animationPromises.push(promise);
-      });
-
-      // Handle completion
-      Promise.all(animationPromises).then(() => {
-        // Ensure visible items remain visible and hidden items stay hidden
-        this.afs.items.forEach((item) => {
-          if (visibleItems.has(item)) {
-            // Settle the final visible state (no separate showItem variant)
-            item.classList.remove(this.afs.options.get("hiddenClass"));
-            item.style.display = this.getItemDisplayType(item);
-            item.style.opacity = "1";
-            item.style.visibility = "visible";
-            item.style.filter = "none";
-            item.style.transform = "";
-          } else {
-            item.style.display = "none";
-            item.classList.add(this.afs.options.get("hiddenClass"));
-          }
-        });
-
-        // Update UI
-        this.afs.updateCounter();
-        this.afs.urlManager.updateURL();
-
-        this.afs.emit("filtersApplied", {
-          activeFilters,
-          visibleItems: visibleItems.size,
-        });
-      });
-    }
+    });
 
     // Sync checkbox states with active filters
     this.syncCheckboxStates();
@@ -591,7 +524,8 @@ export class Filter {
   }
 
   /**
-   * Synchronize checkbox visual states with active filters
+   * Synchronize checkbox visual states with active filters, and mark
+   * hierarchical parents with only some children active as indeterminate
    * @private
    */
   syncCheckboxStates() {
@@ -621,30 +555,90 @@ export class Filter {
       }
     });
 
+    this.syncIndeterminateStates();
+
     this.afs.logger.debug(`Synced ${checkboxes.length} checkbox states`);
   }
 
+  /**
+   * Mark hierarchical parents with some, but not every, descendant control
+   * selected as indeterminate. Nothing to do without hierarchy.separator.
+   * @private
+   */
+  syncIndeterminateStates() {
+    const separator = this.afs.options.get("hierarchy.separator");
+    if (!separator) return;
+
+    const indeterminateClass = this.afs.options.get(
+      "hierarchy.indeterminateClass"
+    );
+
+    // Ancestor value -> descendant control values, and the values with a
+    // selected descendant
+    const descendants = new Map();
+    new Set(this.filterButtons.values()).forEach((value) => {
+      getAncestorFilters(value, separator).forEach((ancestor) => {
+        if (!descendants.has(ancestor)) descendants.set(ancestor, []);
+        descendants.get(ancestor).push(value);
+      });
+    });
+    const hasActiveDescendant = new Set();
+    this.activeFilters.forEach((filter) => {
+      getAncestorFilters(filter, separator).forEach((ancestor) =>
+        hasActiveDescendant.add(ancestor)
+      );
+    });
+
+    // Selected itself or through a selected ancestor
+    const isCovered = (value) =>
+      this.activeFilters.has(value) ||
+      getAncestorFilters(value, separator).some((ancestor) =>
+        this.activeFilters.has(ancestor)
+      );
+
+    this.filterButtons.forEach((value, button) => {
+      const below = descendants.get(value) || [];
+      const isPartial =
+        !this.activeFilters.has(value) &&
+        hasActiveDescendant.has(value) &&
+        (below.length === 0 || below.some((other) => !isCovered(other)));
+
+      if (button.type === "checkbox") {
+        button.indeterminate = isPartial;
+      }
+      button.classList.toggle(indeterminateClass, isPartial);
+    });
+  }
+
   /**
    * Check if item matches current filters
    * @private
    * @param {HTMLElement} item - DOM element
+   * @param {Set<string>} [activeFilters] - Filter set to test against
+   *   (defaults to the active filters)
    * @returns {boolean} Whether item matches filters
    */
-  itemMatchesFilters(item) {
+  itemMatchesFilters(item, activeFilters = this.activeFilters) {
+    // Custom predicates and the filter expression AND with the category
+    // logic below
+    if (!this.itemMatchesPredicates(item) || !this.itemMatchesExpression(item)) {
+      return false;
+    }
+
     // Show all items if only "*" is active
-    if (this.activeFilters.has("*")) {
+    if (activeFilters.has("*")) {
       return true;
     }
 
     // Get item categories
-    const itemCategories = new Set(item.dataset.categories?.split(" ") || []);
+    const itemCategories = this.getItemCategories(item);
 
     // Get filter category mode (new feature)
     const filterCategoryMode = (this.afs.options.get("filterCategoryMode") || "mixed").toUpperCase();
     
     // If using mixed mode (OR within categories, AND between categories)
     if (filterCategoryMode === "MIXED") {
-      return this.itemMatchesMixedFilters(itemCategories);
+      return this.itemMatchesMixedFilters(itemCategories, activeFilters);
     }
 
     // Get current filter mode for backward compatibility
@@ -652,18 +646,173 @@ export class Filter {
 
     // Use appropriate matching method based on filter mode
     return filterMode === "AND"
-      ? this.itemMatchesAllFilters(itemCategories)
-      : this.itemMatchesAnyFilter(itemCategories);
+      ? this.itemMatchesAllFilters(itemCategories, activeFilters)
+      : this.itemMatchesAnyFilter(itemCategories, activeFilters);
+  }
+
+  /**
+   * Item's category tokens, plus tokens read from the data attributes that
+   * filter types are mapped to, plus their ancestor paths when hierarchical
+   * tokens are enabled (so a parent filter matches every descendant)
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {Set<string>} Item's categories
+   */
+  getItemCategories(item) {
+    const index = this.afs.index;
+    const separator = this.afs.options.get("hierarchy.separator");
+    const attributes = this.getAttributeTypes();
+
+    if (attributes.length === 0) {
+      return separator
+        ? index.getCategoryPaths(item, separator)
+        : index.getCategories(item);
+    }
+
+    // Cached per item until it is re-indexed, keyed by the current mapping
+    const signature = attributes
+      .map(([type, key]) => `${type}=${key}`)
+      .concat(separator || "")
+      .join("|");
+
+    return index.getParsed(item, "categories", `filter:${signature}`, () => {
+      const tokens = new Set(index.getCategories(item));
+
+      attributes.forEach(([type, key]) => {
+        (index.getRaw(item, key) || "").split(",").forEach((value) => {
+          value = value.trim();
+          if (value) tokens.add(`${type}:${value}`);
+        });
+      });
+
+      return separator ? index.expandCategoryPaths(tokens, separator) : tokens;
+    });
+  }
+
+  /**
+   * Filter types mapped to their own data attribute through
+   * filterTypeLogic, e.g. { brand: { mode: 'OR', attribute: 'brand' } }.
+   * Read for every item, so kept until the options change.
+   * @private
+   * @returns {Array<[string, string]>} [type, dataset key] pairs
+   */
+  getAttributeTypes() {
+    const { revision } = this.afs.options;
+    if (this.attributeTypes?.revision !== revision) {
+      this.attributeTypes = { revision, attributes: this.readAttributeTypes() };
+    }
+    return this.attributeTypes.attributes;
+  }
+
+  /**
+   * @private
+   * @returns {Array<[string, string]>} See getAttributeTypes()
+   */
+  readAttributeTypes() {
+    const filterTypeLogic = this.afs.options.get("filterTypeLogic") || {};
+    const attributes = [];
+
+    Object.entries(filterTypeLogic).forEach(([type, config]) => {
+      if (!config || typeof config !== "object" || !config.attribute) return;
+
+      // `true` means data-<type>; "data-brand-name" or "brandName" both work
+      const name = config.attribute === true ? type : String(config.attribute);
+      const key = name
+        .replace(/^data-/, "")
+        .replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      attributes.push([type, key]);
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Whether a filter is a descendant of another, e.g.
+   * "category:vehicles/cars" of "category:vehicles"
+   * @private
+   * @param {string} filter - Possible descendant
+   * @param {string} ancestor - Possible ancestor
+   * @returns {boolean}
+   */
+  isDescendantFilter(filter, ancestor) {
+    const separator = this.afs.options.get("hierarchy.separator");
+    return !!separator && filter.startsWith(`${ancestor}${separator}`);
+  }
+
+  /**
+   * Drop the ancestors and descendants of a newly selected hierarchical
+   * filter: a parent already covers its children, and picking a child
+   * narrows its parent
+   * @private
+   * @param {Set<string>} filters - Filter set (modified in place)
+   * @param {string} filterValue - Selected filter
+   * @returns {string[]} Removed filters
+   */
+  collapseHierarchy(filters, filterValue) {
+    const removed = [];
+    filters.forEach((filter) => {
+      if (
+        this.isDescendantFilter(filter, filterValue) ||
+        this.isDescendantFilter(filterValue, filter)
+      ) {
+        filters.delete(filter);
+        removed.push(filter);
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Check if item passes every enabled custom predicate
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {boolean} Whether item passes all predicates
+   */
+  itemMatchesPredicates(item) {
+    if (this.predicates.size === 0) return true;
+
+    const state = this.afs.state.getState();
+    for (const [name, entry] of this.predicates) {
+      if (!entry.enabled) continue;
+
+      try {
+        if (!entry.predicate(item, state)) return false;
+      } catch (error) {
+        this.afs.logger.error(`Error in filter predicate "${name}":`, error);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if item matches the filter expression, if one is set
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {boolean} Whether item matches the expression
+   */
+  itemMatchesExpression(item) {
+    return this.expression ? this.expression.test(item) : true;
   }
 
   /**
    * Check if item matches any active filter (OR mode)
    * @private
    * @param {Set} itemCategories - Item's categories
+   * @param {Set<string>} [activeFilters] - Filter set to test against
    * @returns {boolean} Whether item matches any filter
    */
-  itemMatchesAnyFilter(itemCategories) {
-    return Array.from(this.activeFilters).some((filter) => {
+  itemMatchesAnyFilter(itemCategories, activeFilters = this.activeFilters) {
+    if (!this.itemPassesExclusions(itemCategories, activeFilters)) return false;
+
+    const included = Array.from(activeFilters).filter(
+      (filter) => !filter.startsWith(EXCLUSION_PREFIX)
+    );
+    // Only exclusions active: everything they don't veto matches
+    if (included.length === 0) return true;
+
+    return included.some((filter) => {
       if (filter === "*") return true;
       return itemCategories.has(filter);
     });
@@ -673,27 +822,55 @@ export class Filter {
    * Check if item matches all active filters (AND mode)
    * @private
    * @param {Set} itemCategories - Item's categories
+   * @param {Set<string>} [activeFilters] - Filter set to test against
    * @returns {boolean} Whether item matches all filters
    */
-  itemMatchesAllFilters(itemCategories) {
-    return Array.from(this.activeFilters).every((filter) => {
-      if (filter === "*") return true;
+  itemMatchesAllFilters(itemCategories, activeFilters = this.activeFilters) {
+    if (!this.itemPassesExclusions(itemCategories, activeFilters)) return false;
+
+    return Array.from(activeFilters).every((filter) => {
+      if (filter === "*" || filter.startsWith(EXCLUSION_PREFIX)) return true;
       return itemCategories.has(filter);
     });
   }
 
+  /**
+   * Check that an item has none of the excluded categories
+   * @private
+   * @param {Set} itemCategories - Item's categories
+   * @param {Set<string>} activeFilters - Filter set to test against
+   * @returns {boolean} Whether no exclusion applies to the item
+   */
+  itemPassesExclusions(itemCategories, activeFilters) {
+    for (const filter of activeFilters) {
+      if (
+        filter.startsWith(EXCLUSION_PREFIX) &&
+        itemCategories.has(filter.slice(EXCLUSION_PREFIX.length))
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
   /**
    * Check if item matches filters with mixed logic (OR within categories, AND between categories)
    * @private
    * @param {Set} itemCategories - Item's categories
+   * @param {Set<string>} [activeFilters] - Filter set to test against
    * @returns {boolean} Whether item matches filters with mixed logic
    */
-  itemMatchesMixedFilters(itemCategories) {
+  itemMatchesMixedFilters(itemCategories, activeFilters = this.activeFilters) {
+    // Exclusions veto the item whatever its type's logic
+    if (!this.itemPassesExclusions(itemCategories, activeFilters)) {
+      return false;
+    }
+
     // Group active filters by their category/type
     const filtersByType = {};
     
-    this.activeFilters.forEach(filter => {
-      if (filter === "*") return;
+    activeFilters.forEach(filter => {
+      if (filter === "*" || filter.startsWith(EXCLUSION_PREFIX)) return;
       
       // Extract filter type from format "type:value"
       const colonIndex = filter.indexOf(':');
@@ -730,7 +907,7 @@ export class Filter {
       this.afs.logger.debug(`Processing type '${type}' with config:`, typeConfig, typeof typeConfig);
       
       // Debug logging for troubleshooting
-      if (typeof typeConfig === 'object' && typeConfig !== null && !typeConfig.mode) {
+      if (typeof typeConfig === 'object' && typeConfig !== null && !typeConfig.mode && !typeConfig.attribute) {
         this.afs.logger.warn(`Filter type '${type}' has object config but missing 'mode' property:`, typeConfig);
       }
       
@@ -808,7 +985,7 @@ export class Filter {
 
     // Emit filter event
     this.afs.emit("filter", {
-      activeFilters: Array.from(this.activeFilters),
+      activeFilters: Array.from(this.getActiveFilters()),
       visibleItems: nowVisible.size,
       added: added.size,
       removed: removed.size,
@@ -898,6 +1075,16 @@ export class Filter {
       return;
     }
 
+    if (filter.startsWith(PREDICATE_PREFIX)) {
+      this.enablePredicate(filter.slice(PREDICATE_PREFIX.length));
+      return;
+    }
+
+    if (filter.startsWith(EXCLUSION_PREFIX)) {
+      this.addExclusion(filter);
+      return;
+    }
+
     // Extract filter type (e.g., 'date', 'canton')
     const [filterType] = filter.split(":");
 
@@ -934,6 +1121,11 @@ export class Filter {
   removeFilter(filter) {
     this.afs.logger.debug(`Removing filter: ${filter}`);
 
+    if (filter.startsWith(PREDICATE_PREFIX)) {
+      this.disablePredicate(filter.slice(PREDICATE_PREFIX.length));
+      return;
+    }
+
     this.activeFilters.delete(filter);
 
     // Emit a custom event for filter removal
@@ -954,6 +1146,57 @@ export class Filter {
     }
   }
 
+  /**
+   * Exclude items with a category, e.g. "everything except refurbished".
+   * Exclusions are ANDed with the other filters and accumulate: adding one
+   * never replaces another.
+   * @public
+   * @param {string} filter - Category to exclude ("type:value"); a leading
+   *   "!" is accepted
+   */
+  addExclusion(filter) {
+    const exclusion = filter.startsWith(EXCLUSION_PREFIX)
+      ? filter
+      : `${EXCLUSION_PREFIX}${filter}`;
+    this.afs.logger.debug(`Adding exclusion: ${exclusion}`);
+
+    this.activeFilters.delete("*");
+    this.activeFilters.add(exclusion);
+
+    this.filterButtons.forEach((value, button) => {
+      if (value === exclusion) {
+        button.classList.add(this.afs.options.get("activeClass"));
+      } else if (value === "*") {
+        button.classList.remove(this.afs.options.get("activeClass"));
+      }
+    });
+
+    this.applyFilters();
+  }
+
+  /**
+   * Remove an exclusion
+   * @public
+   * @param {string} filter - Excluded category ("type:value"); a leading "!"
+   *   is accepted
+   */
+  removeExclusion(filter) {
+    this.removeFilter(
+      filter.startsWith(EXCLUSION_PREFIX) ? filter : `${EXCLUSION_PREFIX}${filter}`
+    );
+  }
+
+  /**
+   * Get active exclusions
+   * @public
+   * @returns {string[]} Excluded categories, without the "!" prefix
+   */
+  getExclusions() {
+    return Array.from(this.activeFilters)
+      .filter((filter) => filter.startsWith(EXCLUSION_PREFIX))
+      .map((filter) => filter.slice(EXCLUSION_PREFIX.length));
+  }
+
   /**
    * Set filter mode
    * @public
@@ -993,6 +1236,9 @@ export class Filter {
    * 
    * // Set single type (extended)
    * afs.filter.setFilterTypeLogic('brand', {mode: 'OR', multi: true});
+   *
+   * // Match 'brand:*' filters against data-brand="ferrari,pagani"
+   * afs.filter.setFilterTypeLogic('brand', {mode: 'OR', attribute: 'brand'});
    */
   setFilterTypeLogic(typeOrConfig, logic) {
     if (typeof typeOrConfig === 'object' && typeOrConfig !== null && !Array.isArray(typeOrConfig)) {
@@ -1011,13 +1257,10 @@ export class Filter {
             this.afs.logger.warn(`Invalid logic for type '${type}': ${typeConfig}`);
           }
         } else if (typeof typeConfig === 'object' && typeConfig !== null) {
-          // Extended object format: {mode: 'OR', multi: true}
+          // Extended object format: {mode: 'OR', multi: true, attribute: 'brand'}
           const mode = (typeConfig.mode || 'OR').toUpperCase();
           if (["AND", "OR"].includes(mode)) {
-            newLogic[type] = {
-              mode: mode,
-              multi: typeConfig.multi === true
-            };
+            newLogic[type] = this.createTypeConfig(mode, typeConfig);
             this.afs.logger.debug(`Set filter type '${type}' to: mode=${mode}, multi=${typeConfig.multi}`);
           } else {
             this.afs.logger.warn(`Invalid mode for type '${type}': ${typeConfig.mode}`);
@@ -1048,10 +1291,7 @@ export class Filter {
         const mode = (logic.mode || 'OR').toUpperCase();
         if (["AND", "OR"].includes(mode)) {
           const currentLogic = this.afs.options.get("filterTypeLogic") || {};
-          currentLogic[type] = {
-            mode: mode,
-            multi: logic.multi === true
-          };
+          currentLogic[type] = this.createTypeConfig(mode, logic);
           this.afs.options.set("filterTypeLogic", currentLogic);
           this.afs.logger.debug(`Set filter type '${type}' to: mode=${mode}, multi=${logic.multi}`);
         } else {
@@ -1066,6 +1306,21 @@ export class Filter {
     this.applyFilters();
   }
 
+  /**
+   * Normalized extended type config
+   * @private
+   * @param {string} mode - Validated 'AND' or 'OR'
+   * @param {Object} config - User config ({multi, attribute})
+   * @returns {Object} {mode, multi[, attribute]}
+   */
+  createTypeConfig(mode, config) {
+    const typeConfig = { mode, multi: config.multi === true };
+    if (config.attribute) {
+      typeConfig.attribute = config.attribute;
+    }
+    return typeConfig;
+  }
+
   /**
    * Set a filter type to always use exclusive toggle (OR logic)
    * @public
@@ -1163,21 +1418,652 @@ export class Filter {
   /**
    * Get active filters
    * @public
-   * @returns {Set} Active filters
+   * @returns {Set} Active filters, plus "predicate:<name>" for each enabled
+   *   custom predicate
    */
   getActiveFilters() {
-    return new Set(this.activeFilters);
+    const activeFilters = new Set(this.activeFilters);
+    this.predicates.forEach((entry, name) => {
+      if (entry.enabled) activeFilters.add(`${PREDICATE_PREFIX}${name}`);
+    });
+    return activeFilters;
   }
 
   /**
-   * Get filter groups
+   * Register a custom filter predicate. Enabled predicates are ANDed with the
+   * category filters.
    * @public
-   * @returns {Map} Filter groups
+   * @param {string} name - Predicate name
+   * @param {Function} predicate - (item, state) => boolean
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - Start enabled
+   * @returns {boolean} Whether the predicate was registered
    */
-  getFilterGroups() {
-    return new Map(this.filterGroups);
-  }
-
+  registerPredicate(name, predicate, { enabled = true } = {}) {
+    if (!name || typeof predicate !== "function") {
+      this.afs.logger.warn(
+        "registerPredicate requires a name and a predicate function"
+      );
+      return false;
+    }
+
+    if (this.predicates.has(name)) {
+      this.afs.logger.warn(`Replacing filter predicate: ${name}`);
+    }
+
+    this.predicates.set(name, { predicate, enabled: !!enabled });
+    this.afs.logger.debug(`Registered filter predicate: ${name}`);
+
+    if (enabled) {
+      this.applyFilters();
+    }
+    return true;
+  }
+
+  /**
+   * Enable a registered predicate
+   * @public
+   * @param {string} name - Predicate name
+   * @returns {boolean} Whether the predicate exists
+   */
+  enablePredicate(name) {
+    return this.setPredicateEnabled(name, true);
+  }
+
+  /**
+   * Disable a registered predicate without removing it
+   * @public
+   * @param {string} name - Predicate name
+   * @returns {boolean} Whether the predicate exists
+   */
+  disablePredicate(name) {
+    return this.setPredicateEnabled(name, false);
+  }
+
+  /**
+   * Remove a registered predicate
+   * @public
+   * @param {string} name - Predicate name
+   * @returns {boolean} Whether a predicate was removed
+   */
+  removePredicate(name) {
+    const entry = this.predicates.get(name);
+    if (!entry) return false;
+
+    this.predicates.delete(name);
+    this.afs.logger.debug(`Removed filter predicate: ${name}`);
+
+    if (entry.enabled) {
+      this.applyFilters();
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a predicate is registered and enabled
+   * @public
+   * @param {string} name - Predicate name
+   * @returns {boolean}
+   */
+  isPredicateEnabled(name) {
+    return !!this.predicates.get(name)?.enabled;
+  }
+
+  /**
+   * Toggle a predicate and re-apply filters if it changed
+   * @private
+   * @param {string} name - Predicate name
+   * @param {boolean} enabled - New enabled state
+   * @returns {boolean} Whether the predicate exists
+   */
+  setPredicateEnabled(name, enabled) {
+    const entry = this.predicates.get(name);
+    if (!entry) {
+      this.afs.logger.warn(`Unknown filter predicate: ${name}`);
+      return false;
+    }
+
+    if (entry.enabled !== enabled) {
+      entry.enabled = enabled;
+      this.applyFilters();
+    }
+    return true;
+  }
+
+  /**
+   * Count how many items each filter option would show if it were toggled
+   * now, given the other active filters, search and ranges
+   * @public
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreSearch=false] - Count as if the search
+   *   query were cleared
+   * @returns {Map<string, number>} Filter value -> result count. "Show all"
+   *   dropdown options are keyed as "type:*".
+   */
+  getFacetCounts({ ignoreSearch = false } = {}) {
+    const counts = new Map();
+    this.computeFacets(ignoreSearch ? { search: null } : {}).forEach(({ value, count }) => {
+      if (value !== null && !counts.has(value)) counts.set(value, count);
+    });
+    return counts;
+  }
+
+  /**
+   * Count results for every filter button and dropdown option
+   * @private
+   * @param {Object<string, Function|null>} [overrides] - Pipeline overrides
+   *   for the other stages (see Pipeline.matches())
+   * @returns {Array<{element: HTMLElement, value: string|null, count: number}>}
+   */
+  computeFacets(overrides = {}) {
+    // Everything but the category filters is the same for every option, so
+    // run the other stages once and only re-test the filter per option
+    const candidates = Array.from(
+      this.afs.pipeline.compute(this.afs.items, { ...overrides, filter: null })
+    );
+    const count = (filters) =>
+      candidates.filter((item) => this.itemMatchesFilters(item, filters))
+        .length;
+
+    const facets = [];
+
+    this.filterButtons.forEach((value, button) => {
+      facets.push({
+        element: button,
+        value,
+        count: count(this.getToggledFilters(value, button)),
+      });
+    });
+
+    this.dropdownHandlers.forEach((_, dropdown) => {
+      Array.from(dropdown.options).forEach((option) => {
+        const { type, isShowAll } = this.parseDropdownValue(
+          dropdown,
+          option.value
+        );
+        const filters = this.withoutType(this.activeFilters, type);
+        if (!isShowAll) filters.add(option.value);
+
+        facets.push({
+          element: option,
+          value: isShowAll ? (type ? `${type}:*` : null) : option.value,
+          count: count(this.normalizeFilterSet(filters)),
+        });
+      });
+    });
+
+    return facets;
+  }
+
+  /**
+   * The filter set a button click would produce, without applying it
+   * @private
+   * @param {string} filterValue - Button filter value
+   * @param {HTMLElement} button - Filter button
+   * @returns {Set<string>}
+   */
+  getToggledFilters(filterValue, button) {
+    if (filterValue === "*") return new Set(["*"]);
+
+    if (filterValue.endsWith(":*")) {
+      const type = filterValue.slice(0, -2);
+      return this.normalizeFilterSet(
+        this.withoutType(
+          this.withoutType(this.activeFilters, type),
+          `${EXCLUSION_PREFIX}${type}`
+        )
+      );
+    }
+
+    const filters = new Set(this.activeFilters);
+    filters.delete("*");
+
+    const isRadio =
+      button.type === "radio" || button.getAttribute("type") === "radio";
+
+    if (isRadio) {
+      // Radios never toggle off; they replace the rest of their group
+      const radioName = button.name || button.getAttribute("name");
+      this.filterButtons.forEach((value, other) => {
+        if (radioName && other.getAttribute("name") === radioName) {
+          filters.delete(value);
+        }
+      });
+      filters.add(filterValue);
+    } else {
+      if (this.usesExclusiveToggle(filterValue, button)) {
+        const [filterType] = filterValue.split(":");
+        this.filterButtons.forEach((value) => {
+          if (value !== filterValue && value.startsWith(`${filterType}:`)) {
+            filters.delete(value);
+          }
+        });
+      }
+
+      if (this.activeFilters.has(filterValue)) {
+        filters.delete(filterValue);
+      } else {
+        this.collapseHierarchy(filters, filterValue);
+        filters.add(filterValue);
+      }
+    }
+
+    return this.normalizeFilterSet(filters);
+  }
+
+  /**
+   * Filter type and "show all" flag for a dropdown value, as the dropdown
+   * change handler reads them
+   * @private
+   * @param {HTMLSelectElement} dropdown - Filter dropdown
+   * @param {string} value - Option value
+   * @returns {{type: string, isShowAll: boolean}}
+   */
+  parseDropdownValue(dropdown, value) {
+    return {
+      type: dropdown.getAttribute("data-filter-type") || value.split(":")[0],
+      isShowAll: value === "*" || value === "" || value.endsWith(":all"),
+    };
+  }
+
+  /**
+   * Copy of a filter set without the filters of one type
+   * @private
+   * @param {Set<string>} filters - Filter set
+   * @param {string} type - Filter type
+   * @returns {Set<string>}
+   */
+  withoutType(filters, type) {
+    return new Set(
+      Array.from(filters).filter(
+        (filter) => filter === "*" || !filter.startsWith(`${type}:`)
+      )
+    );
+  }
+
+  /**
+   * Drop "*" next to real filters, or fall back to "*" when none are left
+   * @private
+   * @param {Set<string>} filters - Filter set (modified in place)
+   * @returns {Set<string>}
+   */
+  normalizeFilterSet(filters) {
+    if (filters.size > 1) filters.delete("*");
+    if (filters.size === 0) filters.add("*");
+    return filters;
+  }
+
+  /**
+   * Render facet counts into the filter controls and disable or hide the
+   * options that would yield no results, as configured. Called after every
+   * pipeline pass.
+   * @public
+   */
+  renderFacetCounts() {
+    const showCounts = this.afs.options.get("facets.enabled");
+    const emptyOptions = this.afs.options.get("facets.emptyOptions");
+
+    if (!emptyOptions && this.emptyElements.size > 0) {
+      this.clearEmptyFacets();
+    }
+    if (!showCounts && !emptyOptions) return;
+
+    const target = this.afs.options.get("facets.target");
+    this.computeFacets().forEach(({ element, count }) => {
+      if (showCounts) {
+        if (target === "span") {
+          this.renderFacetSpan(element, count);
+        } else {
+          element.setAttribute("data-count", String(count));
+        }
+        this.facetElements.add(element);
+      }
+
+      if (emptyOptions) {
+        // The current selection stays usable so it can always be undone
+        this.setFacetEmpty(
+          element,
+          count === 0 && !this.isFacetActive(element),
+          emptyOptions
+        );
+      }
+    });
+  }
+
+  /**
+   * Write a count into a child span (or into an <option>'s text, which
+   * cannot hold elements)
+   * @private
+   * @param {HTMLElement} element - Button, input or option
+   * @param {number} count - Result count
+   */
+  renderFacetSpan(element, count) {
+    const formatter =
+      this.afs.options.get("counter.formatter") ||
+      ((num) => num.toLocaleString());
+    const text = this.afs.options
+      .get("facets.template")
+      .replace("{count}", formatter(count));
+
+    if (element.tagName === "OPTION") {
+      if (!element.hasAttribute(OPTION_LABEL_ATTR)) {
+        element.setAttribute(OPTION_LABEL_ATTR, element.textContent);
+      }
+      element.textContent = `${element.getAttribute(OPTION_LABEL_ATTR)} ${text}`;
+      return;
+    }
+
+    const host = this.getFacetHost(element);
+    if (!host) {
+      element.setAttribute("data-count", String(count));
+      return;
+    }
+
+    const className = this.afs.options.get("facets.countClass");
+    let span = Array.from(host.children).find((child) =>
+      child.classList.contains(className)
+    );
+    if (!span) {
+      span = document.createElement("span");
+      span.className = className;
+      host.appendChild(span);
+    }
+    span.textContent = text;
+  }
+
+  /**
+   * Element that holds a control's count span, and that is hidden with it:
+   * the control itself, or the label of a (void) input
+   * @private
+   * @param {HTMLElement} element - Button, input or option
+   * @returns {HTMLElement|null}
+   */
+  getFacetHost(element) {
+    return element.tagName === "INPUT"
+      ? element.labels?.[0] || element.closest("label")
+      : element;
+  }
+
+  /**
+   * A control's text without a rendered facet count: its data-label, or its
+   * text minus the count span
+   * @public
+   * @param {HTMLElement} element - Button, input or option
+   * @returns {string}
+   */
+  getControlLabel(element) {
+    const label =
+      element.dataset.label ?? element.getAttribute(OPTION_LABEL_ATTR);
+    if (label !== null && label !== undefined) return label.trim();
+
+    const className = this.afs.options.get("facets.countClass");
+    const copy = element.cloneNode(true);
+    Array.from(copy.children).forEach((child) => {
+      if (child.classList.contains(className)) child.remove();
+    });
+    return copy.textContent.trim();
+  }
+
+  /**
+   * Whether a control is part of the current selection
+   * @private
+   * @param {HTMLElement} element - Button, input or option
+   * @returns {boolean}
+   */
+  isFacetActive(element) {
+    if (element.tagName === "OPTION") return element.selected;
+    return this.activeFilters.has(this.filterButtons.get(element));
+  }
+
+  /**
+   * Mark or unmark a control that would yield no results
+   * @private
+   * @param {HTMLElement} element - Button, input or option
+   * @param {boolean} isEmpty - Whether the control leads to zero results
+   * @param {string} mode - 'disable' or 'hide'
+   */
+  setFacetEmpty(element, isEmpty, mode) {
+    const marked = this.emptyElements.get(element);
+    if (marked && (!isEmpty || marked.mode !== mode)) {
+      this.restoreEmptyFacet(element, marked);
+    }
+    if (!isEmpty || this.emptyElements.has(element)) return;
+
+    const emptyClass = this.afs.options.get("facets.emptyClass");
+    const target =
+      mode === "hide" ? this.getFacetHost(element) || element : element;
+    const attribute = mode === "hide" ? "hidden" : "disabled";
+
+    // Leave controls the page disabled or hid itself alone
+    if (target.hasAttribute(attribute)) return;
+
+    target.setAttribute(attribute, "");
+    element.classList.add(emptyClass);
+    this.emptyElements.set(element, { mode, target, attribute });
+  }
+
+  /**
+   * Undo setFacetEmpty() for one control
+   * @private
+   * @param {HTMLElement} element - Button, input or option
+   * @param {Object} marked - Entry from emptyElements
+   */
+  restoreEmptyFacet(element, { target, attribute }) {
+    target.removeAttribute(attribute);
+    element.classList.remove(this.afs.options.get("facets.emptyClass"));
+    this.emptyElements.delete(element);
+  }
+
+  /**
+   * Re-enable and show every control marked as empty
+   * @private
+   */
+  clearEmptyFacets() {
+    this.emptyElements.forEach((marked, element) => {
+      this.restoreEmptyFacet(element, marked);
+    });
+  }
+
+  /**
+   * Remove rendered facet counts and empty-option states from every control
+   * @public
+   */
+  clearFacetCounts() {
+    const className = this.afs.options.get("facets.countClass");
+
+    this.facetElements.forEach((element) => {
+      element.removeAttribute("data-count");
+
+      if (element.hasAttribute(OPTION_LABEL_ATTR)) {
+        element.textContent = element.getAttribute(OPTION_LABEL_ATTR);
+        element.removeAttribute(OPTION_LABEL_ATTR);
+      }
+
+      Array.from(this.getFacetHost(element)?.children || []).forEach(
+        (child) => {
+          if (child.classList.contains(className)) child.remove();
+        }
+      );
+    });
+    this.facetElements.clear();
+    this.clearEmptyFacets();
+  }
+
+  /**
+   * Filter with a boolean expression, e.g.
+   * `(brand:ferrari OR brand:pagani) AND NOT color:red AND price>100000`.
+   * The expression is ANDed with the category filters and predicates.
+   * @public
+   * @param {string|null} source - Expression; empty or null clears it
+   * @throws {SyntaxError} If the expression is invalid (the current
+   *   expression is kept)
+   */
+  setExpression(source) {
+    if (source === null || source === undefined || String(source).trim() === "") {
+      this.clearExpression();
+      return;
+    }
+
+    this.expression = this.compileExpression(source);
+    this.afs.logger.debug(`Filter expression set: ${source}`);
+
+    this.applyFilters();
+    this.afs.emit("expressionChanged", { expression: this.getExpression() });
+  }
+
+  /**
+   * Parse and compile an expression against the item index
+   * @private
+   * @param {string} source - Expression
+   * @returns {{expression: FilterExpression, test: Function}}
+   * @throws {SyntaxError} If the expression is invalid
+   */
+  compileExpression(source) {
+    const expression = new FilterExpression(source);
+    return {
+      expression,
+      test: expression.compile(this.afs.index, {
+        getCategories: (item) => this.getItemCategories(item),
+      }),
+    };
+  }
+
+  /**
+   * Remove the filter expression
+   * @public
+   */
+  clearExpression() {
+    if (!this.expression) return;
+
+    this.expression = null;
+    this.applyFilters();
+    this.afs.emit("expressionChanged", { expression: null });
+  }
+
+  /**
+   * Get the current filter expression
+   * @public
+   * @returns {string|null} Expression source, or null when none is set
+   */
+  getExpression() {
+    return this.expression ? this.expression.expression.toString() : null;
+  }
+
+  /**
+   * Mirror the filter configuration into the shared State, so snapshots
+   * (afs.getState()) and State subscribers see it
+   * @private
+   */
+  syncState() {
+    const { filters } = this.afs.state.getState();
+    const groups = new Map();
+    this.filterGroups.forEach((group, id) => {
+      groups.set(id, { filters: new Set(group.filters), operator: group.operator });
+    });
+
+    this.afs.state.setState("filters", {
+      ...filters,
+      current: this.getActiveFilters(),
+      groups,
+      mode: this.afs.options.get("filterMode"),
+      groupMode: this.afs.options.get("groupMode"),
+      typeLogic: { ...(this.afs.options.get("filterTypeLogic") || {}) },
+      expression: this.getExpression(),
+    });
+  }
+
+  /**
+   * Restore filters from the `filters` part of a snapshot (see
+   * afs.getState()) and update buttons, checkboxes and dropdowns to match.
+   * Does not re-apply the pipeline; afs.setState() does that once for all
+   * features.
+   * @public
+   * @param {Object} snapshot - `filters` from State.export()
+   */
+  restoreSnapshot(snapshot = {}) {
+    if (snapshot.mode) this.afs.options.set("filterMode", snapshot.mode);
+    if (snapshot.groupMode) this.afs.options.set("groupMode", snapshot.groupMode);
+    if (snapshot.typeLogic) {
+      this.afs.options.set("filterTypeLogic", { ...snapshot.typeLogic });
+    }
+
+    // Predicates are code: only their on/off switch is part of the snapshot
+    this.activeFilters.clear();
+    this.predicates.forEach((entry) => {
+      entry.enabled = false;
+    });
+    (snapshot.current || ["*"]).forEach((filter) => {
+      if (filter.startsWith(PREDICATE_PREFIX)) {
+        const entry = this.predicates.get(filter.slice(PREDICATE_PREFIX.length));
+        if (entry) entry.enabled = true;
+      } else {
+        this.activeFilters.add(filter);
+      }
+    });
+    this.normalizeFilterSet(this.activeFilters);
+
+    this.filterGroups = new Map(
+      (snapshot.groups || []).map(([id, group]) => [
+        id,
+        { filters: new Set(group.filters), operator: group.operator },
+      ])
+    );
+
+    this.expression = null;
+    if (snapshot.expression) {
+      try {
+        this.expression = this.compileExpression(snapshot.expression);
+      } catch (error) {
+        this.afs.logger.warn(
+          `Ignoring invalid filter expression in snapshot: ${error.message}`
+        );
+      }
+    }
+
+    this.syncControls();
+  }
+
+  /**
+   * Set every button, checkbox, radio and dropdown from the active filters
+   * @private
+   */
+  syncControls() {
+    const activeClass = this.afs.options.get("activeClass");
+
+    this.filterButtons.forEach((value, button) => {
+      const isActive = this.activeFilters.has(value);
+      button.classList.toggle(activeClass, isActive);
+      if (button.type === "radio") {
+        button.checked = isActive;
+      }
+    });
+
+    this.dropdownHandlers.forEach((_, dropdown) => {
+      const options = Array.from(dropdown.options);
+      const selected =
+        options.find((option) => this.activeFilters.has(option.value)) ||
+        options.find(
+          (option) => this.parseDropdownValue(dropdown, option.value).isShowAll
+        );
+      if (selected) {
+        dropdown.value = selected.value;
+      } else {
+        dropdown.selectedIndex = 0;
+      }
+    });
+
+    this.syncCheckboxStates();
+  }
+
+  /**
+   * Get filter groups
+   * @public
+   * @returns {Map} Filter groups
+   */
+  getFilterGroups() {
+    return new Map(this.filterGroups);
+  }
+
   /**
    * Add filter button dynamically
    * @public
@@ -1279,7 +2165,7 @@ export class Filter {
   determineSortType(item, key) {
     this.afs.logger.debug(`Determining sort type for ${key}`);
 
-    const value = item.dataset[key];
+    const value = this.afs.index.getRaw(item, key);
 
     if (!value) return "string";
     if (!isNaN(value)) return "number";
@@ -1297,15 +2183,13 @@ export class Filter {
    * @returns {any} Parsed value for sorting
    */
   getSortValue(item, key, type) {
-    const value = item.dataset[key];
-
     switch (type) {
       case "number":
-        return parseFloat(value) || 0;
+        return this.afs.index.getNumber(item, key) || 0;
       case "date":
-        return new Date(value).getTime() || 0;
+        return this.afs.index.getDate(item, key) || 0;
       default:
-        return (value || "").toLowerCase();
+        return this.afs.index.getText(item, key);
     }
   }
 
@@ -1333,6 +2217,11 @@ export class Filter {
    * @param {HTMLElement[]} items - Sorted items
    */
   reorderItems(items) {
+    if (this.afs.virtualization?.isEnabled()) {
+      this.afs.virtualization.reorder(items);
+      return;
+    }
+
     const fragment = document.createDocumentFragment();
     items.forEach((item) => fragment.appendChild(item));
     this.afs.container.appendChild(fragment);
@@ -1423,12 +2312,21 @@ export class Filter {
       this.afs.search.setValue("");
     }
 
-    // Clear filter groups and sort orders
+    // Clear filter groups, sort orders and the expression, and switch off
+    // custom predicates
     this.filterGroups.clear();
     this.sortOrders.clear();
+    const hadExpression = !!this.expression;
+    this.expression = null;
+    this.predicates.forEach((entry) => {
+      entry.enabled = false;
+    });
 
     // Apply changes and ensure counter is updated
     this.applyFilters();
+    if (hadExpression) {
+      this.afs.emit("expressionChanged", { expression: null });
+    }
 
     // Update URL if URLManager exists
     if (this.afs.urlManager) {
@@ -1473,11 +2371,14 @@ export class Filter {
     this.dropdownHandlers.forEach((handler, dropdown) => {
       dropdown.removeEventListener("change", handler);
     });
+    this.clearFacetCounts();
     this.filterButtons.clear();
     this.filterHandlers.clear();
     this.dropdownHandlers.clear();
     this.activeFilters.clear();
     this.filterGroups.clear();
+    this.predicates.clear();
+    this.expression = null;
     this.itemDisplayTypes.clear(); // Release DOM element references
     this.afs.logger.debug("Filter functionality destroyed");
   }
@@ -1492,3 +2393,20 @@ export class Filter {
     return this.itemDisplayTypes.get(item) || "block";
   }
 }
+
+/**
+ * Ancestors of a hierarchical filter value, e.g. "category:vehicles" and
+ * "category:vehicles/cars" for "category:vehicles/cars/sports"
+ * @param {string} value - Filter value
+ * @param {string} separator - hierarchy.separator
+ * @returns {string[]} Nearest last
+ */
+function getAncestorFilters(value, separator) {
+  const ancestors = [];
+  let end = value.indexOf(separator);
+  while (end > 0) {
+    ancestors.push(value.slice(0, end));
+    end = value.indexOf(separator, end + separator.length);
+  }
+  return ancestors;
+}
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Undo/redo history for AFS
+ */
+
+// State branches that make up a user-visible view (items is derived)
+const TRACKED_PATHS = ["filters", "search", "sort", "pagination"];
+
+export class History {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   */
+  constructor(afs) {
+    this.afs = afs;
+    this.enabled = !!this.afs.options.get("history.enabled");
+    this.entries = []; // Serialized State.export() snapshots, oldest first
+    this.position = -1; // Index of the entry the page currently shows
+    this.pending = false; // A record is queued for the end of this tick
+    this.restoring = false;
+    this.unsubscribers = [];
+    this.keydownHandler = null;
+  }
+
+  /**
+   * Take the initial entry and start recording (called by AFS once the
+   * URL state has been loaded)
+   * @public
+   */
+  initialize() {
+    if (!this.enabled) return;
+
+    this.entries = [this.capture()];
+    this.position = 0;
+
+    // A click can write several branches (filters, then pagination); the
+    // record is deferred so each interaction becomes one entry
+    this.unsubscribers = TRACKED_PATHS.map((path) =>
+      this.afs.state.subscribe(path, () => this.scheduleRecord())
+    );
+
+    if (this.afs.options.get("history.keyboard")) {
+      this.bindKeyboard();
+    }
+  }
+
+  /**
+   * Serialized snapshot of the current state
+   * @private
+   * @returns {string}
+   */
+  capture() {
+    return JSON.stringify(this.afs.state.export());
+  }
+
+  /**
+   * Queue a record for the end of the current tick
+   * @private
+   */
+  scheduleRecord() {
+    if (this.restoring || this.pending) return;
+
+    this.pending = true;
+    Promise.resolve().then(() => {
+      this.pending = false;
+      this.record();
+    });
+  }
+
+  /**
+   * Push the current state when it differs from the current entry;
+   * anything that could be redone is discarded
+   * @private
+   */
+  record() {
+    if (!this.enabled || this.position < 0) return;
+
+    const snapshot = this.capture();
+    if (snapshot === this.entries[this.position]) return;
+
+    this.entries.splice(this.position + 1);
+    this.entries.push(snapshot);
+
+    const limit = Math.max(1, this.afs.options.get("history.limit") || 1);
+    if (this.entries.length > limit) {
+      this.entries.splice(0, this.entries.length - limit);
+    }
+    this.position = this.entries.length - 1;
+
+    this.emitChange("record");
+  }
+
+  /**
+   * Restore the previous entry
+   * @public
+   * @returns {boolean} Whether there was anything to undo
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    this.go(this.position - 1, "undo");
+    return true;
+  }
+
+  /**
+   * Restore the entry undone last
+   * @public
+   * @returns {boolean} Whether there was anything to redo
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    this.go(this.position + 1, "redo");
+    return true;
+  }
+
+  /**
+   * @public
+   * @returns {boolean} Whether undo() would change anything
+   */
+  canUndo() {
+    this.flush();
+    return this.position > 0;
+  }
+
+  /**
+   * @public
+   * @returns {boolean} Whether redo() would change anything
+   */
+  canRedo() {
+    this.flush();
+    return this.position >= 0 && this.position < this.entries.length - 1;
+  }
+
+  /**
+   * Forget every entry; the current state becomes the only one
+   * @public
+   */
+  clear() {
+    if (!this.enabled) return;
+
+    this.entries = [this.capture()];
+    this.position = 0;
+    this.emitChange("clear");
+  }
+
+  /**
+   * Record a change made earlier in this tick right away, so undo() right
+   * after a change (same tick) undoes that change
+   * @private
+   */
+  flush() {
+    if (this.pending) {
+      this.pending = false;
+      this.record();
+    }
+  }
+
+  /**
+   * Restore the entry at an index through afs.setState()
+   * @private
+   * @param {number} position - Entry index
+   * @param {string} action - "undo" or "redo"
+   */
+  go(position, action) {
+    this.position = position;
+
+    this.restoring = true;
+    try {
+      this.afs.setState(JSON.parse(this.entries[position]));
+    } finally {
+      this.restoring = false;
+    }
+
+    // Store what the restore produced (e.g. a re-clamped page), so it is
+    // not mistaken for a new change
+    this.entries[position] = this.capture();
+    this.emitChange(action);
+  }
+
+  /**
+   * @private
+   * @param {string} action - What changed the history
+   */
+  emitChange(action) {
+    this.afs.emit("historyChanged", {
+      action,
+      canUndo: this.position > 0,
+      canRedo: this.position < this.entries.length - 1,
+      position: this.position,
+      size: this.entries.length,
+    });
+  }
+
+  /**
+   * Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo. Text fields keep
+   * their own undo.
+   * @private
+   */
+  bindKeyboard() {
+    this.keydownHandler = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+      const target = event.target;
+      if (
+        target?.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      let handled = false;
+      if (key === "z") {
+        handled = event.shiftKey ? this.redo() : this.undo();
+      } else if (key === "y") {
+        handled = this.redo();
+      }
+
+      if (handled) event.preventDefault();
+    };
+    document.addEventListener("keydown", this.keydownHandler);
+  }
+
+  /**
+   * Stop recording and detach the keyboard shortcuts
+   * @public
+   */
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    if (this.keydownHandler) {
+      document.removeEventListener("keydown", this.keydownHandler);
+      this.keydownHandler = null;
+    }
+    this.entries = [];
+    this.position = -1;
+    this.pending = false;
+    this.afs.logger.debug("History destroyed");
+  }
+}
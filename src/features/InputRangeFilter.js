@@ -8,6 +8,8 @@ export class InputRangeFilter {
   constructor(afs) {
     this.afs = afs;
     this.activeRanges = new Map();
+
+    this.afs.pipeline.register('inputRange', (item) => this.itemMatchesRanges(item));
   }
 
   /**
@@ -64,10 +66,8 @@ export class InputRangeFilter {
     try {
       const values = Array.from(this.afs.items)
         .map(item => {
-          if (!item || !item.dataset || !item.dataset[key]) {
-            return null;
-          }
-          const value = parseFloat(item.dataset[key]);
+          if (!item) return null;
+          const value = this.afs.index.getNumber(item, key);
           return isNaN(value) ? null : value;
         })
         .filter(value => value !== null);
@@ -232,32 +232,11 @@ createInputElements(label) {
     this.afs.logger.info(`Applying input filter for ${key}`);
     const { state } = this.activeRanges.get(key);
 
-    this.afs.items.forEach(item => {
-      try {
-        if (!item || !item.dataset || !item.dataset[key]) {
-          this.afs.hideItem(item);
-          return;
-        }
-
-        const itemValue = parseFloat(item.dataset[key]);
-        if (isNaN(itemValue)) {
-          this.afs.hideItem(item);
-          return;
-        }
-
-        if (itemValue >= state.currentMin && itemValue <= state.currentMax) {
-          this.afs.showItem(item);
-        } else {
-          this.afs.hideItem(item);
-        }
-      } catch (error) {
-        this.afs.logger.error('Error filtering item:', error);
-        this.afs.hideItem(item);
-      }
-    });
+    // From now on this range constrains the pipeline
+    state.applied = true;
+    this.syncState();
+    this.afs.pipeline.apply();
 
-    this.afs.updateCounter();
-    this.afs.urlManager.updateURL();
     this.afs.emit("inputRangeFilter", {
       key,
       min: state.currentMin,
@@ -265,6 +244,28 @@ createInputElements(label) {
     });
   }
 
+  /**
+   * Check if item falls within every applied input range (pipeline predicate)
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {boolean} Whether item matches all applied ranges
+   */
+  itemMatchesRanges(item) {
+    for (const [key, { state }] of this.activeRanges) {
+      if (!state.applied) continue;
+
+      // Items without a numeric value never match an applied range
+      if (!item) return false;
+
+      const itemValue = this.afs.index.getNumber(item, key);
+      if (isNaN(itemValue)) return false;
+
+      if (itemValue < state.currentMin || itemValue > state.currentMax) return false;
+    }
+
+    return true;
+  }
+
   /**
    * Get current range values
    * @param {string} key - Range key
@@ -312,9 +313,54 @@ createInputElements(label) {
 
     range.elements.container.remove();
     this.activeRanges.delete(key);
+
+    // Items this range was hiding become visible again
+    if (range.state.applied) {
+      this.syncState();
+      this.afs.pipeline.apply();
+    }
+
     this.afs.logger.info(`Input range removed for ${key}`);
   }
 
+  /**
+   * Mirror the applied input ranges into the shared State
+   * (`filters.inputRanges`)
+   * @private
+   */
+  syncState() {
+    const ranges = new Map();
+    this.activeRanges.forEach(({ state }, key) => {
+      if (!state.applied) return;
+      const { min, max, currentMin, currentMax } = state;
+      ranges.set(key, { min, max, currentMin, currentMax });
+    });
+    this.afs.state.setState('filters.inputRanges', ranges);
+  }
+
+  /**
+   * Set the inputs to the ranges of a snapshot (`filters.inputRanges` from
+   * State.export()). Inputs missing from it are reset to their full range;
+   * snapshot entries without inputs are ignored. Does not re-apply the
+   * pipeline.
+   * @public
+   * @param {Array<[string, Object]>} ranges - [key, {currentMin, currentMax}]
+   *   pairs
+   */
+  restoreSnapshot(ranges = []) {
+    const saved = new Map(ranges);
+
+    this.activeRanges.forEach(({ state }, key) => {
+      const range = saved.get(key);
+      state.applied = Boolean(range);
+      state.currentMin = range ? range.currentMin : state.min;
+      state.currentMax = range ? range.currentMax : state.max;
+      this.updateInputUI(key);
+    });
+
+    this.syncState();
+  }
+
   /**
    * Destroy all input ranges and detach their listeners
    * @public
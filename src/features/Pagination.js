@@ -5,8 +5,11 @@
 export class Pagination {
   /**
    * @param {import('../AFS').AFS} afs - Main AFS instance
+   * @param {Object} [options]
+   * @param {boolean} [options.dom=true] - Render the page controls; false
+   *   for the page slicing alone (see HeadlessAFS)
    */
-  constructor(afs) {
+  constructor(afs, { dom = true } = {}) {
     this.afs = afs;
     this.container = null;
     this.animation = afs.animation;
@@ -17,7 +20,7 @@ export class Pagination {
     this.globalEventsBound = false;
     // Unsubscribe fns for the bus subscriptions, detached in destroy()
     this.busUnsubscribers = [];
-    this.setupPagination();
+    if (dom) this.setupPagination();
   }
 
   /**
@@ -80,15 +83,14 @@ export class Pagination {
     // Only bind events if pagination is enabled
     if (!this.afs.options.get("pagination.enabled") || !this.container) return;
 
-    // The filter/search/sort subscriptions live for the whole instance
-    // lifetime, so they must only be registered once. Re-running
-    // setupPagination() (e.g. when toggling pagination back on) would
-    // otherwise stack duplicate listeners and fire update() many times.
+    // The sort subscription lives for the whole instance lifetime, so it
+    // must only be registered once. Re-running setupPagination() (e.g. when
+    // toggling pagination back on) would otherwise stack duplicate listeners
+    // and fire update() many times. Filter and search changes need no
+    // listener: the visibility pipeline updates pagination directly.
     if (!this.globalEventsBound) {
       // Keep the unsubscribe fns so destroy() can detach these from the bus.
       this.busUnsubscribers = [
-        this.afs.on("filter", () => this.update()),
-        this.afs.on("search", () => this.update()),
         this.afs.on("sort", () => this.update()),
       ];
       this.globalEventsBound = true;
@@ -120,25 +122,19 @@ export class Pagination {
     }
 
     // Order by current DOM position so pages follow the active sort order
-    const visibleItems = Array.from(
-      this.afs.state.getState().items.visible
-    ).sort((a, b) =>
-      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
-    );
-    const itemsPerPage = this.afs.state.getState().pagination.itemsPerPage;
-    const totalPages = Math.max(
-      1,
-      Math.ceil(visibleItems.length / itemsPerPage)
-    );
-
-    // Update state
+    // (virtualized items are mostly detached, so use its item order instead)
+    const visibleItems = this.afs.virtualization?.isEnabled()
+      ? this.afs.virtualization.getOrderedVisibleItems()
+      : Array.from(this.afs.state.getState().items.visible).sort((a, b) =>
+          a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING
+            ? -1
+            : 1
+        );
     const currentState = this.afs.state.getState().pagination;
-    let currentPage = currentState.currentPage;
+    const { itemsPerPage } = currentState;
 
     // Adjust current page if it's beyond the total pages
-    if (currentPage > totalPages) {
-      currentPage = totalPages;
-    }
+    const { currentPage, totalPages } = this.getPageSlice(visibleItems);
 
     // Update pagination state
     this.afs.state.setState("pagination", {
@@ -165,6 +161,26 @@ export class Pagination {
     });
   }
 
+  /**
+   * Slice out the current page, clamping the page number to the item count.
+   * DOM-free so headless mode shares it.
+   * @private
+   * @param {Array} items - Matching items in display order
+   * @returns {{items: Array, currentPage: number, totalPages: number}}
+   */
+  getPageSlice(items) {
+    const { currentPage, itemsPerPage } = this.afs.state.getState().pagination;
+    const totalPages = Math.max(1, Math.ceil(items.length / itemsPerPage));
+    const page = Math.min(Math.max(1, currentPage), totalPages);
+    const startIndex = (page - 1) * itemsPerPage;
+
+    return {
+      items: items.slice(startIndex, startIndex + itemsPerPage),
+      currentPage: page,
+      totalPages,
+    };
+  }
+
   /**
    * Update items visibility based on current page
    * @private
@@ -176,9 +192,13 @@ export class Pagination {
       return;
     }
 
-    const { currentPage, itemsPerPage } = this.afs.state.getState().pagination;
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
+    if (this.afs.virtualization?.isEnabled()) {
+      // Only the page slice is windowed; everything else stays detached.
+      // Bump the token so frames queued before virtualization started drop.
+      ++this.visibilityToken;
+      this.afs.virtualization.render(this.getPageSlice(visibleItems).items);
+      return;
+    }
 
     // First hide all items
     this.afs.items.forEach((item) => {
@@ -187,7 +207,7 @@ export class Pagination {
     });
 
     // Then show only the items for the current page
-    const itemsToShow = visibleItems.slice(startIndex, endIndex);
+    const { items: itemsToShow } = this.getPageSlice(visibleItems);
 
     // Ensure we're not trying to display non-existent items
     if (itemsToShow.length === 0 && visibleItems.length > 0) {
@@ -435,6 +455,23 @@ export class Pagination {
     this.update();
   }
 
+  /**
+   * Restore page and page size from the `pagination` part of a snapshot
+   * (see afs.getState()). The page is clamped on the next update(), which
+   * the pipeline runs.
+   * @public
+   * @param {Object} snapshot - `pagination` from State.export()
+   */
+  restoreSnapshot(snapshot = {}) {
+    const state = this.afs.state.getState().pagination;
+    const itemsPerPage = parseInt(snapshot.itemsPerPage, 10);
+    this.afs.state.setState("pagination", {
+      ...state,
+      currentPage: Math.max(1, parseInt(snapshot.currentPage, 10) || 1),
+      itemsPerPage: itemsPerPage > 0 ? itemsPerPage : state.itemsPerPage,
+    });
+  }
+
   /**
    * Get current pagination info
    * @public
@@ -504,6 +541,11 @@ export class Pagination {
    * @private
    */
   showAllItems() {
+    if (this.afs.virtualization?.isEnabled()) {
+      this.afs.virtualization.render();
+      return;
+    }
+
     try {
       const visibleItems = Array.from(this.afs.state.getState().items.visible);
 
@@ -563,7 +605,7 @@ export class Pagination {
    * @public
    */
   destroy() {
-    // Detach bus subscriptions (filter/search/sort)
+    // Detach bus subscriptions (sort)
     this.busUnsubscribers?.forEach((off) => off?.());
     this.busUnsubscribers = [];
     this.globalEventsBound = false;
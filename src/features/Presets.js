@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Named saved views (presets) for AFS
+ */
+
+import { createStorageAdapter } from "../core/Storage";
+
+// State branches that make up a view; the current page is not part of one
+const VIEW_PATHS = ["filters", "search", "sort"];
+
+export class Presets {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   */
+  constructor(afs) {
+    this.afs = afs;
+    this.enabled = !!this.afs.options.get("presets.enabled");
+    this.presets = new Map(); // name -> { name, state, createdAt, updatedAt }
+    this.buttons = new Map(); // button -> click handler
+    this.unsubscribers = [];
+    this.pendingButtonUpdate = false;
+    this.ready = Promise.resolve();
+    this.storage = null;
+  }
+
+  /**
+   * Load the stored presets and bind preset buttons
+   * @public
+   */
+  initialize() {
+    if (!this.enabled) return;
+
+    // null shares the adapter used by saveState()
+    const adapter = this.afs.options.get("presets.adapter");
+    this.storage = adapter ? createStorageAdapter(adapter) : this.afs.storage;
+
+    this.ready = this.load();
+    this.bindButtons();
+  }
+
+  /**
+   * Storage key; instances get their own unless `presets.key` is set
+   * @private
+   * @returns {string}
+   */
+  getKey() {
+    return (
+      this.afs.options.get("presets.key") ||
+      `${this.afs.getStorageKey()}_presets`
+    );
+  }
+
+  /**
+   * Warn when a preset method is called with presets turned off
+   * @private
+   * @returns {boolean} Whether presets are enabled
+   */
+  checkEnabled() {
+    if (!this.enabled) {
+      this.afs.logger.warn("Presets are disabled; set presets.enabled");
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Read the stored presets
+   * @private
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const stored = await this.storage.get(this.getKey());
+      this.presets = new Map(
+        toPresetList(stored).map((preset) => [preset.name, preset])
+      );
+      this.afs.logger.debug(`Loaded ${this.presets.size} presets`);
+    } catch (error) {
+      this.afs.logger.error("Error loading presets:", error);
+    }
+    this.updateButtons();
+  }
+
+  /**
+   * Write every preset through the storage adapter
+   * @private
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    try {
+      await this.storage.set(this.getKey(), Array.from(this.presets.values()));
+    } catch (error) {
+      this.afs.logger.error("Error saving presets:", error);
+    }
+  }
+
+  /**
+   * The current view: filters (ranges included), search and sort
+   * @private
+   * @returns {Object} State snapshot without pagination
+   */
+  captureView() {
+    const { pagination, ...view } = this.afs.getState();
+    return view;
+  }
+
+  /**
+   * Save the current view under a name, replacing a preset of that name
+   * @public
+   * @param {string} name - Preset name
+   * @returns {Promise<boolean>} Whether the preset was saved
+   */
+  async save(name) {
+    if (!this.checkEnabled()) return false;
+    await this.ready;
+
+    name = normalizeName(name);
+    if (!name) {
+      this.afs.logger.warn("Preset name required");
+      return false;
+    }
+
+    const now = Date.now();
+    const existing = this.presets.get(name);
+    this.presets.set(name, {
+      name,
+      state: this.captureView(),
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    });
+
+    await this.persist();
+    this.emitChange("save", name);
+    return true;
+  }
+
+  /**
+   * Show a saved view; the first page of it when paginated
+   * @public
+   * @param {string} name - Preset name
+   * @returns {Promise<boolean>} Whether the preset exists
+   */
+  async apply(name) {
+    if (!this.checkEnabled()) return false;
+    await this.ready;
+
+    name = normalizeName(name);
+    const preset = this.presets.get(name);
+    if (!preset) {
+      this.afs.logger.warn(`Unknown preset: ${name}`);
+      return false;
+    }
+
+    const { pagination } = this.afs.getState();
+    this.afs.setState({
+      ...preset.state,
+      pagination: { ...pagination, currentPage: 1 },
+    });
+
+    this.updateButtons();
+    this.afs.emit("presetApplied", { name, state: preset.state });
+    return true;
+  }
+
+  /**
+   * @public
+   * @param {string} from - Current name
+   * @param {string} to - New name
+   * @returns {Promise<boolean>} Whether the preset was renamed
+   */
+  async rename(from, to) {
+    if (!this.checkEnabled()) return false;
+    await this.ready;
+
+    from = normalizeName(from);
+    to = normalizeName(to);
+    const preset = this.presets.get(from);
+    if (!preset) {
+      this.afs.logger.warn(`Unknown preset: ${from}`);
+      return false;
+    }
+    if (!to) {
+      this.afs.logger.warn("Preset name required");
+      return false;
+    }
+    if (to !== from && this.presets.has(to)) {
+      this.afs.logger.warn(`Preset already exists: ${to}`);
+      return false;
+    }
+
+    // Rebuild the map so the preset keeps its place in list()
+    this.presets = new Map(
+      Array.from(this.presets, ([name, value]) =>
+        name === from
+          ? [to, { ...preset, name: to, updatedAt: Date.now() }]
+          : [name, value]
+      )
+    );
+
+    await this.persist();
+    this.emitChange("rename", to, from);
+    return true;
+  }
+
+  /**
+   * @public
+   * @param {string} name - Preset name
+   * @returns {Promise<boolean>} Whether the preset existed
+   */
+  async delete(name) {
+    if (!this.checkEnabled()) return false;
+    await this.ready;
+
+    name = normalizeName(name);
+    if (!this.presets.delete(name)) return false;
+
+    await this.persist();
+    this.emitChange("delete", name);
+    return true;
+  }
+
+  /**
+   * @public
+   * @param {string} name - Preset name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.presets.has(normalizeName(name));
+  }
+
+  /**
+   * Saved presets in the order they were first saved
+   * @public
+   * @returns {Array<{name: string, createdAt: number, updatedAt: number}>}
+   */
+  list() {
+    return Array.from(this.presets.values(), ({ name, createdAt, updatedAt }) => ({
+      name,
+      createdAt,
+      updatedAt,
+    }));
+  }
+
+  /**
+   * Serialize presets to JSON (all of them, or the given names)
+   * @public
+   * @param {string[]} [names] - Presets to include
+   * @returns {string}
+   */
+  export(names) {
+    const presets = Array.from(this.presets.values()).filter(
+      (preset) => !names || names.includes(preset.name)
+    );
+    return JSON.stringify(presets, null, 2);
+  }
+
+  /**
+   * Add presets from export() JSON. Presets with the same name are replaced.
+   * @public
+   * @param {string|Array} json - export() output, or the parsed array
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Drop existing presets first
+   * @returns {Promise<number>} Number of presets imported
+   * @throws {SyntaxError} If the JSON is invalid
+   */
+  async import(json, { replace = false } = {}) {
+    if (!this.checkEnabled()) return 0;
+    await this.ready;
+
+    const presets = toPresetList(typeof json === "string" ? JSON.parse(json) : json);
+    if (replace) this.presets.clear();
+
+    const now = Date.now();
+    presets.forEach((preset) => {
+      this.presets.set(preset.name, {
+        ...preset,
+        createdAt: preset.createdAt ?? now,
+        updatedAt: preset.updatedAt ?? now,
+      });
+    });
+
+    await this.persist();
+    this.emitChange("import", null);
+    return presets.length;
+  }
+
+  /**
+   * @private
+   * @param {string} action - save, rename, delete or import
+   * @param {string|null} name - Affected preset
+   * @param {string} [previousName] - Name before a rename
+   */
+  emitChange(action, name, previousName) {
+    this.updateButtons();
+    this.afs.emit("presetsChanged", {
+      action,
+      name,
+      ...(previousName !== undefined && { previousName }),
+      presets: this.list(),
+    });
+  }
+
+  /**
+   * Apply the preset named in data-afs-preset on click. Only buttons inside
+   * `presets.buttonContainer` (default: the AFS container) are bound, so
+   * several instances on a page keep their own buttons.
+   * @private
+   */
+  bindButtons() {
+    const selector = this.afs.options.get("presets.buttonSelector");
+    if (!selector) return;
+
+    const scopeSelector = this.afs.options.get("presets.buttonContainer");
+    const scope = scopeSelector
+      ? document.querySelector(scopeSelector)
+      : this.afs.container;
+    if (!scope) {
+      this.afs.logger.warn(`Preset button container not found: ${scopeSelector}`);
+      return;
+    }
+
+    scope.querySelectorAll(selector).forEach((button) => {
+      const handler = (event) => {
+        event.preventDefault();
+        this.apply(button.dataset.afsPreset);
+      };
+      button.addEventListener("click", handler);
+      this.buttons.set(button, handler);
+    });
+
+    if (this.buttons.size === 0) return;
+
+    // Keep the active class on the button whose view is showing
+    this.unsubscribers = VIEW_PATHS.map((path) =>
+      this.afs.state.subscribe(path, () => this.scheduleButtonUpdate())
+    );
+  }
+
+  /**
+   * @private
+   */
+  scheduleButtonUpdate() {
+    if (this.pendingButtonUpdate) return;
+
+    this.pendingButtonUpdate = true;
+    Promise.resolve().then(() => {
+      this.pendingButtonUpdate = false;
+      this.updateButtons();
+    });
+  }
+
+  /**
+   * Mark the buttons of the preset matching the current view, and flag
+   * buttons whose preset does not exist
+   * @private
+   */
+  updateButtons() {
+    if (this.buttons.size === 0) return;
+
+    const activeClass = this.afs.options.get("activeClass");
+    const current = JSON.stringify(this.captureView());
+
+    this.buttons.forEach((handler, button) => {
+      const preset = this.presets.get(normalizeName(button.dataset.afsPreset));
+      const active = !!preset && JSON.stringify(preset.state) === current;
+
+      button.classList.toggle(activeClass, active);
+      button.setAttribute("aria-pressed", String(active));
+      button.classList.toggle("afs-preset-missing", !preset);
+    });
+  }
+
+  /**
+   * Unbind preset buttons
+   * @public
+   */
+  destroy() {
+    this.buttons.forEach((handler, button) => {
+      button.removeEventListener("click", handler);
+    });
+    this.buttons.clear();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.afs.logger.debug("Presets destroyed");
+  }
+}
+
+/**
+ * Trimmed preset name, or "" when missing
+ * @param {*} name - Requested name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return typeof name === "string" ? name.trim() : "";
+}
+
+/**
+ * Keep the well-formed entries of stored or imported presets, names trimmed
+ * @param {*} value - Stored value
+ * @returns {Object[]}
+ */
+function toPresetList(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(
+      (preset) =>
+        preset &&
+        normalizeName(preset.name) &&
+        preset.state &&
+        typeof preset.state === "object"
+    )
+    .map((preset) => ({ ...preset, name: normalizeName(preset.name) }));
+}
@@ -16,6 +16,8 @@ export class RangeFilter {
 
     // Apply styles immediately
     this.afs.styleManager.applyStyles();
+
+    this.afs.pipeline.register("range", (item) => this.itemMatchesRanges(item));
   }
 
   /**
@@ -102,10 +104,11 @@ export class RangeFilter {
    */
   calculateMinMax(key, type) {
     const values = Array.from(this.afs.items)
-      .map((item) => {
-        const value = item.dataset[key];
-        return type === "date" ? new Date(value).getTime() : parseFloat(value);
-      })
+      .map((item) =>
+        type === "date"
+          ? this.afs.index.getDate(item, key)
+          : this.afs.index.getNumber(item, key)
+      )
       .filter((value) => !isNaN(value));
 
     return {
@@ -205,7 +208,7 @@ export class RangeFilter {
   calculateHistogramData(key, bins = 10) {
     try {
       const values = Array.from(this.afs.items)
-        .map((item) => parseFloat(item.dataset[key]))
+        .map((item) => this.afs.index.getNumber(item, key))
         .filter((value) => !isNaN(value));
 
       if (values.length === 0) {
@@ -512,21 +515,11 @@ export class RangeFilter {
 
     const { state } = this.activeRanges.get(key);
 
-    this.afs.items.forEach((item) => {
-      const value =
-        state.type === "date"
-          ? new Date(item.dataset[key]).getTime()
-          : parseFloat(item.dataset[key]);
+    // From now on this range constrains the pipeline
+    state.applied = true;
+    this.syncState();
+    this.afs.pipeline.apply();
 
-      if (value >= state.currentMin && value <= state.currentMax) {
-        this.afs.showItem(item);
-      } else {
-        this.afs.hideItem(item);
-      }
-    });
-
-    this.afs.updateCounter();
-    this.afs.urlManager.updateURL();
     this.afs.emit("rangeFilter", {
       key,
       min: state.currentMin,
@@ -534,6 +527,29 @@ export class RangeFilter {
     });
   }
 
+  /**
+   * Check if item falls within every applied range (pipeline predicate)
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {boolean} Whether item matches all applied ranges
+   */
+  itemMatchesRanges(item) {
+    for (const [key, { state }] of this.activeRanges) {
+      if (!state.applied) continue;
+
+      const value =
+        state.type === "date"
+          ? this.afs.index.getDate(item, key)
+          : this.afs.index.getNumber(item, key);
+
+      if (!(value >= state.currentMin && value <= state.currentMax)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Get current range values
    * @param {string} key - Range key
@@ -593,9 +609,53 @@ export class RangeFilter {
 
     elements.slider.remove();
     this.activeRanges.delete(key);
+
+    // Items this range was hiding become visible again
+    if (state.applied) {
+      this.syncState();
+      this.afs.pipeline.apply();
+    }
+
     this.afs.logger.info(`Range slider removed for ${key}`);
   }
 
+  /**
+   * Mirror the applied ranges into the shared State (`filters.ranges`)
+   * @private
+   */
+  syncState() {
+    const ranges = new Map();
+    this.activeRanges.forEach(({ state }, key) => {
+      if (!state.applied) return;
+      const { min, max, currentMin, currentMax, type } = state;
+      ranges.set(key, { min, max, currentMin, currentMax, type });
+    });
+    this.afs.state.setState("filters.ranges", ranges);
+  }
+
+  /**
+   * Move the sliders to the ranges of a snapshot (`filters.ranges` from
+   * State.export()). Sliders missing from it are reset to their full range;
+   * snapshot entries without a slider are ignored. Does not re-apply the
+   * pipeline.
+   * @public
+   * @param {Array<[string, Object]>} ranges - [key, {currentMin, currentMax}]
+   *   pairs
+   */
+  restoreSnapshot(ranges = []) {
+    const saved = new Map(ranges);
+
+    this.activeRanges.forEach(({ state }, key) => {
+      const range = saved.get(key);
+      state.applied = Boolean(range);
+      state.currentMin = range ? range.currentMin : state.min;
+      state.currentMax = range ? range.currentMax : state.max;
+      this.updateSliderUI(key);
+    });
+
+    this.syncState();
+  }
+
   /**
    * Destroy instance
    * @public
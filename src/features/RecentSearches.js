@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Recently committed search queries, kept through the storage
+ * adapter
+ */
+
+export class RecentSearches {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   */
+  constructor(afs) {
+    this.afs = afs;
+    this.enabled = !!this.afs.options.get("recentSearches.enabled");
+    this.optedOut = false; // The visitor turned remembering off
+    this.queries = []; // Most recent first
+    this.ready = this.enabled ? this.load() : Promise.resolve();
+  }
+
+  /**
+   * Storage key; instances get their own unless `recentSearches.key` is set
+   * @private
+   * @returns {string}
+   */
+  getKey() {
+    return (
+      this.afs.options.get("recentSearches.key") ||
+      `${this.afs.getStorageKey()}_searches`
+    );
+  }
+
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const stored = await this.afs.storage.get(this.getKey());
+      this.optedOut = stored?.optedOut === true;
+      this.queries = Array.isArray(stored?.queries)
+        ? stored.queries.filter((query) => typeof query === "string")
+        : [];
+    } catch (error) {
+      this.afs.logger.error("Error loading recent searches:", error);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    try {
+      await this.afs.storage.set(this.getKey(), {
+        queries: this.queries,
+        optedOut: this.optedOut,
+      });
+    } catch (error) {
+      this.afs.logger.error("Error saving recent searches:", error);
+    }
+  }
+
+  /**
+   * Remember a query that was searched. A query that extends the last one
+   * ("ferr" then "ferrari", as the debounce settles while typing) replaces
+   * it instead of adding an entry; one the last query extends (backspacing
+   * through "ferrari") is not recorded, so the full query stays.
+   * @public
+   * @param {string} query - Normalized query
+   * @returns {Promise<void>}
+   */
+  async record(query) {
+    await this.ready;
+    if (!this.isRecording() || !query) return;
+
+    const [last] = this.queries;
+    if (last && last !== query && last.startsWith(query)) return;
+
+    const queries = this.queries.filter((entry) => entry !== query);
+    if (last && queries[0] === last && query.startsWith(last)) {
+      queries.shift();
+    }
+    this.queries = [query, ...queries].slice(0, this.afs.options.get("recentSearches.limit"));
+
+    await this.persist();
+    this.emitChange();
+  }
+
+  /**
+   * @public
+   * @returns {boolean} Whether searches are being remembered
+   */
+  isRecording() {
+    return this.enabled && !this.optedOut;
+  }
+
+  /**
+   * @public
+   * @returns {string[]} Most recent first
+   */
+  get() {
+    return [...this.queries];
+  }
+
+  /**
+   * Forget every remembered query
+   * @public
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.ready;
+    this.queries = [];
+    await this.persist();
+    this.emitChange();
+  }
+
+  /**
+   * Privacy switch for the visitor: turning remembering off forgets the
+   * stored queries, and the choice itself is stored so it sticks
+   * @public
+   * @param {boolean} enabled - Whether to remember searches
+   * @returns {Promise<void>}
+   */
+  async setRecording(enabled) {
+    await this.ready;
+    this.optedOut = !enabled;
+    if (this.optedOut) this.queries = [];
+    await this.persist();
+    this.emitChange();
+  }
+
+  /**
+   * @private
+   */
+  emitChange() {
+    this.afs.emit("recentSearchesChanged", {
+      queries: this.get(),
+      recording: this.isRecording(),
+    });
+  }
+}
@@ -3,18 +3,79 @@
  */
 
 import { debounce } from '../utils';
+import { closestWords, fuzzyMatch, tokenize } from '../core/Fuzzy';
+import { scoreRelevance } from '../core/Relevance';
+import { createFolder, findFoldedRanges } from '../core/TextFolding';
+import { parseSearchQuery } from '../core/SearchQuery';
+import { englishStemmer, stemText } from '../core/Stemmer';
+import { buildSynonymMap } from '../core/Synonyms';
+import { Autocomplete } from './Autocomplete';
+import { RecentSearches } from './RecentSearches';
+
+// Text inside these is never highlighted
+const UNSEARCHED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE']);
+
+// "Did you mean" gives up on queries with more unknown words than this
+const MAX_CORRECTED_WORDS = 3;
+// Closest words tried for each unknown word
+const CORRECTION_CANDIDATES = 5;
 
 export class Search {
   /**
    * @param {import('../AFS').AFS} afs - Main AFS instance
+   * @param {Object} [options]
+   * @param {boolean} [options.dom=true] - Bind the search input and keep
+   *   recent searches; false for the matching logic alone (see HeadlessAFS)
    */
-  constructor(afs) {
+  constructor(afs, { dom = true } = {}) {
     this.afs = afs;
+    this.initializeState();
+
+    if (dom) {
+      this.recentSearches = new RecentSearches(afs);
+      this.setupSearch();
+    }
+    this.afs.pipeline.register('search', (item) => this.itemMatchesSearch(item));
+  }
+
+  /**
+   * Set up the state the matching logic reads, DOM or not
+   * @private
+   */
+  initializeState() {
     this.searchInput = null;
+    this.autocomplete = null; // Suggestion dropdown, see the autocomplete option
+    this.recentSearches = null; // See RecentSearches; DOM instances only
     this.searchKeys = ['title']; // Default search keys
+    this.searchWeights = new Map(); // key -> weight, for relevance ranking
     this.minSearchLength = 2;
     this.highlightClass = 'afs-highlight';
-    this.setupSearch();
+    // Regex cache for the pipeline predicate, rebuilt when the query or the
+    // options change
+    this.activeQuery = null;
+    this.activeRevision = null; // options.revision the query was compiled under
+    this.activeRegex = null;
+    this.activeTerms = []; // Folded query words
+    this.activePhrases = []; // Folded quoted phrases
+    this.activeConditions = []; // Exclusions and field scopes: (item, text) => boolean
+    this.parsedQuery = null; // See parseSearchQuery()
+    // Folded term or phrase -> { synonyms, stems } when synonyms or stemming apply
+    this.expansions = new Map();
+    this.synonymMap = null; // { revision, map }: the synonyms option, rebuilt when options change
+    this.corrections = null; // Last getCorrections() result: { query, visible, queries }
+    this.folder = null; // { revision, locale, ignoreDiacritics, fold }, built on first use
+    // Fuzzy results of the active query: item -> { score, words }
+    this.fuzzyMatches = new Map();
+    // Relevance of items to the active query, computed on demand
+    this.relevance = new Map();
+    // highlightMode "css": the registered Highlight and each item's ranges
+    this.cssHighlight = null;
+    this.cssRanges = new Map();
+    this.cssUnsupportedWarned = false;
+
+    // Configure search (also used by programmatic searches without an input)
+    this.setSearchKeys(this.afs.options.get('searchKeys') || this.searchKeys);
+    this.minSearchLength = this.afs.options.get('minSearchLength') || this.minSearchLength;
   }
 
   /**
@@ -31,15 +92,35 @@ export class Search {
       return;
     }
 
-    // Configure search
-    this.searchKeys = this.afs.options.get('searchKeys') || this.searchKeys;
-    this.minSearchLength = this.afs.options.get('minSearchLength') || this.minSearchLength;
-
     // Bind events
     this.bindSearchEvents();
+    // The dropdown also offers recent searches when the input is empty
+    if (
+      this.afs.options.get('autocomplete.enabled') ||
+      this.afs.options.get('recentSearches.enabled')
+    ) {
+      this.autocomplete = new Autocomplete(this.afs, this);
+    }
     this.afs.logger.debug('Search functionality initialized');
   }
 
+  /**
+   * Set the searched keys from the `searchKeys` option format
+   * @private
+   * @param {Array<string|{key: string, weight?: number}>} keys - Keys, plain
+   *   or with a relevance weight (default 1)
+   */
+  setSearchKeys(keys) {
+    const entries = keys.map(entry =>
+      typeof entry === 'string'
+        ? [entry, 1]
+        : [entry.key, entry.weight ?? 1]
+    );
+    this.searchKeys = entries.map(([key]) => key);
+    this.searchWeights = new Map(entries);
+    this.relevance.clear();
+  }
+
   /**
    * Bind search events
    * @private
@@ -87,7 +168,6 @@ export class Search {
 
     // Update state
     this.afs.state.setState('search.query', normalizedQuery);
-    let matches = 0;
 
     // Special case for empty query
     if (!normalizedQuery) {
@@ -102,84 +182,501 @@ export class Search {
     }
 
     try {
-      // Create search regex
-      const regex = this.createSearchRegex(normalizedQuery);
-
-      // Search through items — show/hide synchronously (the actual animation
-      // is driven by CSS transitions, not by these calls).
-      this.afs.items.forEach(item => {
-        const searchText = this.getItemSearchText(item);
-        const matchesSearch = regex.test(searchText);
-
-        if (matchesSearch) {
-          this.afs.showItem(item);
-          this.highlightMatches(item, regex);
-          matches++;
-        } else {
-          this.afs.hideItem(item);
-          this.removeHighlights(item);
-        }
-      });
+      // Score against the current item data
+      this.relevance.clear();
 
-      // Run the post-animation cleanup once, after the transition duration,
-      // with a single timer (previously one Promise + timer per item).
-      const duration =
-        parseFloat(this.afs.options.get('animation.duration')) || 300;
-      clearTimeout(this.searchCleanupTimer);
-      this.searchCleanupTimer = setTimeout(() => {
-        if (this.afs.options.get("pagination.enabled")) {
-          // Let pagination handle display for matching items
-          this.afs.items.forEach(item => {
-            const visibleItems = this.afs.state.getState().items.visible;
-            if (!visibleItems.has(item)) {
-              item.style.display = 'none';
-            }
-          });
-          this.afs.pagination.update();
-        } else {
-          // Ensure hidden items are properly hidden with display: none
-          this.afs.items.forEach(item => {
-            const visibleItems = this.afs.state.getState().items.visible;
-            if (!visibleItems.has(item)) {
-              item.style.display = 'none';
-            } else {
-              item.style.display = '';
-              item.style.opacity = '1';
-            }
-          });
-        }
+      const parsed = this.getParsedQuery();
+      this.afs.emit("searchParsed", { query: normalizedQuery, parsed });
+      if (parsed.errors.length) {
+        this.afs.logger.debug('Query syntax fell back to plain text:', parsed.errors);
+      }
 
-        // Update URL and emit event
-        this.afs.urlManager.updateURL();
+      // Visibility is computed by the shared pipeline so the query composes
+      // with active filters and ranges instead of overwriting them
+      const rendered = this.afs.pipeline.apply();
+      this.updateHighlights();
+
+      // A relevance sort follows the query
+      const currentSort = this.afs.sort?.getCurrentSort();
+      if (currentSort?.key === 'relevance') {
+        this.afs.sort.sort('relevance', currentSort.direction);
+      }
+
+      const expansions = this.getExpansions();
+      rendered.then((visibleItems) => {
         this.afs.emit("search", {
           query: normalizedQuery,
-          matches,
-          total: this.afs.items.length
+          matches: visibleItems.size,
+          total: this.afs.items.length,
+          expansions
         });
 
-        // Update counter
-        this.afs.updateCounter();
-
-        this.afs.logger.info(`Search complete. Found ${matches} matches`);
-      }, duration);
+        this.afs.logger.info(`Search complete. Found ${visibleItems.size} matches`);
+        if (visibleItems.size) {
+          this.recentSearches.record(normalizedQuery);
+        } else {
+          this.afs.emit("searchNoResults", {
+            query: normalizedQuery,
+            suggestions: this.getCorrections()
+          });
+        }
+      });
     } catch (error) {
       this.afs.logger.error('Search error:', error);
     }
   }
 
   /**
-   * Normalize search query
+   * Check if item matches the current query (pipeline predicate)
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {boolean} Whether item matches, true when no query is active
+   */
+  itemMatchesSearch(item) {
+    const regex = this.getActiveRegex();
+    if (!regex) return true;
+
+    const text = this.getItemSearchText(item);
+    if (!this.activeConditions.every(condition => condition(item, text))) {
+      this.fuzzyMatches.delete(item);
+      return false;
+    }
+
+    if (!this.afs.options.get('fuzzy')) {
+      return this.expansions.size
+        ? this.activeTerms.every(term => this.matchesTerm(item, text, term))
+        : regex.test(text);
+    }
+
+    const match = this.matchFuzzy(item, text);
+    if (match) {
+      this.fuzzyMatches.set(item, match);
+    } else {
+      this.fuzzyMatches.delete(item);
+    }
+    return !!match;
+  }
+
+  /**
+   * Fuzzy match of the query terms; a term found as is or through its
+   * synonyms or stem scores 1
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @param {string} text - Its folded search text
+   * @returns {{score: number, words: string[]}|null} See fuzzyMatch()
+   */
+  matchFuzzy(item, text) {
+    const threshold = this.afs.options.get('fuzzyThreshold');
+    if (!this.expansions.size) {
+      return this.activeTerms.length
+        ? fuzzyMatch(this.activeTerms, text, threshold)
+        : { score: 1, words: [] };
+    }
+
+    const found = this.activeTerms.filter(term => this.matchesTerm(item, text, term));
+    const rest = this.activeTerms.filter(term => !found.includes(term));
+    const match = rest.length ? fuzzyMatch(rest, text, threshold) : { score: 1, words: [] };
+    if (!match) return null;
+
+    return {
+      score: (found.length + match.score * rest.length) / this.activeTerms.length,
+      words: [...found, ...match.words]
+    };
+  }
+
+  /**
+   * Whether a folded term or phrase occurs in an item, as is, as one of its
+   * synonyms, or (with a stemmer) with the same stem
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @param {string} text - Its folded search text
+   * @param {string} term - Folded term or phrase
+   * @returns {boolean}
+   */
+  matchesTerm(item, text, term) {
+    if (text.includes(term)) return true;
+
+    const expansion = this.expansions.get(term);
+    if (!expansion) return false;
+    if (expansion.synonyms.some(synonym => text.includes(synonym))) return true;
+    if (!expansion.stems.length) return false;
+
+    // Stems match whole stemmed words: "shoes" (sho) must not find "short"
+    const stemmed = ` ${this.afs.index.getSearchText(
+      item, this.searchKeys, this.getFolder(), this.getStemmer()
+    )} `;
+    return expansion.stems.some(stem => stemmed.includes(` ${stem} `));
+  }
+
+  /**
+   * Relevance of an item to the current query: 1 for an exact match, the
+   * fuzzy similarity (0-1) in fuzzy mode, 0 for an item that does not match
+   * @public
+   * @param {HTMLElement} item - DOM element
+   * @returns {number|null} Score, or null when no query is active
+   */
+  getScore(item) {
+    const regex = this.getActiveRegex();
+    if (!regex) return null;
+
+    if (this.afs.options.get('fuzzy')) {
+      return this.fuzzyMatches.get(item)?.score ?? 0;
+    }
+    return this.itemMatchesSearch(item) ? 1 : 0;
+  }
+
+  /**
+   * Relevance of an item to the current query, for ranking: per searched
+   * key, whole-word matches outrank word-prefix matches, which outrank
+   * substring and fuzzy matches; repeated matches count (logarithmically),
+   * and each key's contribution is multiplied by its weight
+   * @public
+   * @param {HTMLElement} item - DOM element
+   * @returns {number|null} 0 for no match, higher is more relevant; null
+   *   when no query is active
+   */
+  getRelevance(item) {
+    if (!this.getActiveRegex()) return null;
+
+    if (!this.relevance.has(item)) {
+      const fuzzy = this.afs.options.get('fuzzy');
+      this.relevance.set(
+        item,
+        scoreRelevance(
+          [...this.activeTerms, ...this.activePhrases, ...this.getExpansionWords()],
+          this.searchKeys.map(key => ({
+            text: this.getFolder()(this.afs.index.getRaw(item, key) ?? ''),
+            weight: this.searchWeights.get(key) ?? 1
+          })),
+          { fuzzyThreshold: fuzzy ? this.afs.options.get('fuzzyThreshold') : null }
+        )
+      );
+    }
+    return this.relevance.get(item);
+  }
+
+  /**
+   * Scores of the visible items (see getScore())
+   * @public
+   * @returns {Map<HTMLElement, number>} Empty when no query is active
+   */
+  getScores() {
+    const scores = new Map();
+    if (!this.getActiveRegex()) return scores;
+
+    this.afs.state.getState().items.visible.forEach(item => {
+      scores.set(item, this.getScore(item));
+    });
+    return scores;
+  }
+
+  /**
+   * Get the regex for the current query
+   * @private
+   * @returns {RegExp|null} Search regex, or null when no query is active
+   */
+  getActiveRegex() {
+    const query = this.afs.state.getState().search.query;
+
+    if (!query || query.length < this.minSearchLength) {
+      return null;
+    }
+
+    const { revision } = this.afs.options;
+    if (query !== this.activeQuery || revision !== this.activeRevision) {
+      this.activeQuery = query;
+      this.activeRevision = revision;
+      this.compileQuery(query);
+      this.fuzzyMatches.clear();
+      this.relevance.clear();
+    }
+
+    return this.activeRegex;
+  }
+
+  /**
+   * The current query, parsed (see docs/search.md, "Query syntax")
+   * @public
+   * @returns {Object|null} { terms, phrases, exclude, fields, errors }, or
+   *   null when no query is active
+   */
+  getParsedQuery() {
+    return this.getActiveRegex() ? this.parsedQuery : null;
+  }
+
+  /**
+   * Parse a query into the folded terms, phrases and conditions that the
+   * predicate matches against
+   * @private
+   * @param {string} query - Normalized search query
+   */
+  compileQuery(query) {
+    const fold = this.getFolder();
+    const parsed = this.afs.options.get('querySyntax') === false
+      ? { terms: query.split(' '), phrases: [], exclude: [], fields: [], errors: [] }
+      : parseSearchQuery(query);
+
+    // A field no item has is more likely plain text ("http://...")
+    parsed.fields = parsed.fields.filter(field => {
+      if (Array.from(this.afs.items).some(item => this.afs.index.has(item, field.key))) return true;
+      parsed.errors.push({ message: `Unknown field "${field.key}"`, position: query.indexOf(field.text) });
+      parsed.terms.push(field.text);
+      return false;
+    });
+
+    this.parsedQuery = parsed;
+    this.activeTerms = parsed.terms.map(fold).filter(Boolean);
+    this.activePhrases = parsed.phrases.map(fold).filter(Boolean);
+    this.activeRegex = this.createSearchRegex(this.activeTerms.join(' '));
+
+    this.expansions.clear();
+    [...this.activeTerms, ...this.activePhrases].forEach(term => {
+      const expansion = this.expandTerm(term);
+      if (expansion) this.expansions.set(term, expansion);
+    });
+
+    this.activeConditions = [
+      ...this.activePhrases.map(phrase => (item, text) => this.matchesTerm(item, text, phrase)),
+      ...parsed.exclude.map(fold).filter(Boolean).map(word => (item, text) => !text.includes(word)),
+      ...parsed.fields.map(field => {
+        const matches = this.createFieldCondition(field);
+        return field.negate ? item => !matches(item) : matches;
+      })
+    ];
+  }
+
+  /**
+   * "Did you mean" queries for the active query: each word that none of the
+   * items let through by the other filters contains is replaced by one of
+   * the closest words of their text. Only queries that would find something
+   * are kept.
+   * @public
+   * @returns {string[]} Best first; empty without a query, when every word
+   *   is found, when more than three words are not, or when didYouMean is
+   *   disabled
+   */
+  getCorrections() {
+    const parsed = this.getParsedQuery();
+    if (!parsed || !this.afs.options.get('didYouMean.enabled')) return [];
+
+    // Every pipeline pass replaces the visible set, so it dates the result
+    const { visible } = this.afs.state.getState().items;
+    if (this.corrections?.query !== this.activeQuery || this.corrections.visible !== visible) {
+      this.corrections = { query: this.activeQuery, visible, queries: this.computeCorrections(parsed) };
+    }
+    return [...this.corrections.queries];
+  }
+
+  /**
+   * @private
+   * @param {Object} parsed - The active parsed query
+   * @returns {string[]} See getCorrections()
+   */
+  computeCorrections(parsed) {
+    const fold = this.getFolder();
+    const { maxSuggestions, threshold } = this.afs.options.get('didYouMean');
+
+    // Items that pass everything but the query words
+    const texts = new Map();
+    this.afs.pipeline.compute(this.afs.items, { search: null }).forEach(item => {
+      const text = this.getItemSearchText(item);
+      if (this.activeConditions.every(condition => condition(item, text))) texts.set(item, text);
+    });
+    const findsSome = terms => Array.from(texts).some(([item, text]) =>
+      terms.every(term => this.matchesTerm(item, text, term))
+    );
+
+    // Words no item contains; a query made mostly of those is not a typo
+    const unknown = [];
+    for (const word of new Set(parsed.terms)) {
+      const term = fold(word);
+      if (!term || findsSome([term])) continue;
+      if (unknown.push(word) > MAX_CORRECTED_WORDS) return [];
+    }
+    if (!unknown.length) return [];
+
+    const vocabulary = new Map();
+    texts.forEach(text => new Set(tokenize(text)).forEach(token => {
+      vocabulary.set(token, (vocabulary.get(token) || 0) + 1);
+    }));
+
+    // Every combination of the closest words, most similar first; the caps
+    // on unknown words and candidates keep this small
+    let combinations = [{ replacements: new Map(), score: 0 }];
+    unknown.forEach(word => {
+      const closest = closestWords(fold(word), vocabulary, threshold, CORRECTION_CANDIDATES);
+      combinations = combinations.flatMap(({ replacements, score }) =>
+        closest.map(alternative => ({
+          replacements: new Map(replacements).set(word, alternative.word),
+          score: score + alternative.score
+        }))
+      );
+    });
+    combinations.sort((a, b) => b.score - a.score);
+
+    // Best first, checking items only until enough queries find something
+    const found = [];
+    for (const { replacements } of combinations) {
+      if (found.length >= maxSuggestions) break;
+      const terms = parsed.terms.map(word => replacements.get(word) ?? fold(word)).filter(Boolean);
+      if (findsSome(terms)) found.push(replacements);
+    }
+
+    return found
+      .map(replacements => this.activeQuery
+        .split(' ')
+        .map(token => replacements.get(token) ?? token)
+        .join(' '));
+  }
+
+  /**
+   * Synonyms and stems a folded term or phrase also matches
+   * @private
+   * @param {string} term - Folded term or phrase
+   * @returns {{synonyms: string[], stems: string[]}|null} null when neither
+   *   applies
+   */
+  expandTerm(term) {
+    const { revision } = this.afs.options;
+    if (this.synonymMap?.revision !== revision) {
+      this.synonymMap = {
+        revision,
+        map: buildSynonymMap(this.afs.options.get('synonyms'), this.getFolder())
+      };
+    }
+    const synonyms = this.synonymMap.map.get(term) || [];
+
+    // Stems are matched against stemmed item text, so they are only worth
+    // keeping where stemming changes something
+    const stemmer = this.getStemmer();
+    const stems = stemmer
+      ? [...new Set([term, ...synonyms].map(text => stemText(text, stemmer)))]
+        .filter(stem => stem !== term && !synonyms.includes(stem))
+      : [];
+
+    return synonyms.length || stems.length ? { synonyms, stems } : null;
+  }
+
+  /**
+   * The synonyms and stems applied to the current query
+   * @public
+   * @returns {Array<{term: string, synonyms: string[], stem: string|null}>}
+   *   One entry per expanded term or phrase; `stem` is null when stemming
+   *   left the term unchanged
+   */
+  getExpansions() {
+    if (!this.getActiveRegex()) return [];
+
+    const stemmer = this.getStemmer();
+    return Array.from(this.expansions, ([term, { synonyms }]) => {
+      const stem = stemmer ? stemText(term, stemmer) : term;
+      return { term, synonyms: [...synonyms], stem: stem === term ? null : stem };
+    });
+  }
+
+  /**
+   * Every synonym and stem of the current query
+   * @private
+   * @returns {string[]}
+   */
+  getExpansionWords() {
+    return Array.from(this.expansions.values())
+      .flatMap(({ synonyms, stems }) => [...synonyms, ...stems]);
+  }
+
+  /**
+   * Stemmer from the `stemmer` option
+   * @private
+   * @returns {Function|null} (word) => stem
+   */
+  getStemmer() {
+    const stemmer = this.afs.options.get('stemmer');
+    if (stemmer === 'english') return englishStemmer;
+    return typeof stemmer === 'function' ? stemmer : null;
+  }
+
+  /**
+   * Predicate for a `key:value` or `key:>number` part of the query
+   * @private
+   * @param {Object} field - Entry of parseSearchQuery().fields
+   * @returns {Function} (item) => boolean
+   */
+  createFieldCondition({ key, operator, value }) {
+    const index = this.afs.index;
+
+    if (operator === ':') {
+      const fold = this.getFolder();
+      const folded = fold(value);
+      return item => fold(index.getRaw(item, key) ?? '').includes(folded);
+    }
+
+    const compare = {
+      '>': n => n > value,
+      '>=': n => n >= value,
+      '<': n => n < value,
+      '<=': n => n <= value
+    }[operator];
+    return item => {
+      const number = index.getNumber(item, key);
+      return !isNaN(number) && compare(number);
+    };
+  }
+
+  /**
+   * Highlight matches on visible items and clear them elsewhere
+   * @public
+   */
+  updateHighlights() {
+    const regex = this.getActiveRegex();
+    const visibleItems = this.afs.state.getState().items.visible;
+
+    this.afs.items.forEach(item => {
+      if (regex && visibleItems.has(item)) {
+        this.highlightMatches(item, this.getHighlightWords(item));
+      } else {
+        this.removeHighlights(item);
+      }
+    });
+  }
+
+  /**
+   * Normalize search query (accents are kept; they are folded away when
+   * matching, see getFolder())
    * @private
    * @param {string} query - Raw search query
    * @returns {string} Normalized query
    */
   normalizeQuery(query) {
     return query
-      .toLowerCase()
+      .toLocaleLowerCase(this.getFolder().locale)
       .trim()
       .replace(/\s+/g, ' ');
   }
 
+  /**
+   * Function that folds the query and item text before matching: locale
+   * lowercasing and, unless `ignoreDiacritics` is false, accent stripping.
+   * Kept while those settings stay the same, since item text is cached per
+   * folder.
+   * @private
+   * @returns {Function} See createFolder()
+   */
+  getFolder() {
+    const { revision } = this.afs.options;
+    if (this.folder?.revision === revision) return this.folder.fold;
+
+    const documentLocale =
+      typeof document !== 'undefined' ? document.documentElement.lang : undefined;
+    const locale = this.afs.options.get('searchLocale') || documentLocale;
+    const ignoreDiacritics = this.afs.options.get('ignoreDiacritics') !== false;
+    const { folder } = this;
+    if (!folder || folder.locale !== locale || folder.ignoreDiacritics !== ignoreDiacritics) {
+      this.folder = { locale, ignoreDiacritics, fold: createFolder({ locale, ignoreDiacritics }) };
+    }
+    this.folder.revision = revision;
+    return this.folder.fold;
+  }
+
   /**
    * Create search regex
    * @private
@@ -209,60 +706,157 @@ export class Search {
    * @returns {string} Searchable text
    */
   getItemSearchText(item) {
-    return this.searchKeys
-      .map(key => item.dataset[key] || '')
-      .join(' ')
-      .toLowerCase();
+    return this.afs.index.getSearchText(item, this.searchKeys, this.getFolder());
+  }
+
+  /**
+   * Folded words to highlight in an item: the query terms and phrases, or
+   * in fuzzy mode the words of the item that matched the terms
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {string[]}
+   */
+  getHighlightWords(item) {
+    const words = this.afs.options.get('fuzzy')
+      ? this.fuzzyMatches.get(item)?.words ?? []
+      : this.activeTerms;
+    return [...words, ...this.activePhrases, ...this.getExpansionWords()];
   }
 
   /**
    * Highlight search matches
    * @private
    * @param {HTMLElement} item - DOM element
-   * @param {RegExp} regex - Search regex
+   * @param {string[]} words - Words to highlight
    */
-  highlightMatches(item, regex) {
+  highlightMatches(item, words) {
     if (!this.afs.options.get('highlightMatches')) return;
 
+    this.removeHighlights(item);
+    const segments = [];
     this.searchKeys.forEach(key => {
       const target = item.querySelector(`[data-search-key="${key}"]`);
-      if (!target) return;
-
-      const text = target.textContent;
-      const words = this.afs.state.getState().search.query.split(' ');
-
-      let highlightedText = text;
-      words.forEach(word => {
-        if (!word) return;
-        // Match parts of words using more flexible pattern (no word boundary)
-        const wordRegex = new RegExp(`(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        highlightedText = highlightedText.replace(
-          wordRegex,
-          `<span class="${this.highlightClass}">$1</span>`
-        );
+      if (target) segments.push(...this.findMatchSegments(target, words));
+    });
+    if (!segments.length) return;
+
+    if (this.getHighlightMode() === 'css') {
+      const ranges = segments.map(({ node, start, end }) => {
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        this.getCssHighlight().add(range);
+        return range;
       });
+      this.cssRanges.set(item, ranges);
+      return;
+    }
 
-      target.innerHTML = highlightedText;
+    // Later segments first, so splitting a text node leaves the offsets of
+    // the earlier segments in it valid
+    const tagName = this.afs.options.get('highlightElement') || 'span';
+    segments.reverse().forEach(({ node, start, end }) => {
+      const match = node.splitText(start);
+      match.splitText(end - start);
+      const highlight = document.createElement(tagName);
+      highlight.className = this.highlightClass;
+      match.replaceWith(highlight);
+      highlight.append(match);
     });
   }
 
   /**
-   * Remove highlights
+   * Locate words in the text nodes under an element. The text is searched
+   * as a whole, so a match may span several nodes (`car<b>bon</b>`); it is
+   * returned as one segment per node.
+   * @private
+   * @param {HTMLElement} target - Element to search
+   * @param {string[]} words - Folded words
+   * @returns {Array<{node: Text, start: number, end: number}>} In document
+   *   order
+   */
+  findMatchSegments(target, words) {
+    const nodes = [];
+    const offsets = [];
+    let text = '';
+
+    const walker = document.createTreeWalker(target, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => UNSEARCHED_ELEMENTS.has(node.parentNode.nodeName)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+      offsets.push(text.length);
+      text += walker.currentNode.data;
+    }
+
+    const segments = [];
+    findFoldedRanges(text, words, this.getFolder()).forEach(([start, end]) => {
+      nodes.forEach((node, i) => {
+        const from = Math.max(start, offsets[i]);
+        const to = Math.min(end, offsets[i] + node.data.length);
+        if (from < to) {
+          segments.push({ node, start: from - offsets[i], end: to - offsets[i] });
+        }
+      });
+    });
+    return segments;
+  }
+
+  /**
+   * Resolved `highlightMode`: "css" falls back to "dom" where the CSS Custom
+   * Highlight API is missing
+   * @private
+   * @returns {string} "dom" or "css"
+   */
+  getHighlightMode() {
+    if (this.afs.options.get('highlightMode') !== 'css') return 'dom';
+
+    const supported = typeof CSS !== 'undefined' && !!CSS.highlights &&
+      typeof Highlight === 'function';
+    if (!supported && !this.cssUnsupportedWarned) {
+      this.afs.logger.warn('highlightMode "css" needs the CSS Custom Highlight API; using "dom"');
+      this.cssUnsupportedWarned = true;
+    }
+    return supported ? 'css' : 'dom';
+  }
+
+  /**
+   * The Highlight registered as `::highlight(<highlightClass>)`
+   * @private
+   * @returns {Highlight}
+   */
+  getCssHighlight() {
+    if (!this.cssHighlight) {
+      this.cssHighlight = new Highlight();
+      CSS.highlights.set(this.highlightClass, this.cssHighlight);
+    }
+    return this.cssHighlight;
+  }
+
+  /**
+   * Remove highlights, restoring the original nodes
    * @private
    * @param {HTMLElement} item - DOM element
    */
   removeHighlights(item) {
     if (!this.afs.options.get('highlightMatches')) return;
 
+    const ranges = this.cssRanges.get(item);
+    if (ranges) {
+      ranges.forEach(range => this.cssHighlight?.delete(range));
+      this.cssRanges.delete(item);
+    }
+
     this.searchKeys.forEach(key => {
       const target = item.querySelector(`[data-search-key="${key}"]`);
       if (!target) return;
 
       const highlights = target.querySelectorAll(`.${this.highlightClass}`);
-      highlights.forEach(highlight => {
-        const text = highlight.textContent;
-        highlight.replaceWith(text);
-      });
+      if (!highlights.length) return;
+      highlights.forEach(highlight => highlight.replaceWith(...highlight.childNodes));
+      target.normalize(); // Rejoin the text nodes split by highlightMatches()
     });
   }
 
@@ -281,39 +875,11 @@ export class Search {
     // Clear state
     this.afs.state.setState('search.query', '');
 
-    // Track animation promises
-    const animationPromises = [];
-
-    // Show all items with animation
-    this.afs.items.forEach(item => {
-      const promise = new Promise(resolve => {
-        this.afs.showItem(item);
-        this.removeHighlights(item);
-        // Resolve after animation duration
-        setTimeout(resolve, this.afs.options.get('animation.duration') || 300);
-      });
-      animationPromises.push(promise);
-    });
-
-    // Wait for all animations to complete
-    Promise.all(animationPromises).then(() => {
-      if (this.afs.options.get("pagination.enabled")) {
-        // Let pagination handle display
-        this.afs.pagination.update();
-      } else {
-        // Ensure all items are visible
-        this.afs.items.forEach(item => {
-          item.style.display = '';
-          item.style.opacity = '1';
-        });
-      }
+    const rendered = this.afs.pipeline.apply();
+    this.afs.items.forEach(item => this.removeHighlights(item));
 
-      // Update URL and emit event
-      this.afs.urlManager.updateURL();
+    rendered.then(() => {
       this.afs.emit("searchCleared");
-
-      // Update counter
-      this.afs.updateCounter();
     });
   }
 
@@ -329,6 +895,52 @@ export class Search {
     this.search(value);
   }
 
+  /**
+   * Recently searched queries (those that found something), most recent
+   * first; see the recentSearches option. Always empty without a DOM
+   * (HeadlessAFS), which keeps no recent searches.
+   * @public
+   * @returns {string[]}
+   */
+  getHistory() {
+    return this.recentSearches?.get() ?? [];
+  }
+
+  /**
+   * Forget the recent searches
+   * @public
+   * @returns {Promise<void>}
+   */
+  clearHistory() {
+    return this.recentSearches?.clear() ?? Promise.resolve();
+  }
+
+  /**
+   * Let the visitor turn remembering searches off (which forgets them) or
+   * back on; the choice is stored
+   * @public
+   * @param {boolean} enabled - Whether to remember searches
+   * @returns {Promise<void>}
+   */
+  setHistoryEnabled(enabled) {
+    return this.recentSearches?.setRecording(enabled) ?? Promise.resolve();
+  }
+
+  /**
+   * Restore the query from the `search` part of a snapshot (see
+   * afs.getState()) into the state and the search input. Does not re-apply
+   * the pipeline.
+   * @public
+   * @param {Object} snapshot - `search` from State.export()
+   */
+  restoreSnapshot(snapshot = {}) {
+    const query = this.normalizeQuery(String(snapshot.query ?? ''));
+    if (this.searchInput) {
+      this.searchInput.value = query;
+    }
+    this.afs.state.setState('search.query', query);
+  }
+
   /**
    * Get current search value
    * @public
@@ -347,11 +959,35 @@ export class Search {
     searchKeys,
     minSearchLength,
     highlightClass,
-    debounceTime
+    debounceTime,
+    fuzzy,
+    fuzzyThreshold,
+    ignoreDiacritics,
+    locale,
+    querySyntax,
+    synonyms,
+    stemmer
   } = {}) {
-    if (searchKeys) this.searchKeys = searchKeys;
+    if (searchKeys) this.setSearchKeys(searchKeys);
     if (minSearchLength) this.minSearchLength = minSearchLength;
-    if (highlightClass) this.highlightClass = highlightClass;
+    if (highlightClass && highlightClass !== this.highlightClass) {
+      // Unwrap with the old class, then re-highlight with the new one
+      this.afs.items.forEach(item => this.removeHighlights(item));
+      this.releaseCssHighlight();
+      this.highlightClass = highlightClass;
+      this.updateHighlights();
+    }
+    if (fuzzy !== undefined) this.afs.options.set('fuzzy', !!fuzzy);
+    if (fuzzyThreshold !== undefined) {
+      this.afs.options.set('fuzzyThreshold', fuzzyThreshold);
+    }
+    if (ignoreDiacritics !== undefined) {
+      this.afs.options.set('ignoreDiacritics', !!ignoreDiacritics);
+    }
+    if (locale !== undefined) this.afs.options.set('searchLocale', locale);
+    if (querySyntax !== undefined) this.afs.options.set('querySyntax', !!querySyntax);
+    if (synonyms !== undefined) this.afs.options.set('synonyms', synonyms);
+    if (stemmer !== undefined) this.afs.options.set('stemmer', stemmer);
     if (debounceTime) {
       this.bindSearchEvents(); // Rebind with new debounce time
     }
@@ -362,12 +998,25 @@ export class Search {
    * @public
    */
   destroy() {
-    clearTimeout(this.searchCleanupTimer);
     if (this.searchInput) {
       this.searchInput.removeEventListener('input', this.debouncedSearch);
       this.searchInput.removeEventListener('search', this.handleClear);
       this.searchInput.removeEventListener('keypress', this.handleEnter);
     }
+    this.autocomplete?.destroy();
+    this.autocomplete = null;
     this.clearSearch();
+    this.releaseCssHighlight();
+  }
+
+  /**
+   * Unregister the CSS highlight (see getCssHighlight())
+   * @private
+   */
+  releaseCssHighlight() {
+    if (!this.cssHighlight) return;
+    CSS.highlights.delete(this.highlightClass);
+    this.cssHighlight = null;
+    this.cssRanges.clear();
   }
 }
\ No newline at end of file
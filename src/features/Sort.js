@@ -2,14 +2,33 @@
  * @fileoverview Sort functionality for AFS
  */
 
+// Sort key that ranks items by their relevance to the search query
+const RELEVANCE_KEY = "relevance";
+
+/**
+ * Direction used when none is given: most relevant first for relevance,
+ * ascending otherwise
+ * @param {string} key - Sort key
+ * @returns {string} "asc" or "desc"
+ */
+function defaultDirection(key) {
+  return key === RELEVANCE_KEY ? "desc" : "asc";
+}
+
 export class Sort {
   /**
    * @param {import('../AFS').AFS} afs - Main AFS instance
+   * @param {Object} [options]
+   * @param {boolean} [options.dom=true] - Bind sort buttons; false for the
+   *   comparison logic alone (see HeadlessAFS)
+   * @param {import('./Search').Search} [options.search] - Source of relevance
+   *   scores; defaults to afs.search
    */
-  constructor(afs) {
+  constructor(afs, { dom = true, search = null } = {}) {
     this.afs = afs;
+    this.search = search;
     this.sortButtons = new Map();
-    this.setupSort();
+    if (dom) this.setupSort();
   }
 
   /**
@@ -40,7 +59,7 @@ export class Sort {
 
       this.sortButtons.set(button, {
         key,
-        direction: button.dataset.sortDirection || "asc",
+        direction: button.dataset.sortDirection || defaultDirection(key),
       });
 
       this.bindSortEvent(button);
@@ -109,11 +128,13 @@ export class Sort {
   /**
    * Sort items
    * @public
-   * @param {string} key - Sort key
-   * @param {string} direction - Sort direction ('asc' or 'desc')
+   * @param {string} key - Sort key; "relevance" ranks by relevance to the
+   *   active search query (see Search.getRelevance())
+   * @param {string} [direction] - Sort direction ('asc' or 'desc'); defaults
+   *   to 'desc' for relevance and 'asc' otherwise
    * @returns {boolean} Success status
    */
-  sort(key, direction = "asc") {
+  sort(key, direction = defaultDirection(key)) {
     this.afs.logger.debug(`Sorting by ${key} in ${direction} order`);
 
     try {
@@ -176,19 +197,21 @@ export class Sort {
    * @returns {string} Sort type
    */
   determineSortType(item, key) {
+    if (key === RELEVANCE_KEY) return "relevance";
+
     // Guard against empty items array
     if (!item) {
       this.afs.logger.warn(`Cannot determine sort type: No items available for key ${key}`);
       return "string"; // Default to string sorting
     }
 
-    // Check if dataset exists and has the key
-    if (!item.dataset || !(key in item.dataset)) {
+    // Check if the item has the key
+    if (!this.afs.index.has(item, key)) {
       this.afs.logger.warn(`Item missing dataset key: ${key}`, item);
       return "string";
     }
 
-    const value = item.dataset[key];
+    const value = this.afs.index.getRaw(item, key);
     
     // Empty value check
     if (value === undefined || value === null || value === "") {
@@ -221,31 +244,43 @@ export class Sort {
       return null;
     }
 
-    // Handle undefined dataset or key
-    if (!item.dataset || !Object.prototype.hasOwnProperty.call(item.dataset, key)) {
-      this.afs.logger.warn(`Missing data attribute: ${key} on item`, item);
-      return type === "number" ? 0 : type === "date" ? 0 : "";
+    if (type === "relevance") {
+      return this.getRelevance(item);
     }
 
-    const value = item.dataset[key];
-    
-    // Handle empty values
-    if (value === undefined || value === null || value === "") {
+    // Handle missing key
+    if (!this.afs.index.has(item, key)) {
+      this.afs.logger.warn(`Missing data attribute: ${key} on item`, item);
       return type === "number" ? 0 : type === "date" ? 0 : "";
     }
 
+    // Parsed values come from the item index (cached per item and key);
+    // empty or invalid values sort as 0 / ""
     switch (type) {
-      case "number":
-        const num = parseFloat(value);
+      case "number": {
+        const num = this.afs.index.getNumber(item, key);
         return isNaN(num) ? 0 : num;
-      case "date":
-        const date = new Date(value).getTime();
+      }
+      case "date": {
+        const date = this.afs.index.getDate(item, key);
         return isNaN(date) ? 0 : date;
+      }
       default:
-        return String(value).toLowerCase();
+        return this.afs.index.getText(item, key);
     }
   }
 
+  /**
+   * Relevance of an item to the active query; 0 without a query, so a
+   * relevance sort then keeps the current order
+   * @private
+   * @param {HTMLElement} item - DOM element
+   * @returns {number}
+   */
+  getRelevance(item) {
+    return (this.search ?? this.afs.search)?.getRelevance(item) ?? 0;
+  }
+
   /**
    * Compare two values
    * @private
@@ -270,6 +305,11 @@ export class Sort {
    * @param {HTMLElement[]} items - Sorted items
    */
   reorderItems(items) {
+    if (this.afs.virtualization?.isEnabled()) {
+      this.afs.virtualization.reorder(items);
+      return;
+    }
+
     const containerSelector = this.afs.options.get("containerSelector");
     const container = document.querySelector(containerSelector);
     
@@ -520,7 +560,7 @@ export class Sort {
       // Reset sort data
       let buttonCount = 0;
       this.sortButtons.forEach((data, button) => {
-        data.direction = "asc";
+        data.direction = defaultDirection(data.key);
         this.sortButtons.set(button, data);
         buttonCount++;
       });
@@ -536,6 +576,34 @@ export class Sort {
     }
   }
 
+  /**
+   * Restore the sort from the `sort` part of a snapshot (see
+   * afs.getState()): re-sorts the items and marks the matching sort button.
+   * A snapshot without a sort clears the current one.
+   * @public
+   * @param {Object} snapshot - `sort` from State.export()
+   */
+  restoreSnapshot(snapshot = {}) {
+    const current = snapshot.current;
+
+    if (!current?.key) {
+      if (this.getCurrentSort()) this.reset();
+      return;
+    }
+
+    this.sortButtons.forEach((data, button) => {
+      if (data.key === current.key) {
+        data.direction = current.direction;
+        data.applied = true;
+        this.updateSortButtonState(button, data);
+      } else {
+        data.applied = false;
+      }
+    });
+
+    this.sort(current.key, current.direction);
+  }
+
   /**
    * Get current sort state
    * @public
@@ -550,9 +618,10 @@ export class Sort {
    * @public
    * @param {HTMLElement} button - Sort button element
    * @param {string} key - Sort key
-   * @param {string} [direction='asc'] - Initial sort direction
+   * @param {string} [direction] - Initial sort direction; defaults to 'desc'
+   *   for relevance and 'asc' otherwise
    */
-  addSortButton(button, key, direction = "asc") {
+  addSortButton(button, key, direction = defaultDirection(key)) {
     if (!key) {
       this.afs.logger.warn("Sort key required for new sort button");
       return;
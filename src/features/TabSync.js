@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Cross-tab state synchronization for AFS
+ */
+
+// State branches mirrored to the other tabs
+const SYNCED_PATHS = ["filters", "search", "sort", "pagination"];
+
+export class TabSync {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   */
+  constructor(afs) {
+    this.afs = afs;
+    this.enabled = !!this.afs.options.get("syncTabs");
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    this.channel = null;
+    this.unsubscribers = [];
+    this.pending = false; // A broadcast is queued for the end of this tick
+    this.applying = false; // A remote snapshot is being applied
+    this.lastSnapshot = null; // Last state sent or received, serialized
+  }
+
+  /**
+   * Open the channel and start mirroring (called by AFS once the URL state
+   * has been loaded)
+   * @public
+   */
+  initialize() {
+    if (!this.enabled) return;
+
+    if (typeof BroadcastChannel === "undefined") {
+      this.afs.logger.warn("syncTabs needs BroadcastChannel, which is not available");
+      this.enabled = false;
+      return;
+    }
+
+    this.channel = new BroadcastChannel(this.getChannelName());
+    this.channel.onmessage = (event) => this.receive(event.data);
+    this.lastSnapshot = this.capture();
+
+    this.unsubscribers = SYNCED_PATHS.map((path) =>
+      this.afs.state.subscribe(path, () => this.scheduleBroadcast())
+    );
+
+    this.afs.logger.debug("Tab sync initialized:", this.getChannelName());
+  }
+
+  /**
+   * Instances share a channel when they share the key
+   * @private
+   * @returns {string}
+   */
+  getChannelName() {
+    const key =
+      this.afs.options.get("syncTabsKey") ||
+      this.afs.options.get("containerSelector");
+    return `afs:${key}`;
+  }
+
+  /**
+   * Serialized snapshot of the synced state
+   * @private
+   * @returns {string}
+   */
+  capture() {
+    return JSON.stringify(this.afs.getState());
+  }
+
+  /**
+   * Queue a broadcast for the end of the current tick, so one interaction
+   * that writes several branches is sent once
+   * @private
+   */
+  scheduleBroadcast() {
+    if (this.applying || this.pending) return;
+
+    this.pending = true;
+    Promise.resolve().then(() => {
+      this.pending = false;
+      this.broadcast();
+    });
+  }
+
+  /**
+   * Send the current state unless the other tabs already have it
+   * @private
+   */
+  broadcast() {
+    if (!this.channel) return;
+
+    const snapshot = this.capture();
+    // Also stops the echo of a state that was just received
+    if (snapshot === this.lastSnapshot) return;
+
+    this.lastSnapshot = snapshot;
+    this.channel.postMessage({ source: this.id, state: snapshot });
+  }
+
+  /**
+   * Apply a state sent by another tab
+   * @private
+   * @param {{source: string, state: string}} message - Channel message
+   */
+  receive(message) {
+    if (!message || message.source === this.id || typeof message.state !== "string") {
+      return;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(message.state);
+    } catch (error) {
+      this.afs.logger.error("Error reading synced state:", error);
+      return;
+    }
+
+    this.applying = true;
+    try {
+      this.afs.setState(state);
+    } finally {
+      this.applying = false;
+    }
+
+    // What the restore produced (e.g. a re-clamped page) is not a new change
+    this.lastSnapshot = this.capture();
+    this.afs.emit("stateSynced", { source: message.source, state });
+  }
+
+  /**
+   * Stop mirroring and close the channel
+   * @public
+   */
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    this.pending = false;
+    this.afs.logger.debug("Tab sync destroyed");
+  }
+}
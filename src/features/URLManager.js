@@ -98,6 +98,11 @@ export class URLManager {
   addFiltersToURL(params, state) {
     const filters = state.filters;
 
+    const expression = this.afs.filter?.getExpression();
+    if (expression) {
+      params.set('expression', expression);
+    }
+
     // Skip if only default filter is active
     if (filters.current.size === 0 || 
         (filters.current.size === 1 && filters.current.has('*'))) {
@@ -107,12 +112,16 @@ export class URLManager {
     // Group filters by type
     const filtersByType = {};
     for (const filter of filters.current) {
-      if (filter !== '*') {
-        const [type, value] = filter.split(':');
-        if (!filtersByType[type]) {
-          filtersByType[type] = new Set();
+      // Custom predicates are code, not URL state; they re-register on load
+      if (filter !== '*' && !filter.startsWith('predicate:')) {
+        // Exclusions ("!type:value") go under their own exclude_<type> key
+        const isExclusion = filter.startsWith('!');
+        const [type, value] = (isExclusion ? filter.slice(1) : filter).split(':');
+        const key = isExclusion ? `exclude_${type}` : type;
+        if (!filtersByType[key]) {
+          filtersByType[key] = new Set();
         }
-        filtersByType[type].add(value);
+        filtersByType[key].add(value);
       }
     }
 
@@ -248,6 +257,7 @@ export class URLManager {
       if (this.afs.filter) {
         this.afs.filter.activeFilters.clear();
         this.afs.filter.activeFilters.add("*");
+        this.afs.filter.expression = null;
 
         // Reset button states
         this.afs.filter.filterButtons.forEach((_, button) => {
@@ -287,6 +297,25 @@ export class URLManager {
         });
       }
 
+      // Process exclusions
+      if (this.afs.filter) {
+        this.getExclusionParams(params).forEach(([type, value]) => {
+          value.split(',').filter(Boolean).forEach(val => {
+            this.afs.filter.addExclusion(`${type}:${val}`);
+          });
+        });
+      }
+
+      // Process the filter expression; a broken link keeps the other state
+      const expression = params.get('expression');
+      if (expression && this.afs.filter) {
+        try {
+          this.afs.filter.setExpression(expression);
+        } catch (error) {
+          this.afs.logger.warn(`Ignoring invalid filter expression in URL: ${error.message}`);
+        }
+      }
+
       // Process range filters from URL
       this.processRangesFromURL(params);
 
@@ -342,6 +371,14 @@ export class URLManager {
       }
     }
 
+    // Process exclusions
+    this.getExclusionParams(params).forEach(([type, values]) => {
+      values.split(',').filter(Boolean).forEach(value => {
+        hasFilters = true;
+        state.filters.current.add(`!${type}:${value}`);
+      });
+    });
+
     // Process filter groups
     for (const [key, value] of params.entries()) {
       if (key.startsWith('group_')) {
@@ -446,13 +483,27 @@ export class URLManager {
    */
   isRegularFilter(param) {
     const excludedParams = [
-      'search', 'sort', 'page', 'perPage', 'filterMode', 'groupMode'
+      'search', 'sort', 'page', 'perPage', 'filterMode', 'groupMode',
+      'expression'
     ];
     return !excludedParams.includes(param) && 
            !param.startsWith('group_') && 
            !param.startsWith('groupOp_') && 
            !param.startsWith('range_') && 
-           !param.startsWith('dateRange_');
+           !param.startsWith('dateRange_') &&
+           !param.startsWith('exclude_');
+  }
+
+  /**
+   * Get exclusion parameters as [type, values] pairs
+   * @private
+   * @param {URLSearchParams} params
+   * @returns {Array<[string, string]>}
+   */
+  getExclusionParams(params) {
+    return Array.from(params.entries())
+      .filter(([key]) => key.startsWith('exclude_'))
+      .map(([key, value]) => [key.replace('exclude_', ''), value]);
   }
 
   /**
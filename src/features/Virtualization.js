@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Virtualized rendering for AFS
+ */
+
+// Fallback row height when nothing can be measured (e.g. no layout engine)
+const DEFAULT_ROW_HEIGHT = 50;
+
+/**
+ * The item array that stands in for afs.items while virtualized. Detached
+ * items can't be in a NodeList, so the array also answers NodeList's item()
+ * and afs.items keeps the NodeList interface.
+ * @param {HTMLElement[]} items - Items in order
+ * @returns {HTMLElement[]} The same array
+ */
+function toItemList(items) {
+  return Object.defineProperty(items, "item", {
+    value: (index) => items[index] ?? null,
+  });
+}
+
+export class Virtualization {
+  /**
+   * @param {import('../AFS').AFS} afs - Main AFS instance
+   */
+  constructor(afs) {
+    this.afs = afs;
+    this.enabled = !!this.afs.options.get("virtualization.enabled");
+    this.attached = new Set(); // Items currently in the DOM
+    this.renderItems = []; // Ordered items eligible for the window
+    this.rowHeight = 0;
+    this.frame = null;
+    this.scrollTarget = null;
+    this.topSpacer = null;
+    this.bottomSpacer = null;
+  }
+
+  /**
+   * Start virtualizing (called by AFS once afs.virtualization is assigned,
+   * since the first render goes through Pagination when it is enabled)
+   * @public
+   */
+  initialize() {
+    if (this.enabled) {
+      this.setupVirtualization();
+    }
+  }
+
+  /**
+   * Detach all items and insert the spacers that stand in for them
+   * @private
+   */
+  setupVirtualization() {
+    this.afs.logger.debug("Setting up virtualization");
+
+    // The item order lives here from now on; detached items can't be queried
+    this.afs.items = toItemList(Array.from(this.afs.items));
+
+    const first = this.afs.items[0];
+    const parent = first?.parentNode || this.afs.container;
+
+    this.topSpacer = this.createSpacer();
+    this.bottomSpacer = this.createSpacer();
+    parent.insertBefore(this.topSpacer, first || null);
+    parent.insertBefore(
+      this.bottomSpacer,
+      this.afs.items[this.afs.items.length - 1]?.nextSibling || null
+    );
+
+    this.afs.items.forEach((item) => item.remove());
+
+    const scrollSelector = this.afs.options.get(
+      "virtualization.scrollContainer"
+    );
+    this.scrollTarget =
+      (scrollSelector && document.querySelector(scrollSelector)) || window;
+
+    // Coalesce scroll/resize bursts into one window update per frame
+    this.scrollHandler = () => {
+      if (this.frame !== null) return;
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.renderWindow();
+      });
+    };
+    this.scrollTarget.addEventListener("scroll", this.scrollHandler, {
+      passive: true,
+    });
+    window.addEventListener("resize", this.scrollHandler);
+
+    this.refresh();
+  }
+
+  /**
+   * Create a spacer element
+   * @private
+   * @returns {HTMLElement}
+   */
+  createSpacer() {
+    const spacer = document.createElement("div");
+    spacer.className = "afs-virtual-spacer";
+    spacer.setAttribute("aria-hidden", "true");
+    spacer.style.height = "0px";
+    return spacer;
+  }
+
+  /**
+   * Check whether virtualization is active
+   * @public
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Visible items in item order
+   * @public
+   * @returns {HTMLElement[]}
+   */
+  getOrderedVisibleItems() {
+    const visibleItems = this.afs.state.getState().items.visible;
+    return this.afs.items.filter((item) => visibleItems.has(item));
+  }
+
+  /**
+   * Render a list through the viewport window
+   * @public
+   * @param {HTMLElement[]} [items] - Ordered items to window (e.g. the
+   *   current page); defaults to every visible item
+   */
+  render(items = this.getOrderedVisibleItems()) {
+    if (!this.enabled) return;
+
+    this.renderItems = items;
+    this.renderWindow();
+  }
+
+  /**
+   * Attach the items inside the viewport (plus overscan) and detach the rest
+   * @public
+   */
+  renderWindow() {
+    if (!this.enabled) return;
+
+    const items = this.renderItems;
+    const columns = Math.max(
+      1,
+      parseInt(this.afs.options.get("virtualization.columns"), 10) || 1
+    );
+    const overscan = Math.max(
+      0,
+      parseInt(this.afs.options.get("virtualization.overscan"), 10) || 0
+    );
+    const rowHeight = this.getRowHeight(items[0]);
+    const rows = Math.ceil(items.length / columns);
+
+    // Window in rows, relative to the top of the list
+    const listTop = this.topSpacer.getBoundingClientRect().top;
+    const viewport = this.getViewport();
+    const firstRow = Math.min(
+      rows,
+      Math.max(0, Math.floor((viewport.top - listTop) / rowHeight) - overscan)
+    );
+    const lastRow = Math.min(
+      rows,
+      Math.max(firstRow, Math.ceil((viewport.bottom - listTop) / rowHeight) + overscan)
+    );
+
+    const start = firstRow * columns;
+    const end = Math.min(items.length, lastRow * columns);
+    const windowItems = items.slice(start, end);
+    const inWindow = new Set(windowItems);
+
+    this.attached.forEach((item) => {
+      if (!inWindow.has(item)) {
+        item.remove();
+        this.attached.delete(item);
+      }
+    });
+
+    const hiddenClass = this.afs.options.get("hiddenClass");
+    windowItems.forEach((item) => {
+      this.bottomSpacer.parentNode.insertBefore(item, this.bottomSpacer);
+      if (!this.attached.has(item)) {
+        this.attached.add(item);
+        item.classList.remove(hiddenClass);
+        item.style.display = this.afs.filter.getItemDisplayType(item);
+        item.style.opacity = "1";
+        item.style.visibility = "visible";
+        item.style.filter = "none";
+        item.style.transform = "";
+      }
+    });
+
+    this.topSpacer.style.height = `${firstRow * rowHeight}px`;
+    this.bottomSpacer.style.height = `${(rows - lastRow) * rowHeight}px`;
+
+    // Our own attach/detach must not trigger the observeDOM refresh
+    this.afs.mutationObserver?.takeRecords();
+
+    this.afs.emit("virtualRender", { start, end, total: items.length });
+  }
+
+  /**
+   * Row height from the options, or measured once from a rendered item
+   * @private
+   * @param {HTMLElement} [sample] - Item to measure
+   * @returns {number}
+   */
+  getRowHeight(sample) {
+    const configured = parseFloat(
+      this.afs.options.get("virtualization.itemHeight")
+    );
+    if (configured > 0) return configured;
+    if (this.rowHeight > 0) return this.rowHeight;
+    if (!sample) return DEFAULT_ROW_HEIGHT;
+
+    const wasAttached = sample.isConnected;
+    if (!wasAttached) {
+      this.bottomSpacer.parentNode.insertBefore(sample, this.bottomSpacer);
+    }
+    sample.style.display = this.afs.filter.getItemDisplayType(sample);
+    const height = sample.getBoundingClientRect().height;
+    if (!wasAttached) {
+      sample.remove();
+    }
+
+    // Only cache a real measurement so a later layout can still provide one
+    if (height > 0) {
+      this.rowHeight = height;
+      return height;
+    }
+    return DEFAULT_ROW_HEIGHT;
+  }
+
+  /**
+   * Viewport bounds in client coordinates
+   * @private
+   * @returns {{top: number, bottom: number}}
+   */
+  getViewport() {
+    if (this.scrollTarget === window) {
+      return { top: 0, bottom: window.innerHeight };
+    }
+
+    const rect = this.scrollTarget.getBoundingClientRect();
+    return { top: rect.top, bottom: rect.top + this.scrollTarget.clientHeight };
+  }
+
+  /**
+   * Apply a new item order (used instead of moving every node on sort)
+   * @public
+   * @param {HTMLElement[]} items - Items in their new order
+   */
+  reorder(items) {
+    const reordered = new Set(items);
+    // Keep items the caller didn't pass at the end, in their previous order
+    this.afs.items = toItemList([
+      ...items,
+      ...this.afs.items.filter((item) => !reordered.has(item)),
+    ]);
+    this.refresh();
+  }
+
+  /**
+   * Re-render from the current state, through pagination when it is on
+   * @private
+   */
+  refresh() {
+    if (this.afs.options.get("pagination.enabled")) {
+      this.afs.pagination.update();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Forget items removed through afs.removeItems()
+   * @public
+   * @param {HTMLElement[]} items - Removed items
+   */
+  remove(items) {
+    if (!this.enabled) return;
+
+    const removed = new Set(items);
+    removed.forEach((item) => this.attached.delete(item));
+    this.afs.items = toItemList(this.afs.items.filter((item) => !removed.has(item)));
+  }
+
+  /**
+   * Merge a fresh DOM query with the items kept detached, preserving order
+   * @public
+   * @param {Iterable<HTMLElement>} found - Items currently in the DOM
+   * @returns {HTMLElement[]} Full item list
+   */
+  collectItems(found) {
+    const known = new Set(this.afs.items);
+
+    // An item we attached that is no longer connected was removed by the page
+    const items = this.afs.items.filter(
+      (item) => item.isConnected || !this.attached.has(item)
+    );
+    this.attached.forEach((item) => {
+      if (!item.isConnected) this.attached.delete(item);
+    });
+
+    // New items join the order list detached; the next render windows them
+    found.forEach((item) => {
+      if (known.has(item)) return;
+      item.remove();
+      items.push(item);
+    });
+
+    return toItemList(items);
+  }
+
+  /**
+   * Destroy instance: re-attach every item in order and remove the spacers
+   * @public
+   */
+  destroy() {
+    if (!this.enabled) return;
+
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.scrollTarget?.removeEventListener("scroll", this.scrollHandler);
+    window.removeEventListener("resize", this.scrollHandler);
+
+    const parent = this.bottomSpacer.parentNode;
+    if (parent) {
+      const fragment = document.createDocumentFragment();
+      this.afs.items.forEach((item) => fragment.appendChild(item));
+      parent.insertBefore(fragment, this.bottomSpacer);
+    }
+    this.topSpacer.remove();
+    this.bottomSpacer.remove();
+
+    this.attached.clear();
+    this.renderItems = [];
+    this.enabled = false;
+    this.afs.logger.debug("Virtualization destroyed");
+  }
+}
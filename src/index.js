@@ -3,6 +3,7 @@
  */
 
 export { AFS } from './AFS';
+export { HeadlessAFS } from './HeadlessAFS';
 export { DateFilter } from './features/DateFilter';
 export { Filter } from './features/Filter';
 export { InputRangeFilter } from './features/InputRangeFilter';
@@ -11,12 +12,29 @@ export { Pagination } from './features/Pagination';
 export { RangeFilter } from './features/RangeFilter';
 export { Sort } from './features/Sort';
 export { URLManager } from './features/URLManager';
+export { Virtualization } from './features/Virtualization';
+export { History } from './features/History';
+export { Presets } from './features/Presets';
+export { TabSync } from './features/TabSync';
+export { Autocomplete } from './features/Autocomplete';
 
 // Core exports
 export { Logger } from './core/Logger';
 export { Options } from './core/Options';
 export { State } from './core/State';
+export { Pipeline } from './core/Pipeline';
+export { ItemIndex } from './core/ItemIndex';
+export { FilterExpression } from './core/FilterExpression';
+export {
+  createStorageAdapter,
+  WebStorageAdapter,
+  LocalStorageAdapter,
+  SessionStorageAdapter,
+  MemoryStorageAdapter,
+  IndexedDBStorageAdapter,
+} from './core/Storage';
 export { EventEmitter } from './core/EventEmitter';
+export { englishStemmer } from './core/Stemmer';
 
 // Style exports
 export { StyleManager } from './styles/StyleManager';
@@ -3,7 +3,7 @@
  * @fileoverview TypeScript definitions for core classes
  */
 
-import { AFSOptions, AFSEventData, EventCallback } from './index';
+import { AFSOptions, AFSEventData, EventCallback, StorageAdapter, StorageAdapterName } from './index';
 
 // Options Class
 export declare class Options {
@@ -44,6 +44,88 @@ export declare class State {
   reset(): void;
 }
 
+// ItemIndex Class
+export declare class ItemIndex {
+  readonly size: number;
+  add(items: Iterable<HTMLElement>): void;
+  /** Re-read an item's data attributes after changing them in place */
+  update(item: HTMLElement): void;
+  remove(items: Iterable<HTMLElement>): void;
+  sync(items: Iterable<HTMLElement>): void;
+  clear(): void;
+  has(item: HTMLElement, key: string): boolean;
+  getRaw(item: HTMLElement, key: string): string | undefined;
+  getCategories(item: HTMLElement): Set<string>;
+  /** Categories plus the ancestor paths of hierarchical tokens */
+  getCategoryPaths(item: HTMLElement, separator: string): Set<string>;
+  expandCategoryPaths(tokens: Iterable<string>, separator: string): Set<string>;
+  getParsed<T>(item: HTMLElement, key: string, kind: string, parse: (value: string | undefined) => T): T;
+  getNumber(item: HTMLElement, key: string): number;
+  getDate(item: HTMLElement, key: string): number;
+  getText(item: HTMLElement, key: string): string;
+  /** `fold` replaces lowercasing (see Search folding) */
+  getSearchText(item: HTMLElement, keys: string[], fold?: ((text: string) => string) | null): string;
+}
+
+// FilterExpression Class
+export declare class FilterExpression {
+  constructor(source: string);
+  readonly source: string;
+  compile(
+    index: ItemIndex,
+    options?: { separator?: string | null; getCategories?: (item: HTMLElement) => Set<string> }
+  ): (item: HTMLElement) => boolean;
+  getCategories(): string[];
+  toString(): string;
+}
+
+// Storage adapters
+export declare class WebStorageAdapter implements StorageAdapter {
+  constructor(getArea: () => Storage);
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+export declare class LocalStorageAdapter extends WebStorageAdapter {
+  constructor();
+}
+export declare class SessionStorageAdapter extends WebStorageAdapter {
+  constructor();
+}
+export declare class MemoryStorageAdapter implements StorageAdapter {
+  constructor();
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+export declare class IndexedDBStorageAdapter implements StorageAdapter {
+  constructor(options?: { database?: string; store?: string });
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+export declare function createStorageAdapter(
+  adapter: StorageAdapterName | StorageAdapter
+): StorageAdapter;
+
+// Stemming
+export declare function englishStemmer(word: string): string;
+
+// Pipeline Class
+export declare class Pipeline {
+  constructor(afs: any);
+
+  /** @returns an unregister function */
+  register(name: string, predicate: (item: HTMLElement) => boolean): () => void;
+  unregister(name: string): boolean;
+  has(name: string): boolean;
+  getStageNames(): string[];
+  matches(item: HTMLElement, overrides?: Record<string, ((item: HTMLElement) => boolean) | null>): boolean;
+  compute(items?: Iterable<HTMLElement>, overrides?: Record<string, ((item: HTMLElement) => boolean) | null>): Set<HTMLElement>;
+  apply(): Promise<Set<HTMLElement>>;
+  destroy(): void;
+}
+
 // Logger Class
 export declare class Logger {
   constructor(debug?: boolean, logLevel?: string);
@@ -11,17 +11,26 @@ import {
   SortDirection,
   SortCriteria,
   FilterMode,
+  FilterPredicate,
   FilterTypeConfig,
   RangeSliderOptions,
   DateFilterOptions,
   InputRangeOptions,
   PageInfo,
+  AFSState,
+  AFSStateFilters,
+  Preset,
+  PresetInfo,
+  SearchKey,
+  ParsedSearchQuery,
+  Suggestion,
+  SearchExpansion,
 } from './index';
 import { AFS } from './index';
 
 // Filter Feature
 export declare class Filter {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean });
 
   addFilter(filter: string): void;
   removeFilter(filter: string): void;
@@ -31,6 +40,12 @@ export declare class Filter {
   clearFilterCategory(category: string): void;
   resetFilters(): void;
   getActiveFilters(): Set<string>;
+  addExclusion(filter: string): void;
+  removeExclusion(filter: string): void;
+  getExclusions(): string[];
+  setExpression(expression: string | null): void;
+  clearExpression(): void;
+  getExpression(): string | null;
   setFilterMode(mode: FilterMode): void;
   setGroupMode(mode: FilterMode): void;
   setFilterTypeLogic(type: string, logic: FilterMode | FilterTypeConfig): void;
@@ -38,33 +53,71 @@ export declare class Filter {
   addFilterGroup(id: string, filters: string[], operator?: FilterMode): void;
   removeFilterGroup(id: string): void;
   getFilterGroups(): Map<string, any>;
+  registerPredicate(
+    name: string,
+    predicate: FilterPredicate,
+    options?: { enabled?: boolean }
+  ): boolean;
+  enablePredicate(name: string): boolean;
+  disablePredicate(name: string): boolean;
+  removePredicate(name: string): boolean;
+  isPredicateEnabled(name: string): boolean;
+  getFacetCounts(options?: { ignoreSearch?: boolean }): Map<string, number>;
+  renderFacetCounts(): void;
+  clearFacetCounts(): void;
+  /** data-label, or the text without the rendered facet count */
+  getControlLabel(element: HTMLElement): string;
   addFilterButton(button: HTMLElement, filter: string): void;
   removeFilterButton(button: HTMLElement): void;
   applyFilters(): void;
   refresh(): void;
+  /** Restore the `filters` part of a snapshot and sync the controls; does not re-apply */
+  restoreSnapshot(snapshot?: AFSStateFilters): void;
   destroy(): void;
 }
 
 // Search Feature
 export declare class Search {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean });
+  readonly autocomplete: Autocomplete | null;
+  readonly recentSearches: RecentSearches;
 
   search(query: string): void;
   clearSearch(): void;
   setValue(value: string): void;
   getValue(): string;
+  updateHighlights(): void;
+  /** 1 for an exact match, 0-1 in fuzzy mode, 0 for no match; null without a query */
+  getScore(item: HTMLElement): number | null;
+  /** Scores of the visible items */
+  getScores(): Map<HTMLElement, number>;
+  getRelevance(item: HTMLElement): number | null;
+  getParsedQuery(): ParsedSearchQuery | null;
+  getExpansions(): SearchExpansion[];
+  getHistory(): string[];
+  clearHistory(): Promise<void>;
+  setHistoryEnabled(enabled: boolean): Promise<void>;
+  getCorrections(): string[];
   updateConfig(config: {
-    searchKeys?: string[];
+    searchKeys?: Array<string | SearchKey>;
     minSearchLength?: number;
     highlightClass?: string;
     debounceTime?: number;
+    fuzzy?: boolean;
+    fuzzyThreshold?: number;
+    ignoreDiacritics?: boolean;
+    locale?: string | null;
+    querySyntax?: boolean;
+    synonyms?: Record<string, string[]>;
+    stemmer?: 'english' | ((word: string) => string) | null;
   }): void;
+  restoreSnapshot(snapshot?: AFSState['search']): void;
   destroy(): void;
 }
 
 // Sort Feature
 export declare class Sort {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean; search?: Search });
 
   sort(key: string, direction?: SortDirection): void;
   sortMultiple(criteria: SortCriteria[]): void;
@@ -74,12 +127,14 @@ export declare class Sort {
   getCurrentSort(): SortCriteria | null;
   addSortButton(button: HTMLElement, key: string, direction?: SortDirection): void;
   removeSortButton(button: HTMLElement): void;
+  /** Re-sorts, or clears the sort when the snapshot has none */
+  restoreSnapshot(snapshot?: AFSState['sort']): void;
   destroy(): void;
 }
 
 // Pagination Feature
 export declare class Pagination {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean });
 
   goToPage(page: number): void;
   nextPage(): void;
@@ -93,6 +148,7 @@ export declare class Pagination {
   getTotalPages(): number;
   getItemsPerPage(): number;
   update(): void;
+  restoreSnapshot(snapshot?: AFSState['pagination']): void;
   destroy(): void;
 }
 
@@ -104,6 +160,7 @@ export declare class RangeFilter {
   removeRangeSlider(key: string): void;
   getRangeValues(key: string): { min: number; max: number; type: 'number' | 'date' } | null;
   setRangeValues(key: string, min: number, max: number): void;
+  restoreSnapshot(ranges?: AFSStateFilters['ranges']): void;
   destroy(): void;
 }
 
@@ -115,6 +172,7 @@ export declare class DateFilter {
   removeDateRange(key: string): void;
   getDateRange(key: string): { startDate: Date; endDate: Date } | null;
   setDateRange(key: string, startDate: Date, endDate: Date): void;
+  restoreSnapshot(ranges?: AFSStateFilters['dateRanges']): void;
   destroy(): void;
 }
 
@@ -126,6 +184,7 @@ export declare class InputRangeFilter {
   removeInputRange(key: string): void;
   getRange(key: string): { min: number; max: number } | null;
   setRange(key: string, min: number, max: number): void;
+  restoreSnapshot(ranges?: AFSStateFilters['inputRanges']): void;
   destroy(): void;
 }
 
@@ -142,3 +201,81 @@ export declare class URLManager {
   getParam(param: string): string | null;
   destroy(): void;
 }
+
+// Virtualization Feature
+export declare class Virtualization {
+  constructor(afs: AFS);
+
+  initialize(): void;
+  isEnabled(): boolean;
+  getOrderedVisibleItems(): HTMLElement[];
+  render(items?: HTMLElement[]): void;
+  renderWindow(): void;
+  reorder(items: HTMLElement[]): void;
+  remove(items: HTMLElement[]): void;
+  collectItems(found: Iterable<HTMLElement>): HTMLElement[];
+  destroy(): void;
+}
+
+// Undo/Redo Feature
+export declare class History {
+  constructor(afs: AFS);
+
+  initialize(): void;
+  undo(): boolean;
+  redo(): boolean;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  clear(): void;
+  destroy(): void;
+}
+
+// Saved Views Feature
+export declare class Presets {
+  constructor(afs: AFS);
+
+  readonly enabled: boolean;
+  readonly ready: Promise<void>;
+  initialize(): void;
+  save(name: string): Promise<boolean>;
+  apply(name: string): Promise<boolean>;
+  rename(from: string, to: string): Promise<boolean>;
+  delete(name: string): Promise<boolean>;
+  has(name: string): boolean;
+  list(): PresetInfo[];
+  export(names?: string[]): string;
+  import(json: string | Preset[], options?: { replace?: boolean }): Promise<number>;
+  destroy(): void;
+}
+
+// Cross-Tab Sync Feature
+export declare class TabSync {
+  constructor(afs: AFS);
+
+  readonly enabled: boolean;
+  initialize(): void;
+  destroy(): void;
+}
+
+// Search Suggestions (owned by Search)
+export declare class Autocomplete {
+  constructor(afs: AFS, search: Search);
+
+  update(): void;
+  getSuggestions(text: string): Suggestion[];
+  select(index: number): void;
+  close(): void;
+  destroy(): void;
+}
+
+// Recent Searches (owned by Search)
+export declare class RecentSearches {
+  constructor(afs: AFS);
+  readonly ready: Promise<void>;
+
+  record(query: string): Promise<void>;
+  isRecording(): boolean;
+  get(): string[];
+  clear(): Promise<void>;
+  setRecording(enabled: boolean): Promise<void>;
+}
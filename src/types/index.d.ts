@@ -21,6 +21,11 @@ export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
 export interface FilterTypeConfig {
   mode: FilterMode;
   multi: boolean;
+  /**
+   * Match this type against its own data attribute (comma-separated values)
+   * instead of data-categories; true uses data-<type>
+   */
+  attribute?: string | true;
 }
 
 export type FilterTypeLogic = {
@@ -32,7 +37,10 @@ export interface CounterOptions {
   template?: string;
   showFiltered?: boolean;
   filteredTemplate?: string;
+  /** May contain {suggestion}, replaced by "did you mean" buttons */
   noResultsTemplate?: string;
+  /** Used instead of a {suggestion} template when there is no suggestion */
+  noSuggestionsTemplate?: string;
   formatter?: (num: number) => string;
 }
 
@@ -59,6 +67,160 @@ export interface PaginationOptions {
   showPrevNext?: boolean;
 }
 
+// Hierarchical Category Configuration
+export interface HierarchyOptions {
+  /** Path separator (e.g. '/'); null keeps category tokens flat */
+  separator?: string | null;
+  /** Class on parents with only some children active */
+  indeterminateClass?: string;
+}
+
+// Persistence Configuration
+/** Async key/value store used by saveState()/restoreState() */
+export interface StorageAdapter {
+  get(key: string): Promise<any> | any;
+  set(key: string, value: any): Promise<void> | void;
+  remove(key: string): Promise<void> | void;
+}
+
+export type StorageAdapterName = 'session' | 'local' | 'memory' | 'indexedDB';
+
+export interface StorageOptions {
+  /** Built-in adapter name or a custom adapter */
+  adapter?: StorageAdapterName | StorageAdapter;
+  /** Storage key; null derives "afs_state:" + containerSelector */
+  key?: string | null;
+}
+
+// Facet Count Configuration
+export interface FacetOptions {
+  enabled?: boolean;
+  /** Where counts are rendered: a data-count attribute or a child span */
+  target?: 'attribute' | 'span';
+  /** Class of the count span when target is 'span' */
+  countClass?: string;
+  /** Span text; {count} is formatted with counter.formatter */
+  template?: string;
+  /** Disable or hide options that would yield no results */
+  emptyOptions?: 'disable' | 'hide' | null;
+  /** Class added to those options */
+  emptyClass?: string;
+}
+
+// Search Suggestion Configuration
+export interface AutocompleteOptions {
+  enabled?: boolean;
+  maxSuggestions?: number;
+  /** Characters typed before suggesting */
+  minLength?: number;
+  /** {label}, {count} and {type} placeholders (inserted as text), or a render function */
+  template?: string | ((suggestion: Suggestion) => string | Node);
+  /** Same, for recent searches (which have no count) */
+  recentTemplate?: string | ((suggestion: Suggestion) => string | Node);
+  listClass?: string;
+  optionClass?: string;
+  activeClass?: string;
+}
+
+export interface Suggestion {
+  type: 'title' | 'term' | 'filter' | 'recent';
+  label: string;
+  /** The query, or the filter value for filter suggestions */
+  value: string;
+  /** Items it would show; null for recent searches */
+  count: number | null;
+}
+
+// Did You Mean Configuration
+export interface DidYouMeanOptions {
+  enabled?: boolean;
+  maxSuggestions?: number;
+  /** Minimum word similarity (0-1) */
+  threshold?: number;
+  /** Class of the suggestion buttons in the counter */
+  className?: string;
+}
+
+// Recent Searches Configuration
+export interface RecentSearchesOptions {
+  enabled?: boolean;
+  /** Queries kept */
+  limit?: number;
+  /** Storage key; defaults to the state key (getStorageKey()) + "_searches" */
+  key?: string | null;
+}
+
+// Virtualization Configuration
+export interface VirtualizationOptions {
+  enabled?: boolean;
+  /** Row height in px; 0 measures the first rendered item */
+  itemHeight?: number;
+  /** Items per row, for fixed-column grids */
+  columns?: number;
+  /** Extra rows rendered above and below the viewport */
+  overscan?: number;
+  /** Selector of the scrolling element; null uses the window */
+  scrollContainer?: string | null;
+}
+
+// Undo/Redo Configuration
+export interface HistoryOptions {
+  enabled?: boolean;
+  /** Maximum number of entries kept (the oldest are dropped) */
+  limit?: number;
+  /** Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo */
+  keyboard?: boolean;
+}
+
+// Search Configuration
+export interface SearchKey {
+  key: string;
+  /** Relevance weight of matches in this key (default 1) */
+  weight?: number;
+}
+
+/** A search query split into its parts (see docs/search.md, "Query syntax") */
+export interface ParsedSearchQuery {
+  terms: string[];
+  /** Quoted phrases, matched exactly */
+  phrases: string[];
+  /** Words and phrases that must not occur */
+  exclude: string[];
+  fields: Array<{
+    /** Dataset key: `release-year:` scopes to data-release-year (releaseYear) */
+    key: string;
+    /** ":" for a text match, or a numeric comparison */
+    operator: ':' | '>' | '>=' | '<' | '<=';
+    value: string | number;
+    negate: boolean;
+    /** The part of the query it came from */
+    text: string;
+  }>;
+  /** Malformed parts, which were searched as plain text */
+  errors: Array<{ message: string; position: number }>;
+}
+
+/** Synonyms and stem applied to a query term or phrase */
+export interface SearchExpansion {
+  term: string;
+  synonyms: string[];
+  /** null when stemming left the term unchanged */
+  stem: string | null;
+}
+
+// Saved View Configuration
+export interface PresetsOptions {
+  enabled?: boolean;
+  /** Where presets are kept; null shares `storage.adapter` */
+  adapter?: StorageAdapterName | StorageAdapter | null;
+  /** Storage key; defaults to the state key (getStorageKey()) + "_presets" */
+  key?: string | null;
+  /** Buttons that apply the preset named in data-afs-preset */
+  buttonSelector?: string | null;
+  /** Element holding the preset buttons; null is the AFS container */
+  buttonContainer?: string | null;
+}
+
 // Style Configuration
 export interface StyleOptions {
   colors?: {
@@ -176,18 +338,52 @@ export interface AFSOptions {
   filterTypeLogic?: FilterTypeLogic;
   
   // Search Configuration
-  searchKeys?: string[];
+  /** Plain keys, or weighted ones for relevance ranking */
+  searchKeys?: Array<string | SearchKey>;
   debounceTime?: number;
+  /** Typo-tolerant search */
+  fuzzy?: boolean;
+  /** Minimum word similarity (0-1) for a fuzzy match */
+  fuzzyThreshold?: number;
+  /** Accent-insensitive search ("creme" matches "crème"); default true */
+  ignoreDiacritics?: boolean;
+  /** Locale used to lowercase search text; defaults to <html lang> */
+  searchLocale?: string | null;
+  /** Phrases, -exclusions and field:value scopes in queries; default true */
+  querySyntax?: boolean;
+  /** Words or phrases and their equivalents; applies both ways */
+  synonyms?: Record<string, string[]>;
+  /** 'english' (built in) or a (word) => stem function; "running" finds "run" */
+  stemmer?: 'english' | ((word: string) => string) | null;
+  /** Highlight matches inside [data-search-key] elements */
+  highlightMatches?: boolean;
+  /** "dom" wraps matches in elements; "css" uses ::highlight() and leaves the DOM alone */
+  highlightMode?: 'dom' | 'css';
+  /** Wrapping element in "dom" mode, e.g. "mark"; default "span" */
+  highlightElement?: string;
   
   // State Management
   preserveState?: boolean;
   stateExpiry?: number;
+  storage?: StorageOptions;
   observeDOM?: boolean;
+  /** Mirror filters, search, sort and page to other tabs (BroadcastChannel) */
+  syncTabs?: boolean;
+  /** Instances with the same key sync; defaults to containerSelector */
+  syncTabsKey?: string | null;
   urlStateKey?: string;
   
   // UI Configuration
   counter?: CounterOptions;
+  hierarchy?: HierarchyOptions;
+  facets?: FacetOptions;
+  autocomplete?: AutocompleteOptions;
+  recentSearches?: RecentSearchesOptions;
+  didYouMean?: DidYouMeanOptions;
   pagination?: PaginationOptions;
+  virtualization?: VirtualizationOptions;
+  history?: HistoryOptions;
+  presets?: PresetsOptions;
   animation?: AnimationOptions;
   styles?: StyleOptions;
   
@@ -218,6 +414,34 @@ export interface SortData {
   itemCount: number;
 }
 
+export interface HistoryChangedData {
+  action: 'record' | 'undo' | 'redo' | 'clear';
+  canUndo: boolean;
+  canRedo: boolean;
+  /** Index of the current entry */
+  position: number;
+  size: number;
+}
+
+export interface PresetInfo {
+  name: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface Preset extends PresetInfo {
+  /** Snapshot without pagination */
+  state: Omit<AFSState, 'pagination'>;
+}
+
+export interface PresetsChangedData {
+  action: 'save' | 'rename' | 'delete' | 'import';
+  name: string | null;
+  /** Set for renames */
+  previousName?: string;
+  presets: PresetInfo[];
+}
+
 export interface PageChangedData {
   currentPage: number;
   totalPages: number;
@@ -241,14 +465,29 @@ export interface SortCriteria {
 }
 
 // State Interfaces
+/** Serialized filter state (`filters` in a snapshot) */
+export interface AFSStateFilters {
+  current?: string[];
+  groups?: Array<[string, { filters: string[]; operator: FilterMode }]>;
+  /** Applied range sliders */
+  ranges?: Array<[string, { min: number; max: number; currentMin: number; currentMax: number; type: 'number' | 'date' }]>;
+  /** Applied date ranges; dates become ISO strings once JSON-serialized */
+  dateRanges?: Array<[string, { start: Date | string; end: Date | string }]>;
+  /** Applied input ranges */
+  inputRanges?: Array<[string, { min: number; max: number; currentMin: number; currentMax: number }]>;
+  mode?: FilterMode;
+  groupMode?: FilterMode;
+  typeLogic?: FilterTypeLogic;
+  expression?: string | null;
+}
+
+/** JSON-serializable snapshot from afs.getState(); afs.setState() restores it */
 export interface AFSState {
-  filters?: string[];
-  search?: string;
-  sort?: SortCriteria;
-  pagination?: {
-    currentPage: number;
-    itemsPerPage: number;
-  };
+  filters?: AFSStateFilters;
+  search?: { query: string; keys?: string[] };
+  sort?: { current: SortCriteria | null; orders?: Record<string, any> };
+  pagination?: { currentPage: number; itemsPerPage: number; totalPages?: number };
+  /** Set by saveState() */
   timestamp?: number;
 }
 
@@ -289,8 +528,95 @@ export declare class State {
   reset(): void;
 }
 
-export declare class Filter {
+// Parsed data-attribute values per item (afs.index)
+export declare class ItemIndex {
+  readonly size: number;
+  add(items: Iterable<HTMLElement>): void;
+  /** Re-read an item's data attributes after changing them in place */
+  update(item: HTMLElement): void;
+  remove(items: Iterable<HTMLElement>): void;
+  sync(items: Iterable<HTMLElement>): void;
+  clear(): void;
+  has(item: HTMLElement, key: string): boolean;
+  getRaw(item: HTMLElement, key: string): string | undefined;
+  getCategories(item: HTMLElement): Set<string>;
+  /** Categories plus the ancestor paths of hierarchical tokens */
+  getCategoryPaths(item: HTMLElement, separator: string): Set<string>;
+  expandCategoryPaths(tokens: Iterable<string>, separator: string): Set<string>;
+  getParsed<T>(item: HTMLElement, key: string, kind: string, parse: (value: string | undefined) => T): T;
+  getNumber(item: HTMLElement, key: string): number;
+  getDate(item: HTMLElement, key: string): number;
+  getText(item: HTMLElement, key: string): string;
+  /** `fold` replaces lowercasing (see Search folding) */
+  getSearchText(item: HTMLElement, keys: string[], fold?: ((text: string) => string) | null): string;
+}
+
+/** Parsed boolean filter expression; invalid input throws a SyntaxError with a `position` */
+export declare class FilterExpression {
+  constructor(source: string);
+  readonly source: string;
+  compile(
+    index: ItemIndex,
+    options?: { separator?: string | null; getCategories?: (item: HTMLElement) => Set<string> }
+  ): (item: HTMLElement) => boolean;
+  getCategories(): string[];
+  toString(): string;
+}
+
+export declare class WebStorageAdapter implements StorageAdapter {
+  constructor(getArea: () => Storage);
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+export declare class LocalStorageAdapter extends WebStorageAdapter {
+  constructor();
+}
+export declare class SessionStorageAdapter extends WebStorageAdapter {
+  constructor();
+}
+export declare class MemoryStorageAdapter implements StorageAdapter {
+  constructor();
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+export declare class IndexedDBStorageAdapter implements StorageAdapter {
+  constructor(options?: { database?: string; store?: string });
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+  remove(key: string): Promise<void>;
+}
+/** Resolve a `storage.adapter` option; throws on unknown names or incomplete adapters */
+export declare function createStorageAdapter(
+  adapter: StorageAdapterName | StorageAdapter
+): StorageAdapter;
+/** The built-in `stemmer: 'english'` */
+export declare function englishStemmer(word: string): string;
+
+// Visibility pipeline (afs.pipeline)
+export type PipelinePredicate = (item: HTMLElement) => boolean;
+
+export declare class Pipeline {
   constructor(afs: AFS);
+  /** @returns an unregister function */
+  register(name: string, predicate: PipelinePredicate): () => void;
+  unregister(name: string): boolean;
+  has(name: string): boolean;
+  getStageNames(): string[];
+  /** `overrides` replaces a stage for this check; `null` skips it */
+  matches(item: HTMLElement, overrides?: Record<string, PipelinePredicate | null>): boolean;
+  compute(items?: Iterable<HTMLElement>, overrides?: Record<string, PipelinePredicate | null>): Set<HTMLElement>;
+  /** Resolves with the visible set once animations have settled */
+  apply(): Promise<Set<HTMLElement>>;
+  destroy(): void;
+}
+
+/** Custom filter predicate; `state` is the live AFS state tree */
+export type FilterPredicate = (item: HTMLElement, state: any) => boolean;
+
+export declare class Filter {
+  constructor(afs: AFS, options?: { dom?: boolean });
   addFilter(filter: string): void;
   removeFilter(filter: string): void;
   toggleFilter(filter: string): void;
@@ -299,6 +625,12 @@ export declare class Filter {
   clearFilterCategory(category: string): void;
   resetFilters(): void;
   getActiveFilters(): Set<string>;
+  addExclusion(filter: string): void;
+  removeExclusion(filter: string): void;
+  getExclusions(): string[];
+  setExpression(expression: string | null): void;
+  clearExpression(): void;
+  getExpression(): string | null;
   setFilterMode(mode: FilterMode): void;
   setGroupMode(mode: FilterMode): void;
   setFilterTypeLogic(type: string, logic: FilterMode | FilterTypeConfig): void;
@@ -306,30 +638,75 @@ export declare class Filter {
   addFilterGroup(id: string, filters: string[], operator?: FilterMode): void;
   removeFilterGroup(id: string): void;
   getFilterGroups(): Map<string, any>;
+  registerPredicate(
+    name: string,
+    predicate: FilterPredicate,
+    options?: { enabled?: boolean }
+  ): boolean;
+  enablePredicate(name: string): boolean;
+  disablePredicate(name: string): boolean;
+  removePredicate(name: string): boolean;
+  isPredicateEnabled(name: string): boolean;
+  getFacetCounts(options?: { ignoreSearch?: boolean }): Map<string, number>;
+  renderFacetCounts(): void;
+  clearFacetCounts(): void;
+  /** data-label, or the text without the rendered facet count */
+  getControlLabel(element: HTMLElement): string;
   addFilterButton(button: HTMLElement, filter: string): void;
   removeFilterButton(button: HTMLElement): void;
   applyFilters(): void;
   refresh(): void;
+  /** Restore the `filters` part of a snapshot and sync the controls; does not re-apply */
+  restoreSnapshot(snapshot?: AFSStateFilters): void;
   destroy(): void;
 }
 
 export declare class Search {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean });
+  /** Set when autocomplete.enabled or recentSearches.enabled and the search input exists */
+  readonly autocomplete: Autocomplete | null;
+  readonly recentSearches: RecentSearches;
   search(query: string): void;
   clearSearch(): void;
   setValue(value: string): void;
   getValue(): string;
+  updateHighlights(): void;
+  /** 1 for an exact match, 0-1 in fuzzy mode, 0 for no match; null without a query */
+  getScore(item: HTMLElement): number | null;
+  /** Scores of the visible items */
+  getScores(): Map<HTMLElement, number>;
+  /** Ranking score (higher is more relevant); null without a query */
+  getRelevance(item: HTMLElement): number | null;
+  /** The active query split into its parts; null without a query */
+  getParsedQuery(): ParsedSearchQuery | null;
+  /** Synonyms and stems applied to the active query */
+  getExpansions(): SearchExpansion[];
+  /** Recent searches, most recent first */
+  getHistory(): string[];
+  clearHistory(): Promise<void>;
+  /** Privacy opt-out: false forgets the queries and stops remembering */
+  setHistoryEnabled(enabled: boolean): Promise<void>;
+  /** "Did you mean" queries for the active query, best first */
+  getCorrections(): string[];
   updateConfig(config: {
-    searchKeys?: string[];
+    searchKeys?: Array<string | SearchKey>;
     minSearchLength?: number;
     highlightClass?: string;
     debounceTime?: number;
+    fuzzy?: boolean;
+    fuzzyThreshold?: number;
+    ignoreDiacritics?: boolean;
+    locale?: string | null;
+    querySyntax?: boolean;
+    synonyms?: Record<string, string[]>;
+    stemmer?: 'english' | ((word: string) => string) | null;
   }): void;
+  restoreSnapshot(snapshot?: AFSState['search']): void;
   destroy(): void;
 }
 
 export declare class Sort {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean; search?: Search });
   sort(key: string, direction?: SortDirection): void;
   sortMultiple(criteria: SortCriteria[]): void;
   sortWithComparator(key: string, comparator: (a: any, b: any) => number): void;
@@ -338,11 +715,13 @@ export declare class Sort {
   getCurrentSort(): SortCriteria | null;
   addSortButton(button: HTMLElement, key: string, direction?: SortDirection): void;
   removeSortButton(button: HTMLElement): void;
+  /** Re-sorts, or clears the sort when the snapshot has none */
+  restoreSnapshot(snapshot?: AFSState['sort']): void;
   destroy(): void;
 }
 
 export declare class Pagination {
-  constructor(afs: AFS);
+  constructor(afs: AFS, options?: { dom?: boolean });
   goToPage(page: number): void;
   nextPage(): void;
   previousPage(): void;
@@ -355,6 +734,7 @@ export declare class Pagination {
   getTotalPages(): number;
   getItemsPerPage(): number;
   update(): void;
+  restoreSnapshot(snapshot?: AFSState['pagination']): void;
   destroy(): void;
 }
 
@@ -364,6 +744,7 @@ export declare class RangeFilter {
   removeRangeSlider(key: string): void;
   getRangeValues(key: string): { min: number; max: number; type: 'number' | 'date' } | null;
   setRangeValues(key: string, min: number, max: number): void;
+  restoreSnapshot(ranges?: AFSStateFilters['ranges']): void;
   destroy(): void;
 }
 
@@ -373,6 +754,7 @@ export declare class DateFilter {
   removeDateRange(key: string): void;
   getDateRange(key: string): { startDate: Date; endDate: Date } | null;
   setDateRange(key: string, startDate: Date, endDate: Date): void;
+  restoreSnapshot(ranges?: AFSStateFilters['dateRanges']): void;
   destroy(): void;
 }
 
@@ -382,6 +764,7 @@ export declare class InputRangeFilter {
   removeInputRange(key: string): void;
   getRange(key: string): { min: number; max: number } | null;
   setRange(key: string, min: number, max: number): void;
+  restoreSnapshot(ranges?: AFSStateFilters['inputRanges']): void;
   destroy(): void;
 }
 
@@ -397,6 +780,86 @@ export declare class URLManager {
   destroy(): void;
 }
 
+export declare class Virtualization {
+  constructor(afs: AFS);
+  initialize(): void;
+  isEnabled(): boolean;
+  /** Visible items in item order */
+  getOrderedVisibleItems(): HTMLElement[];
+  /** Window a list (defaults to every visible item) */
+  render(items?: HTMLElement[]): void;
+  /** Recompute the window after the viewport changed */
+  renderWindow(): void;
+  reorder(items: HTMLElement[]): void;
+  remove(items: HTMLElement[]): void;
+  collectItems(found: Iterable<HTMLElement>): HTMLElement[];
+  destroy(): void;
+}
+
+export declare class History {
+  constructor(afs: AFS);
+  initialize(): void;
+  /** Returns false when there is nothing to undo */
+  undo(): boolean;
+  /** Returns false when there is nothing to redo */
+  redo(): boolean;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  /** Keep only the current state */
+  clear(): void;
+  destroy(): void;
+}
+
+export declare class Presets {
+  constructor(afs: AFS);
+  readonly enabled: boolean;
+  /** Resolves once the stored presets are loaded */
+  readonly ready: Promise<void>;
+  initialize(): void;
+  /** Save the current view, replacing a preset of the same name */
+  save(name: string): Promise<boolean>;
+  /** Show a saved view, from its first page */
+  apply(name: string): Promise<boolean>;
+  rename(from: string, to: string): Promise<boolean>;
+  delete(name: string): Promise<boolean>;
+  has(name: string): boolean;
+  list(): PresetInfo[];
+  /** JSON of every preset, or of the named ones */
+  export(names?: string[]): string;
+  /** Returns the number of presets imported */
+  import(json: string | Preset[], options?: { replace?: boolean }): Promise<number>;
+  destroy(): void;
+}
+
+export declare class TabSync {
+  constructor(afs: AFS);
+  readonly enabled: boolean;
+  initialize(): void;
+  destroy(): void;
+}
+
+export declare class Autocomplete {
+  constructor(afs: AFS, search: Search);
+  /** Recompute the suggestions for the input text and show them */
+  update(): void;
+  /** Suggestions for a folded input text */
+  getSuggestions(text: string): Suggestion[];
+  select(index: number): void;
+  close(): void;
+  destroy(): void;
+}
+
+export declare class RecentSearches {
+  constructor(afs: AFS);
+  /** Settles once the stored queries are loaded */
+  readonly ready: Promise<void>;
+  record(query: string): Promise<void>;
+  isRecording(): boolean;
+  get(): string[];
+  clear(): Promise<void>;
+  setRecording(enabled: boolean): Promise<void>;
+}
+
 // Main AFS Class
 export declare class AFS extends EventEmitter {
   // Properties
@@ -404,8 +867,12 @@ export declare class AFS extends EventEmitter {
   readonly options: any;
   readonly logger: any;
   readonly state: State;
+  readonly index: ItemIndex;
+  readonly storage: StorageAdapter;
+  readonly pipeline: Pipeline;
   readonly styleManager: any;
   readonly container: HTMLElement;
+  /** An array with NodeList's item() when virtualization is enabled */
   readonly items: NodeListOf<HTMLElement>;
 
   // Features
@@ -417,6 +884,10 @@ export declare class AFS extends EventEmitter {
   readonly dateFilter: DateFilter;
   readonly urlManager: URLManager;
   readonly inputRangeFilter: InputRangeFilter;
+  readonly virtualization: Virtualization;
+  readonly history: History;
+  readonly presets: Presets;
+  readonly tabSync: TabSync;
   
   constructor(options?: AFSOptions);
   
@@ -427,8 +898,10 @@ export declare class AFS extends EventEmitter {
   removeItems(items: HTMLElement | HTMLElement[]): void;
   
   // State Management
-  saveState(): void;
-  restoreState(): void;
+  /** storage.key, or "afs_state:" + containerSelector */
+  getStorageKey(): string;
+  saveState(): Promise<void>;
+  restoreState(): Promise<void>;
   getState(): AFSState;
   setState(state: AFSState): void;
   
@@ -443,6 +916,72 @@ export declare class AFS extends EventEmitter {
   destroy(): void;
 }
 
+// Headless (data-only) mode
+export interface HeadlessOptions extends Partial<AFSOptions> {
+  /** Record field used as the id (default "id"; falls back to the array index) */
+  idKey?: string;
+}
+
+/** A record as seen by predicates: fields stringified into `dataset` */
+export interface HeadlessItem<T = Record<string, any>> {
+  id: any;
+  record: T;
+  dataset: Record<string, string>;
+}
+
+export interface HeadlessResult<T = Record<string, any>> {
+  /** Matching ids in sort order */
+  ids: any[];
+  total: number;
+  matched: number;
+  page: {
+    currentPage: number;
+    totalPages: number;
+    itemsPerPage: number;
+    ids: any[];
+    records: T[];
+  };
+}
+
+export declare class HeadlessAFS<T = Record<string, any>> extends EventEmitter {
+  readonly options: any;
+  readonly logger: any;
+  readonly state: State;
+  readonly index: ItemIndex;
+  readonly pipeline: Pipeline;
+  readonly items: HeadlessItem<T>[];
+
+  constructor(records?: T[], options?: HeadlessOptions);
+
+  setRecords(records: T[]): HeadlessResult<T>;
+  getRecord(id: any): T | undefined;
+
+  addFilter(filter: string): HeadlessResult<T>;
+  removeFilter(filter: string): HeadlessResult<T>;
+  setFilters(filters: string[]): HeadlessResult<T>;
+  resetFilters(): HeadlessResult<T>;
+  getActiveFilters(): Set<string>;
+  registerPredicate(
+    name: string,
+    predicate: (item: HeadlessItem<T>, state: any) => boolean,
+    options?: { enabled?: boolean }
+  ): HeadlessResult<T>;
+  removePredicate(name: string): HeadlessResult<T>;
+
+  search(query: string): HeadlessResult<T>;
+  clearSearch(): HeadlessResult<T>;
+
+  sort(key: string, direction?: SortDirection): HeadlessResult<T>;
+  resetSort(): HeadlessResult<T>;
+
+  goToPage(page: number): HeadlessResult<T>;
+  setItemsPerPage(count: number): HeadlessResult<T>;
+
+  getResult(): HeadlessResult<T>;
+  getState(): any;
+  destroy(): void;
+}
+
 // Events Map — keys are the exact event names emitted by AFS
 export interface AFSEventMap {
   // Core / lifecycle
@@ -464,11 +1003,16 @@ export interface AFSEventMap {
   filterToggled: { filter: string; activeFilters: string[] };
   filterToggledExclusive: { filter: string; activeFilters: string[] };
   filterCategoryCleared: { category: string; activeFilters: string[] };
+  expressionChanged: { expression: string | null };
   itemsShown: { items: Set<HTMLElement> };
   itemsHidden: { items: Set<HTMLElement> };
 
   // Search
-  search: { query: string; matches: number; total: number };
+  search: { query: string; matches: number; total: number; expansions: SearchExpansion[] };
+  searchParsed: { query: string; parsed: ParsedSearchQuery };
+  suggestionSelected: Suggestion;
+  recentSearchesChanged: { queries: string[]; recording: boolean };
+  searchNoResults: { query: string; suggestions: string[] };
   searchCleared: void;
 
   // Sort
@@ -483,6 +1027,19 @@ export interface AFSEventMap {
   pageChanged: PageChangedData;
   paginationModeChanged: { enabled: boolean };
 
+  // Virtualization
+  virtualRender: { start: number; end: number; total: number };
+
+  // Undo/redo
+  historyChanged: HistoryChangedData;
+
+  // Presets
+  presetsChanged: PresetsChangedData;
+  presetApplied: { name: string; state: Preset['state'] };
+
+  // Cross-tab sync
+  stateSynced: { source: string; state: AFSState };
+
   // URL
   urlStateLoaded: { params: Record<string, string> };
 
@@ -0,0 +1,181 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+const DOM = `
+  <div class="filter-container">
+    <button class="btn-filter" data-filter="*">All</button>
+    <button class="btn-filter" data-filter="brand:ferrari">Ferrari</button>
+    <button class="btn-filter" data-filter="brand:fiat">Fiat</button>
+    <input class="filter-search" />
+    <div class="filter-item" data-categories="brand:ferrari" data-title="Ferrari Roma" data-tags="coupe fast"></div>
+    <div class="filter-item" data-categories="brand:ferrari" data-title="Ferrari F40" data-tags="coupe fast classic"></div>
+    <div class="filter-item" data-categories="brand:fiat" data-title="Fiat Panda" data-tags="city"></div>
+    <div class="filter-item" data-categories="brand:fiat" data-title="Fiat 500 Classic" data-tags="city classic"></div>
+  </div>
+`;
+
+function createSuggestAFS(autocomplete = {}, overrides = {}) {
+  document.body.innerHTML = DOM;
+  return new AFS({
+    ...overrides,
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    filterButtonSelector: ".btn-filter",
+    searchInputSelector: ".filter-search",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    searchKeys: ["title", "tags"],
+    debounceTime: 0,
+    autocomplete: { enabled: true, ...autocomplete },
+  });
+}
+
+describe("AFS — Search autocomplete", () => {
+  let afs;
+  let input;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    cleanupEnv();
+  });
+
+  const setup = (options, overrides) => {
+    afs = createSuggestAFS(options, overrides);
+    input = document.querySelector(".filter-search");
+    input.focus();
+  };
+
+  const type = (value) => {
+    input.value = value;
+    input.dispatchEvent(new Event("input"));
+  };
+
+  const press = (key) => {
+    const event = new KeyboardEvent("keydown", { key, cancelable: true });
+    input.dispatchEvent(event);
+    return event;
+  };
+
+  const list = () => document.getElementById(input.getAttribute("aria-controls"));
+  const options = () => Array.from(list().querySelectorAll('[role="option"]'));
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  test("suggests titles, frequent words and filters with their counts", () => {
+    setup();
+
+    type("f");
+    expect(afs.search.autocomplete.suggestions.map(({ type, label, count }) => [type, label, count]))
+      .toEqual([
+        ["title", "Ferrari Roma", 1],
+        ["title", "Ferrari F40", 1],
+        ["title", "Fiat Panda", 1],
+        ["title", "Fiat 500 Classic", 1],
+        ["term", "ferrari", 2],
+        ["term", "fast", 2],
+        ["term", "fiat", 2],
+        ["term", "f40", 1],
+      ]);
+    expect(options()[4].textContent).toBe("ferrari (2)");
+
+    type("cla");
+    expect(options().map((option) => option.textContent)).toEqual([
+      "Fiat 500 Classic (1)",
+      "classic (2)",
+    ]);
+  });
+
+  test("counts follow the other filters and skip filters already active", () => {
+    setup({ template: (s) => `${s.type}:${s.label}=${s.count}` });
+
+    afs.filter.addFilter("brand:fiat");
+    type("fi");
+    expect(options().map((option) => option.textContent)).toEqual([
+      "title:Fiat Panda=1",
+      "title:Fiat 500 Classic=1",
+      "term:fiat=2",
+    ]);
+
+    type("ferr");
+    // Nothing matches the text among Fiats; the filter counts as if clicked
+    expect(options().map((option) => option.textContent)).toEqual(["filter:Ferrari=2"]);
+  });
+
+  test("filter labels leave out rendered facet counts", () => {
+    setup(
+      { template: (s) => `${s.type}:${s.label}=${s.count}` },
+      { facets: { enabled: true, target: "span" } }
+    );
+    const fiat = document.querySelector('[data-filter="brand:fiat"]');
+    expect(fiat.querySelector(".afs-facet-count")).not.toBeNull();
+
+    type("fia");
+    expect(options().map((option) => option.textContent)).toContain("filter:Fiat=2");
+
+    fiat.dataset.label = "Fiat (Italy)";
+    type("ital");
+    expect(options().map((option) => option.textContent)).toEqual(["filter:Fiat (Italy)=2"]);
+  });
+
+  test("has combobox semantics and keyboard navigation", () => {
+    setup({ maxSuggestions: 3 });
+    expect(input.getAttribute("role")).toBe("combobox");
+    expect(list().getAttribute("role")).toBe("listbox");
+
+    type("fer");
+    expect(list().hidden).toBe(false);
+    expect(input.getAttribute("aria-expanded")).toBe("true");
+    expect(options()).toHaveLength(3);
+
+    press("ArrowDown");
+    press("ArrowDown");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options()[1].id);
+    expect(options()[1].getAttribute("aria-selected")).toBe("true");
+
+    press("ArrowUp");
+    press("ArrowUp");
+    expect(input.hasAttribute("aria-activedescendant")).toBe(false);
+    press("ArrowUp");
+    expect(input.getAttribute("aria-activedescendant")).toBe(options()[2].id);
+
+    expect(press("Escape").defaultPrevented).toBe(true);
+    expect(list().hidden).toBe(true);
+    expect(input.getAttribute("aria-expanded")).toBe("false");
+  });
+
+  test("Enter and clicks select a suggestion", () => {
+    setup();
+    const selected = jest.fn();
+    afs.on("suggestionSelected", selected);
+
+    type("rom");
+    press("ArrowDown");
+    expect(press("Enter").defaultPrevented).toBe(true);
+    expect(input.value).toBe("Ferrari Roma");
+    expect(visibleTitles()).toEqual(["Ferrari Roma"]);
+    expect(selected).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "title", label: "Ferrari Roma", count: 1 })
+    );
+
+    type("fia");
+    const filterOption = options().find((option) => option.dataset.type === "filter");
+    filterOption.click();
+    expect(input.value).toBe("");
+    expect(afs.filter.getActiveFilters()).toEqual(new Set(["brand:fiat"]));
+    expect(visibleTitles()).toEqual(["Fiat Panda", "Fiat 500 Classic"]);
+  });
+
+  test("destroy removes the listbox and the input attributes", () => {
+    setup();
+    const listId = input.getAttribute("aria-controls");
+
+    afs.search.destroy();
+    expect(document.getElementById(listId)).toBeNull();
+    expect(input.hasAttribute("role")).toBe(false);
+    expect(afs.search.autocomplete).toBeNull();
+  });
+});
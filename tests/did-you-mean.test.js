@@ -0,0 +1,158 @@
+import { AFS } from "../src/AFS";
+import { closestWords } from "../src/core/Fuzzy";
+import { cleanupEnv, createBasicAFS } from "./helpers";
+
+const PRODUCTS = ["Red running shoes", "Blue trail shoes", "Red leather boots"];
+
+function createProductAFS(overrides = {}, titles = PRODUCTS) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      <input class="filter-search" />
+      ${titles.map((title) => `<div class="filter-item" data-title="${title}"></div>`).join("")}
+      <div class="filter-counter"></div>
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    searchInputSelector: ".filter-search",
+    counterSelector: ".filter-counter",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    debounceTime: 0,
+    ...overrides,
+  });
+}
+
+describe("closestWords", () => {
+  test("ranks by similarity, then by frequency", () => {
+    const vocabulary = new Map([["boots", 1], ["boats", 3], ["bolts", 2], ["shoes", 5]]);
+    expect(closestWords("boets", vocabulary, 0.6, 2)).toEqual([
+      { word: "boats", score: 0.8 },
+      { word: "bolts", score: 0.8 },
+    ]);
+    expect(closestWords("xyz", vocabulary, 0.6, 2)).toEqual([]);
+  });
+});
+
+describe("AFS — Search did you mean", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  test("emits corrections when a search finds nothing", async () => {
+    afs = createProductAFS();
+    const onNoResults = jest.fn();
+    afs.on("searchNoResults", onNoResults);
+
+    afs.search.search("red shoos");
+    await jest.runAllTimersAsync();
+    expect(onNoResults).toHaveBeenCalledWith({ query: "red shoos", suggestions: ["red shoes"] });
+
+    // Corrections must find something together
+    afs.search.search("bleu trial");
+    expect(afs.search.getCorrections()).toEqual(["blue trail"]);
+    afs.search.search("bleu lether");
+    expect(afs.search.getCorrections()).toEqual([]);
+
+    afs.search.search("shoes");
+    await jest.runAllTimersAsync();
+    expect(onNoResults).toHaveBeenCalledTimes(3);
+    expect(afs.search.getCorrections()).toEqual([]);
+  });
+
+  test("offers up to maxSuggestions queries, best first", () => {
+    afs = createProductAFS({ didYouMean: { maxSuggestions: 3 } });
+
+    afs.search.search("rad bouts");
+    expect(afs.search.getCorrections()).toEqual(["red boots"]);
+
+    afs.search.search("sho");
+    expect(afs.search.getCorrections()).toEqual([]);
+
+    // Equally close: the word more items contain comes first
+    afs.search.search("boes");
+    expect(afs.search.getCorrections()).toEqual(["shoes", "boots"]);
+  });
+
+  test("corrects up to three words, keeping only the best combinations", () => {
+    afs = createProductAFS({ didYouMean: { maxSuggestions: 2 } });
+
+    afs.search.search("rad runing shoos");
+    expect(afs.search.getCorrections()).toEqual(["red running shoes"]);
+
+    // Each word has close alternatives, but only the best combinations are tried
+    afs.search.search("bleu trial shoos");
+    expect(afs.search.getCorrections()).toEqual(["blue trail shoes"]);
+
+    afs.search.search("rad runing shoos bleu");
+    expect(afs.search.getCorrections()).toEqual([]);
+  });
+
+  test("tries other close words when the closest ones never appear together", () => {
+    afs = createProductAFS({}, ["Red boots", "Red hats", "Rod shoes"]);
+
+    // "red" is closer to "rad" by frequency, but no red item has shoes
+    afs.search.search("rad shoez");
+    expect(afs.search.getCorrections()).toEqual(["rod shoes"]);
+  });
+
+  test("only suggests words of items the filters let through", () => {
+    afs = createBasicAFS();
+
+    afs.search.search("carot");
+    expect(afs.search.getCorrections()).toEqual(["carrot"]);
+
+    afs.filter.addFilter("category:fruit");
+    expect(afs.search.getCorrections()).toEqual([]);
+  });
+
+  test("the counter shows clickable suggestions through {suggestion}", () => {
+    afs = createProductAFS({
+      counter: {
+        template: "Showing {visible} of {total}",
+        noResultsTemplate: "No items found. Did you mean {suggestion}?",
+        noSuggestionsTemplate: "Nothing matches",
+      },
+    });
+    const counter = document.querySelector(".filter-counter");
+
+    afs.search.search("trial");
+    expect(counter.textContent).toBe("No items found. Did you mean trail?");
+
+    counter.querySelector("button.afs-did-you-mean").click();
+    expect(document.querySelector(".filter-search").value).toBe("trail");
+    expect(visibleTitles()).toEqual(["Blue trail shoes"]);
+    expect(counter.textContent).toBe("Showing 1 of 3 (2 filtered)");
+
+    afs.search.search("zzz");
+    expect(counter.textContent).toBe("Nothing matches");
+  });
+
+  test("can be disabled, and validates its options", async () => {
+    afs = createProductAFS({ didYouMean: { enabled: false } });
+    const onNoResults = jest.fn();
+    afs.on("searchNoResults", onNoResults);
+
+    afs.search.search("trial");
+    await jest.runAllTimersAsync();
+    expect(onNoResults).toHaveBeenCalledWith({ query: "trial", suggestions: [] });
+
+    expect(() => afs.options.set("didYouMean.maxSuggestions", 0)).toThrow(
+      "didYouMean.maxSuggestions must be a positive integer"
+    );
+    expect(() => afs.options.set("didYouMean.threshold", 2)).toThrow(
+      "didYouMean.threshold must be a number between 0 and 1"
+    );
+  });
+});
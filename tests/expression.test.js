@@ -0,0 +1,126 @@
+import { AFS } from "../src/AFS";
+import { FilterExpression } from "../src/core/FilterExpression";
+import { cleanupEnv } from "./helpers";
+
+const CARS = [
+  ["LaFerrari", "brand:ferrari color:red", 1400000],
+  ["Roma", "brand:ferrari color:blue", 220000],
+  ["Huayra", "brand:pagani color:silver", 2800000],
+  ["Zonda", "brand:pagani color:red", 95000],
+  ["911", "brand:porsche color:silver", 120000],
+];
+
+describe("AFS — Filter expressions", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = `
+      <div class="filter-container">
+        ${CARS.map(
+          ([title, categories, price]) =>
+            `<div class="filter-item" data-title="${title}" data-categories="${categories}" data-price="${price}"></div>`
+        ).join("")}
+      </div>
+    `;
+    afs = new AFS({
+      containerSelector: ".filter-container",
+      itemSelector: ".filter-item",
+      hiddenClass: "hidden",
+      animation: { duration: 0 },
+    });
+  });
+
+  afterEach(cleanupEnv);
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  test("evaluates AND, OR, NOT, grouping and numeric comparisons", () => {
+    afs.filter.setExpression(
+      "(brand:ferrari OR brand:pagani) AND NOT color:red AND price>100000"
+    );
+    expect(visibleTitles()).toEqual(["Roma", "Huayra"]);
+
+    afs.filter.setExpression("!brand:ferrari && (color:red || price<=120000)");
+    expect(visibleTitles()).toEqual(["Zonda", "911"]);
+
+    afs.filter.setExpression('title = "laferrari" or title=911');
+    expect(visibleTitles()).toEqual(["LaFerrari", "911"]);
+  });
+
+  test("composes with category filters and clears", () => {
+    const changed = jest.fn();
+    afs.on("expressionChanged", changed);
+
+    afs.filter.addFilter("color:red");
+    afs.filter.setExpression("price >= 1000000");
+    expect(visibleTitles()).toEqual(["LaFerrari"]);
+    expect(changed).toHaveBeenLastCalledWith(
+      expect.objectContaining({ expression: "price >= 1000000" })
+    );
+
+    afs.filter.setExpression("");
+    expect(afs.filter.getExpression()).toBeNull();
+    expect(visibleTitles()).toEqual(["LaFerrari", "Zonda"]);
+  });
+
+  test("clearAllFilters drops the expression and says so", () => {
+    const changed = jest.fn();
+    afs.on("expressionChanged", changed);
+
+    afs.filter.setExpression("price >= 1000000");
+    afs.filter.clearAllFilters();
+    expect(afs.filter.getExpression()).toBeNull();
+    expect(changed).toHaveBeenLastCalledWith({ expression: null });
+
+    // Nothing to report without an expression
+    afs.filter.clearAllFilters();
+    expect(changed).toHaveBeenCalledTimes(2);
+  });
+
+  test("throws clear syntax errors and keeps the current expression", () => {
+    afs.filter.setExpression("brand:pagani");
+
+    expect(() => afs.filter.setExpression("brand:ferrari AND (color:red")).toThrow(
+      'Missing closing ")" at position 28'
+    );
+    expect(() => afs.filter.setExpression("price > cheap")).toThrow(
+      '">" needs a number, found "cheap" at position 8'
+    );
+    expect(() => afs.filter.setExpression("ferrari OR")).toThrow(SyntaxError);
+
+    let error;
+    try {
+      new FilterExpression("brand:ferrari OR OR color:red");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.position).toBe(17);
+
+    expect(afs.filter.getExpression()).toBe("brand:pagani");
+    expect(visibleTitles()).toEqual(["Huayra", "Zonda"]);
+  });
+
+  test("round-trips through the URL", () => {
+    afs.filter.setExpression("brand:porsche OR price>2000000");
+    afs.urlManager.updateURL();
+
+    const sharedURL = window.location.search;
+    expect(new URLSearchParams(sharedURL).get("expression")).toBe(
+      "brand:porsche OR price>2000000"
+    );
+
+    afs.filter.clearExpression();
+    window.history.replaceState({}, "", sharedURL);
+    afs.urlManager.loadFromURL();
+    expect(visibleTitles()).toEqual(["Huayra", "911"]);
+  });
+
+  test("lists the categories an expression references", () => {
+    const expression = new FilterExpression(
+      "(brand:ferrari OR brand:pagani) AND NOT brand:ferrari"
+    );
+    expect(expression.getCategories()).toEqual(["brand:ferrari", "brand:pagani"]);
+  });
+});
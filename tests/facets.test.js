@@ -0,0 +1,185 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+function createFacetAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      <button class="btn-filter" data-filter="*">All</button>
+      <button class="btn-filter" data-filter="type:fruit">Fruit</button>
+      <button class="btn-filter" data-filter="type:vegetable">Vegetable</button>
+      <label><input type="checkbox" class="btn-filter" data-filter="color:red"> Red</label>
+      <label><input type="checkbox" class="btn-filter" data-filter="color:green"> Green</label>
+      <select class="dropdown-filter" data-filter-type="size">
+        <option value="">Any size</option>
+        <option value="size:small">Small</option>
+        <option value="size:large">Large</option>
+      </select>
+      <input class="filter-search" />
+      <div class="filter-item" data-categories="type:fruit color:red size:small" data-title="Apple"></div>
+      <div class="filter-item" data-categories="type:fruit color:green size:large" data-title="Pear"></div>
+      <div class="filter-item" data-categories="type:vegetable color:red size:large" data-title="Tomato"></div>
+      <div class="filter-item" data-categories="type:vegetable color:green size:small" data-title="Pea"></div>
+      <div class="filter-item" data-categories="type:vegetable color:green size:large" data-title="Cucumber"></div>
+    </div>
+  `;
+
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    filterButtonSelector: ".btn-filter",
+    filterDropdownSelector: ".dropdown-filter",
+    searchInputSelector: ".filter-search",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    searchKeys: ["title"],
+    debounceTime: 0,
+    ...overrides,
+  });
+}
+
+describe("AFS — Facet counts", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    cleanupEnv();
+  });
+
+  test("counts what each option would show with no filters active", () => {
+    afs = createFacetAFS();
+
+    const counts = afs.filter.getFacetCounts();
+    expect(counts.get("*")).toBe(5);
+    expect(counts.get("type:fruit")).toBe(2);
+    expect(counts.get("type:vegetable")).toBe(3);
+    expect(counts.get("color:green")).toBe(3);
+    expect(counts.get("size:small")).toBe(2);
+    expect(counts.get("size:*")).toBe(5);
+  });
+
+  test("follows toggle semantics for the current selection", () => {
+    afs = createFacetAFS();
+    document.querySelector('[data-filter="type:fruit"]').click();
+    document.querySelector('[data-filter="color:red"]').click();
+
+    const counts = afs.filter.getFacetCounts();
+    // Buttons in an OR type replace the selection: vegetables that are red
+    expect(counts.get("type:vegetable")).toBe(1);
+    // Clicking the active button removes it: every red item
+    expect(counts.get("type:fruit")).toBe(2);
+    // Checkboxes add to their type: fruit that is red or green
+    expect(counts.get("color:green")).toBe(2);
+    // Dropdown options replace their type and AND with the rest
+    expect(counts.get("size:large")).toBe(0);
+    expect(counts.get("size:small")).toBe(1);
+  });
+
+  test("respects the search and custom predicates", () => {
+    afs = createFacetAFS();
+    afs.search.search("pe");
+
+    let counts = afs.filter.getFacetCounts();
+    expect(counts.get("type:fruit")).toBe(1); // Pear
+    expect(counts.get("type:vegetable")).toBe(1); // Pea
+
+    afs.filter.registerPredicate("large", (item) =>
+      item.dataset.categories.includes("size:large")
+    );
+    counts = afs.filter.getFacetCounts();
+    expect(counts.get("type:vegetable")).toBe(0);
+  });
+
+  test("renders counts into data-count attributes when enabled", () => {
+    afs = createFacetAFS({ facets: { enabled: true } });
+
+    const fruit = document.querySelector('[data-filter="type:fruit"]');
+    expect(fruit.getAttribute("data-count")).toBe("2");
+
+    fruit.click();
+    expect(
+      document.querySelector('[data-filter="color:red"]').getAttribute("data-count")
+    ).toBe("1");
+    expect(
+      document.querySelector('option[value="size:large"]').getAttribute("data-count")
+    ).toBe("1");
+  });
+
+  test("renders counts into spans and restores the controls on destroy", () => {
+    afs = createFacetAFS({ facets: { enabled: true, target: "span" } });
+
+    const vegetable = document.querySelector('[data-filter="type:vegetable"]');
+    expect(vegetable.querySelector(".afs-facet-count").textContent).toBe("(3)");
+
+    // Checkbox counts go into the label, option counts into the option text
+    const red = document.querySelector('[data-filter="color:red"]');
+    expect(red.closest("label").querySelector(".afs-facet-count").textContent).toBe("(2)");
+    const small = document.querySelector('option[value="size:small"]');
+    expect(small.textContent).toBe("Small (2)");
+
+    vegetable.click();
+    expect(small.textContent).toBe("Small (1)");
+
+    afs.destroy();
+    afs = null;
+    expect(document.querySelectorAll(".afs-facet-count")).toHaveLength(0);
+    expect(small.textContent).toBe("Small");
+  });
+
+  test("does not touch the DOM when facets are disabled", () => {
+    afs = createFacetAFS();
+    document.querySelector('[data-filter="type:fruit"]').click();
+
+    expect(document.querySelectorAll("[data-count]")).toHaveLength(0);
+    expect(document.querySelectorAll(".afs-facet-count")).toHaveLength(0);
+  });
+
+  test("disables options that would yield no results, but not the selection", () => {
+    afs = createFacetAFS({ facets: { emptyOptions: "disable" } });
+    const large = document.querySelector('option[value="size:large"]');
+    const fruit = document.querySelector('[data-filter="type:fruit"]');
+    const red = document.querySelector('[data-filter="color:red"]');
+
+    expect(document.querySelectorAll(".afs-empty")).toHaveLength(0);
+
+    fruit.click();
+    red.click();
+    expect(large.disabled).toBe(true);
+    expect(large.classList.contains("afs-empty")).toBe(true);
+    // Counts are not rendered unless facets.enabled is set
+    expect(large.hasAttribute("data-count")).toBe(false);
+
+    // Active controls stay enabled; re-enabled once results come back
+    afs.search.search("tomato");
+    expect(fruit.disabled).toBe(false);
+    expect(red.disabled).toBe(false);
+    red.click();
+    afs.search.clearSearch();
+    expect(large.disabled).toBe(false);
+    expect(large.classList.contains("afs-empty")).toBe(false);
+  });
+
+  test("hides empty options, using the label for checkboxes", () => {
+    afs = createFacetAFS({ facets: { emptyOptions: "hide" } });
+    const vegetable = document.querySelector('[data-filter="type:vegetable"]');
+    vegetable.disabled = true; // disabled by the page: left alone
+
+    afs.search.search("apple");
+
+    const green = document.querySelector('[data-filter="color:green"]');
+    expect(green.closest("label").hidden).toBe(true);
+    expect(green.classList.contains("afs-empty")).toBe(true);
+    expect(vegetable.hidden).toBe(true);
+    expect(document.querySelector('option[value="size:large"]').hidden).toBe(true);
+
+    afs.destroy();
+    afs = null;
+    expect(green.closest("label").hidden).toBe(false);
+    expect(vegetable.hidden).toBe(false);
+    expect(vegetable.disabled).toBe(true);
+    expect(document.querySelectorAll(".afs-empty")).toHaveLength(0);
+  });
+});
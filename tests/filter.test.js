@@ -82,3 +82,216 @@ describe("AFS — Filtering (buttons & modes)", () => {
     expect(filterInstance.state.getState().items.visible.size).toBe(3);
   });
 });
+
+describe("AFS — Custom filter predicates", () => {
+  let afs;
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((i) => i.dataset.title);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    afs = createBasicAFS();
+  });
+
+  afterEach(cleanupEnv);
+
+  test("enabled predicates AND with category filters", () => {
+    afs.filter.registerPredicate("notApple", (item) => item.dataset.title !== "Apple");
+    expect(visibleTitles()).toEqual(["Carrot"]);
+
+    afs.filter.addFilter("category:fruit");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.filter.disablePredicate("notApple");
+    expect(visibleTitles()).toEqual(["Apple"]);
+  });
+
+  test("predicates receive the state and are reflected in getActiveFilters", () => {
+    const predicate = jest.fn(() => true);
+    afs.filter.registerPredicate("spy", predicate, { enabled: false });
+    expect(afs.filter.getActiveFilters().has("predicate:spy")).toBe(false);
+    expect(predicate).not.toHaveBeenCalled();
+
+    afs.filter.enablePredicate("spy");
+    expect(afs.filter.getActiveFilters().has("predicate:spy")).toBe(true);
+    expect(predicate).toHaveBeenCalledWith(
+      expect.any(HTMLElement),
+      afs.state.getState()
+    );
+
+    afs.filter.removePredicate("spy");
+    expect(afs.filter.getActiveFilters().has("predicate:spy")).toBe(false);
+  });
+
+  test("toggling a predicate fires filtersApplied and stays out of the URL", async () => {
+    const applied = new Promise((resolve) => afs.once("filtersApplied", resolve));
+
+    afs.filter.registerPredicate("vegOnly", (item) => item.dataset.title === "Carrot");
+    jest.runAllTimers();
+
+    await expect(applied).resolves.toEqual(
+      expect.objectContaining({
+        activeFilters: expect.arrayContaining(["predicate:vegOnly"]),
+        visibleItems: 1,
+      })
+    );
+    expect(window.location.search).not.toContain("predicate");
+
+    afs.filter.removeFilter("predicate:vegOnly");
+    expect(afs.filter.isPredicateEnabled("vegOnly")).toBe(false);
+    expect(visibleTitles()).toHaveLength(2);
+  });
+});
+
+describe("AFS — Exclusion filters", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = `
+      <div class="filter-container">
+        <button class="btn-filter" data-filter="*">All</button>
+        <button class="btn-filter" data-filter="brand:porsche">Porsche</button>
+        <button class="btn-filter" data-filter="!condition:refurbished">Hide refurbished</button>
+        <div class="filter-item" data-categories="brand:ferrari condition:new"></div>
+        <div class="filter-item" data-categories="brand:ferrari condition:refurbished"></div>
+        <div class="filter-item" data-categories="brand:porsche condition:new"></div>
+        <div class="filter-item" data-categories="brand:porsche condition:refurbished"></div>
+      </div>
+    `;
+    afs = new AFS({
+      containerSelector: ".filter-container",
+      itemSelector: ".filter-item",
+      filterButtonSelector: ".btn-filter",
+      hiddenClass: "hidden",
+      animation: { duration: 0 },
+    });
+  });
+
+  afterEach(cleanupEnv);
+
+  const visibleCount = () => afs.state.getState().items.visible.size;
+
+  test("an exclusion on its own shows everything else", () => {
+    afs.filter.addExclusion("brand:ferrari");
+    expect(visibleCount()).toBe(2);
+    expect(afs.filter.getExclusions()).toEqual(["brand:ferrari"]);
+
+    afs.filter.addFilter("!condition:refurbished");
+    expect(visibleCount()).toBe(1);
+
+    afs.filter.removeExclusion("brand:ferrari");
+    afs.filter.removeExclusion("!condition:refurbished");
+    expect(afs.filter.getActiveFilters()).toEqual(new Set(["*"]));
+    expect(visibleCount()).toBe(4);
+  });
+
+  test("exclusion buttons combine with regular filters in every mode", () => {
+    document.querySelector('[data-filter="!condition:refurbished"]').click();
+    expect(visibleCount()).toBe(2);
+
+    document.querySelector('[data-filter="brand:porsche"]').click();
+    expect(visibleCount()).toBe(1);
+
+    afs.options.set("filterCategoryMode", "OR");
+    afs.filter.setFilterMode("OR");
+    expect(visibleCount()).toBe(1);
+    afs.filter.setFilterMode("AND");
+    expect(visibleCount()).toBe(1);
+
+    // Clicking again lifts the exclusion
+    afs.options.set("filterCategoryMode", "mixed");
+    document.querySelector('[data-filter="!condition:refurbished"]').click();
+    expect(visibleCount()).toBe(2);
+  });
+
+  test("clearing a category also clears its exclusions", () => {
+    afs.filter.addExclusion("condition:refurbished");
+    afs.filter.addFilter("brand:ferrari");
+
+    afs.filter.clearFilterCategory("condition:*");
+    expect(afs.filter.getExclusions()).toEqual([]);
+    expect(visibleCount()).toBe(2);
+  });
+});
+
+describe("AFS — Attribute-mapped filter types", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = `
+      <div class="filter-container">
+        <button class="btn-filter" data-filter="brand:ferrari">Ferrari</button>
+        <div class="filter-item" data-title="A" data-brand="ferrari" data-body-style="coupe" data-categories="color:red"></div>
+        <div class="filter-item" data-title="B" data-brand="pagani, ferrari" data-body-style="roadster"></div>
+        <div class="filter-item" data-title="C" data-brand="porsche" data-body-style="coupe,roadster" data-categories="color:red"></div>
+      </div>
+    `;
+    afs = new AFS({
+      containerSelector: ".filter-container",
+      itemSelector: ".filter-item",
+      filterButtonSelector: ".btn-filter",
+      hiddenClass: "hidden",
+      animation: { duration: 0 },
+      filterTypeLogic: {
+        brand: { mode: "OR", attribute: true },
+        body: { mode: "AND", multi: true, attribute: "data-body-style" },
+      },
+    });
+  });
+
+  afterEach(cleanupEnv);
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  test("matches a type against its own comma-separated attribute", () => {
+    document.querySelector('[data-filter="brand:ferrari"]').click();
+    expect(visibleTitles()).toEqual(["A", "B"]);
+
+    afs.filter.addFilter("color:red");
+    expect(visibleTitles()).toEqual(["A"]);
+  });
+
+  test("honours the type's mode and works in expressions and exclusions", () => {
+    afs.filter.addFilter("body:coupe");
+    afs.filter.activeFilters.add("body:roadster");
+    afs.filter.applyFilters();
+    expect(visibleTitles()).toEqual(["C"]);
+
+    afs.filter.resetFilters();
+    afs.filter.addExclusion("brand:ferrari");
+    expect(visibleTitles()).toEqual(["C"]);
+
+    afs.filter.resetFilters();
+    afs.filter.setExpression("brand:pagani OR brand:porsche");
+    expect(visibleTitles()).toEqual(["B", "C"]);
+  });
+
+  test("keeps the mapping when the type logic is changed at runtime", () => {
+    afs.filter.setFilterTypeLogic("brand", { mode: "OR", multi: true, attribute: "brand" });
+    expect(afs.options.get("filterTypeLogic").brand).toEqual({
+      mode: "OR",
+      multi: true,
+      attribute: "brand",
+    });
+
+    afs.filter.addFilter("brand:pagani");
+    expect(visibleTitles()).toEqual(["B"]);
+  });
+
+  test("reads the mapping once until the options change", () => {
+    const read = jest.spyOn(afs.filter, "readAttributeTypes");
+
+    afs.filter.addFilter("brand:ferrari");
+    afs.filter.applyFilters();
+    expect(read).toHaveBeenCalledTimes(1);
+
+    afs.filter.setFilterTypeLogic("brand", "OR");
+    afs.filter.applyFilters();
+    expect(read).toHaveBeenCalledTimes(2);
+    expect(visibleTitles()).toEqual([]);
+  });
+});
@@ -0,0 +1,124 @@
+import { AFS } from "../src/AFS";
+import { HeadlessAFS } from "../src/HeadlessAFS";
+import { editDistance, similarity, fuzzyMatch } from "../src/core/Fuzzy";
+import { cleanupEnv } from "./helpers";
+
+const CARS = [
+  ["LaFerrari", "ferrari hybrid"],
+  ["Huayra", "pagani v12"],
+  ["Cayenne", "porsche suv"],
+];
+
+function createFuzzyAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      <input class="filter-search" />
+      ${CARS.map(
+        ([title, desc]) =>
+          `<div class="filter-item" data-title="${title}" data-desc="${desc}">
+             <span data-search-key="title">${title}</span>
+           </div>`
+      ).join("")}
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    searchInputSelector: ".filter-search",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    searchKeys: ["title", "desc"],
+    debounceTime: 0,
+    fuzzy: true,
+    ...overrides,
+  });
+}
+
+describe("AFS — Fuzzy search", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(cleanupEnv);
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+  const item = (title) => document.querySelector(`[data-title="${title}"]`);
+
+  test("counts insertions, deletions, substitutions and swaps as one edit", () => {
+    expect(editDistance("ferari", "ferrari")).toBe(1);
+    expect(editDistance("porshce", "porsche")).toBe(1);
+    expect(editDistance("kitten", "sitting")).toBe(3);
+    expect(editDistance("kitten", "sitting", 1)).toBe(2);
+    expect(similarity("ferari", "ferrari")).toBeCloseTo(6 / 7);
+    expect(fuzzyMatch(["pagan", "v21"], "pagani v12", 0.6)).toEqual({
+      score: expect.any(Number),
+      words: ["pagan", "v12"],
+    });
+    expect(fuzzyMatch(["pagan", "v21"], "pagani v12", 0.7)).toBeNull();
+  });
+
+  test("tolerates typos across every search key and scores each item", () => {
+    afs = createFuzzyAFS();
+
+    afs.search.search("ferari");
+    expect(visibleTitles()).toEqual(["LaFerrari"]);
+    expect(afs.search.getScore(item("LaFerrari"))).toBeCloseTo(6 / 7);
+    expect(afs.search.getScore(item("Huayra"))).toBe(0);
+
+    afs.search.search("porshce suv");
+    expect(visibleTitles()).toEqual(["Cayenne"]);
+    expect(afs.search.getScores()).toEqual(
+      new Map([[item("Cayenne"), expect.closeTo((6 / 7 + 1) / 2)]])
+    );
+
+    // A half-typed word matches the start of a longer one
+    afs.search.search("hybr");
+    expect(visibleTitles()).toEqual(["LaFerrari"]);
+    expect(afs.search.getScore(item("LaFerrari"))).toBe(1);
+
+    afs.search.clearSearch();
+    expect(afs.search.getScore(item("LaFerrari"))).toBeNull();
+  });
+
+  test("respects fuzzyThreshold and minSearchLength", () => {
+    afs = createFuzzyAFS({ fuzzyThreshold: 0.9, minSearchLength: 3 });
+
+    afs.search.search("ferari");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.search.search("fe");
+    expect(afs.search.getScore(item("LaFerrari"))).toBeNull();
+
+    afs.search.updateConfig({ fuzzyThreshold: 0.8 });
+    afs.search.search("ferari");
+    expect(visibleTitles()).toEqual(["LaFerrari"]);
+
+    expect(() => afs.options.set("fuzzyThreshold", 2)).toThrow(
+      "fuzzyThreshold must be a number between 0 and 1"
+    );
+  });
+
+  test("exact mode is unchanged and highlights follow the fuzzy match", () => {
+    afs = createFuzzyAFS({ fuzzy: false, highlightMatches: true });
+
+    afs.search.search("ferari");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.search.updateConfig({ fuzzy: true });
+    afs.search.search("laferari");
+    expect(item("LaFerrari").querySelector(".afs-highlight").textContent).toBe("LaFerrari");
+  });
+
+  test("works in headless mode", () => {
+    const headless = new HeadlessAFS(
+      CARS.map(([title, desc]) => ({ title, desc })),
+      { searchKeys: ["title", "desc"], fuzzy: true }
+    );
+
+    const result = headless.search("huayar");
+    expect(result.ids).toEqual([1]);
+  });
+});
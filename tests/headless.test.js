@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+import { HeadlessAFS } from "../src/HeadlessAFS";
+
+const RECORDS = [
+  { id: "a", title: "Apple", categories: ["category:fruit", "color:red"], price: 3 },
+  { id: "p", title: "Pear", categories: ["category:fruit", "color:green"], price: 5 },
+  { id: "t", title: "Tomato", categories: "category:vegetable color:red", price: 2 },
+  { id: "c", title: "Carrot", categories: ["category:vegetable"], price: 1 },
+];
+
+describe("AFS — Headless mode", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new HeadlessAFS(RECORDS, {
+      searchKeys: ["title"],
+      pagination: { itemsPerPage: 2 },
+    });
+  });
+
+  test("runs without a DOM and returns every record by default", () => {
+    expect(typeof document).toBe("undefined");
+
+    const result = engine.getResult();
+    expect(result.ids).toEqual(["a", "p", "t", "c"]);
+    expect(result.total).toBe(4);
+    expect(result.page).toEqual(
+      expect.objectContaining({ currentPage: 1, totalPages: 2, ids: ["a", "p"] })
+    );
+  });
+
+  test("filters with mixed per-type logic", () => {
+    expect(engine.setFilters(["category:fruit", "color:red"]).ids).toEqual(["a"]);
+    expect(engine.setFilters(["category:fruit", "category:vegetable", "color:red"]).ids)
+      .toEqual(["a", "t"]);
+    expect(engine.resetFilters().matched).toBe(4);
+  });
+
+  test("search, sort and filters compose", () => {
+    engine.search("a"); // below minSearchLength: ignored
+    expect(engine.getResult().matched).toBe(4);
+
+    engine.search("ca");
+    expect(engine.getResult().ids).toEqual(["c"]);
+
+    engine.clearSearch();
+    engine.addFilter("color:red");
+    expect(engine.sort("price", "asc").ids).toEqual(["t", "a"]);
+    expect(engine.sort("price", "desc").ids).toEqual(["a", "t"]);
+  });
+
+  test("returns page slices and clamps the page number", () => {
+    engine.sort("title");
+    const page2 = engine.goToPage(2).page;
+    expect(page2.ids).toEqual(["p", "t"]);
+    expect(page2.records.map((r) => r.title)).toEqual(["Pear", "Tomato"]);
+
+    expect(engine.goToPage(99).page.currentPage).toBe(2);
+    expect(engine.setItemsPerPage(3).page).toEqual(
+      expect.objectContaining({ currentPage: 1, totalPages: 2 })
+    );
+  });
+
+  test("supports custom predicates and emits results", () => {
+    const results = jest.fn();
+    engine.on("results", results);
+
+    engine.registerPredicate("cheap", (item) => item.record.price < 3);
+    expect(results).toHaveBeenLastCalledWith(
+      expect.objectContaining({ ids: ["t", "c"], matched: 2 })
+    );
+    expect(engine.getActiveFilters().has("predicate:cheap")).toBe(true);
+
+    engine.removePredicate("cheap");
+    expect(engine.getResult().matched).toBe(4);
+  });
+
+  test("builds its logic with the feature classes' own state", () => {
+    engine = new HeadlessAFS(RECORDS, { searchKeys: ["title"], fuzzy: true });
+    expect(engine.search("aple").ids).toEqual(["a"]);
+    expect(engine.sort("relevance").ids).toEqual(["a"]);
+
+    engine.searchLogic.updateConfig({ fuzzy: false });
+    expect(engine.search("tomatto").ids).toEqual([]);
+    expect(engine.searchLogic.getCorrections()).toEqual(["tomato"]);
+  });
+
+  test("has no recent searches", async () => {
+    engine = new HeadlessAFS(RECORDS, { searchKeys: ["title"], recentSearches: { enabled: true } });
+    engine.search("apple");
+    expect(engine.searchLogic.getHistory()).toEqual([]);
+    await expect(engine.searchLogic.clearHistory()).resolves.toBeUndefined();
+    await expect(engine.searchLogic.setHistoryEnabled(false)).resolves.toBeUndefined();
+  });
+});
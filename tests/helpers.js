@@ -46,6 +46,7 @@ export function createBasicAFS(overrides = {}) {
 export function cleanupEnv() {
   jest.useRealTimers();
   localStorage.clear();
+  sessionStorage.clear();
   window.history.replaceState({}, "", window.location.pathname);
   document.body.innerHTML = "";
 }
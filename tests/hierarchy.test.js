@@ -0,0 +1,123 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+function createHierarchyAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      <input type="checkbox" class="btn-filter" data-filter="category:vehicles">
+      <input type="checkbox" class="btn-filter" data-filter="category:vehicles/cars">
+      <input type="checkbox" class="btn-filter" data-filter="category:vehicles/bikes">
+      <button class="btn-filter" data-filter="color:red">Red</button>
+      <div class="filter-item" data-title="Sports" data-categories="category:vehicles/cars/sports color:red"></div>
+      <div class="filter-item" data-title="Sedan" data-categories="category:vehicles/cars/sedan"></div>
+      <div class="filter-item" data-title="Bike" data-categories="category:vehicles/bikes color:red"></div>
+      <div class="filter-item" data-title="Boat" data-categories="category:boats"></div>
+    </div>
+  `;
+
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    filterButtonSelector: ".btn-filter",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    hierarchy: { separator: "/" },
+    ...overrides,
+  });
+}
+
+describe("AFS — Hierarchical categories", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(cleanupEnv);
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+  const checkbox = (filter) => document.querySelector(`[data-filter="${filter}"]`);
+
+  test("a parent matches every descendant, combined with other types", () => {
+    afs = createHierarchyAFS();
+
+    afs.filter.addFilter("category:vehicles");
+    expect(visibleTitles()).toEqual(["Sports", "Sedan", "Bike"]);
+
+    afs.filter.addFilter("category:vehicles/cars");
+    expect(visibleTitles()).toEqual(["Sports", "Sedan"]);
+
+    afs.filter.addFilter("color:red");
+    expect(visibleTitles()).toEqual(["Sports"]);
+
+    afs.filter.setExpression("NOT category:vehicles/cars");
+    afs.filter.removeFilter("category:vehicles/cars");
+    expect(visibleTitles()).toEqual(["Bike"]);
+  });
+
+  test("selecting a parent replaces its children and vice versa", () => {
+    afs = createHierarchyAFS();
+
+    checkbox("category:vehicles/cars").click();
+    checkbox("category:vehicles/bikes").click();
+    expect(visibleTitles()).toEqual(["Sports", "Sedan", "Bike"]);
+
+    checkbox("category:vehicles").click();
+    expect(afs.filter.getActiveFilters()).toEqual(new Set(["category:vehicles"]));
+
+    checkbox("category:vehicles/bikes").click();
+    expect(afs.filter.getActiveFilters()).toEqual(new Set(["category:vehicles/bikes"]));
+    expect(checkbox("category:vehicles").checked).toBe(false);
+  });
+
+  test("parents with only some children active are indeterminate", () => {
+    afs = createHierarchyAFS();
+    const parent = checkbox("category:vehicles");
+
+    checkbox("category:vehicles/cars").click();
+    expect(parent.indeterminate).toBe(true);
+    expect(parent.classList.contains("afs-indeterminate")).toBe(true);
+    expect(checkbox("category:vehicles/cars").indeterminate).toBe(false);
+
+    afs.filter.resetFilters();
+    expect(parent.indeterminate).toBe(false);
+    expect(parent.classList.contains("afs-indeterminate")).toBe(false);
+  });
+
+  test("parents with every child active are not indeterminate", () => {
+    afs = createHierarchyAFS();
+    const parent = checkbox("category:vehicles");
+
+    checkbox("category:vehicles/cars").click();
+    checkbox("category:vehicles/bikes").click();
+    expect(parent.indeterminate).toBe(false);
+    expect(parent.classList.contains("afs-indeterminate")).toBe(false);
+
+    // A grandchild alone leaves the other children out
+    afs.filter.resetFilters();
+    afs.filter.addFilter("category:vehicles/cars/sports");
+    expect(parent.indeterminate).toBe(true);
+    expect(checkbox("category:vehicles/cars").indeterminate).toBe(true);
+  });
+
+  test("tokens stay flat unless a separator is configured", () => {
+    afs = createHierarchyAFS({ hierarchy: { separator: null } });
+
+    afs.filter.addFilter("category:vehicles");
+    expect(visibleTitles()).toEqual([]);
+
+    // No indeterminate states to track either
+    afs.filter.resetFilters();
+    afs.filter.addFilter("category:vehicles/cars");
+    expect(checkbox("category:vehicles").classList.contains("afs-indeterminate")).toBe(false);
+  });
+
+  test("reads the separator once per filter pass", () => {
+    afs = createHierarchyAFS();
+    const get = jest.spyOn(afs.options, "get");
+
+    afs.filter.syncIndeterminateStates();
+    expect(get.mock.calls.filter(([path]) => path === "hierarchy.separator")).toHaveLength(1);
+  });
+});
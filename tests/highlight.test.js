@@ -0,0 +1,122 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+function createMarkupAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      <div class="filter-item" data-title="Carbon fiber road bike">
+        <h3 data-search-key="title">Car<b class="brand">bon</b> fiber <a href="#road">road</a> bike</h3>
+      </div>
+      <div class="filter-item" data-title="Steel frame">
+        <h3 data-search-key="title">Steel <em>frame</em></h3>
+      </div>
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    highlightMatches: true,
+    ...overrides,
+  });
+}
+
+describe("AFS — Search highlighting", () => {
+  let afs;
+  let heading;
+  let originalHTML;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    delete global.CSS;
+    delete global.Highlight;
+    cleanupEnv();
+  });
+
+  const setup = (overrides) => {
+    afs = createMarkupAFS(overrides);
+    heading = afs.items[0].querySelector("h3");
+    originalHTML = heading.innerHTML;
+  };
+
+  const highlighted = () =>
+    Array.from(heading.querySelectorAll(".afs-highlight"), (el) => el.textContent);
+
+  test("wraps matches in text nodes and keeps the markup around them", () => {
+    setup();
+    const link = heading.querySelector("a");
+    const onClick = jest.fn();
+    link.addEventListener("click", onClick);
+
+    afs.search.search("road fib");
+    expect(highlighted()).toEqual(["fib", "road"]);
+    expect(heading.querySelector("a")).toBe(link);
+    expect(link.querySelector(".afs-highlight").textContent).toBe("road");
+    link.click();
+    expect(onClick).toHaveBeenCalled();
+  });
+
+  test("wraps a match that spans elements once per text node", () => {
+    setup({ highlightElement: "mark" });
+
+    afs.search.search("carbon");
+    expect(Array.from(heading.querySelectorAll("mark"), (el) => el.textContent)).toEqual([
+      "Car",
+      "bon",
+    ]);
+    expect(heading.querySelector("b.brand mark")).not.toBeNull();
+  });
+
+  test("restores the original nodes", () => {
+    setup();
+
+    afs.search.search("bike");
+    afs.search.search("carbon bike");
+    expect(highlighted()).toEqual(["Car", "bon", "bike"]);
+
+    afs.search.clearSearch();
+    expect(heading.innerHTML).toBe(originalHTML);
+    expect(heading.childNodes).toHaveLength(5);
+  });
+
+  test("treats text as text", () => {
+    setup();
+    heading.textContent = "<img src=x onerror=alert(1)> road";
+    afs.index.update(afs.items[0]);
+
+    afs.search.search("road");
+    expect(heading.querySelector("img")).toBeNull();
+    expect(highlighted()).toEqual(["road"]);
+  });
+
+  test("registers CSS highlights without changing the DOM", () => {
+    global.Highlight = class extends Set {};
+    global.CSS = { highlights: new Map() };
+    setup({ highlightMode: "css" });
+
+    afs.search.search("carbon");
+    const highlight = CSS.highlights.get("afs-highlight");
+    expect(Array.from(highlight, (range) => range.toString())).toEqual(["Car", "bon"]);
+    expect(heading.innerHTML).toBe(originalHTML);
+
+    afs.search.search("steel");
+    expect(highlight.size).toBe(1);
+    expect(Array.from(highlight)[0].toString()).toBe("Steel");
+
+    afs.destroy();
+    expect(CSS.highlights.has("afs-highlight")).toBe(false);
+  });
+
+  test("falls back to DOM highlights without the CSS API", () => {
+    setup({ highlightMode: "css" });
+    const warn = jest.spyOn(afs.logger, "warn").mockImplementation(() => {});
+
+    afs.search.search("bike");
+    expect(highlighted()).toEqual(["bike"]);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,130 @@
+import { createBasicAFS, cleanupEnv } from "./helpers";
+
+// History records at the end of the tick in which state changed
+const flush = () => Promise.resolve();
+
+describe("AFS — Undo/redo history", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    afs = null;
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible)
+      .map((item) => item.dataset.title)
+      .sort();
+  const fruitButton = () => document.querySelector('[data-filter="category:fruit"]');
+
+  test("undoes and redoes filter, search and sort changes", async () => {
+    afs = createBasicAFS({ history: { enabled: true } });
+    expect(afs.history.canUndo()).toBe(false);
+
+    fruitButton().click();
+    await flush();
+    afs.search.search("app");
+    await flush();
+    afs.sort.sort("title", "desc");
+    await flush();
+
+    expect(afs.history.undo()).toBe(true);
+    expect(afs.sort.getCurrentSort()).toBeNull();
+
+    afs.history.undo();
+    expect(afs.search.getValue()).toBe("");
+    expect(document.querySelector(".filter-search").value).toBe("");
+    expect(visibleTitles()).toEqual(["Apple"]);
+
+    afs.history.undo();
+    expect(visibleTitles()).toEqual(["Apple", "Carrot"]);
+    expect(fruitButton().classList.contains("active")).toBe(false);
+    expect(afs.history.canUndo()).toBe(false);
+    expect(afs.history.undo()).toBe(false);
+
+    afs.history.redo();
+    expect(visibleTitles()).toEqual(["Apple"]);
+    expect(fruitButton().classList.contains("active")).toBe(true);
+    expect(afs.history.canRedo()).toBe(true);
+  });
+
+  test("restoring does not record, and a new change drops the redo branch", async () => {
+    afs = createBasicAFS({ history: { enabled: true } });
+    const changed = jest.fn();
+    afs.on("historyChanged", changed);
+
+    afs.filter.addFilter("category:fruit");
+    await flush();
+    afs.filter.addFilter("category:vegetable");
+    await flush();
+
+    afs.history.undo();
+    await flush();
+    expect(afs.history.canRedo()).toBe(true);
+    expect(changed).toHaveBeenLastCalledWith(
+      expect.objectContaining({ action: "undo", canUndo: true, canRedo: true, size: 3 })
+    );
+
+    afs.search.search("carrot");
+    await flush();
+    expect(afs.history.canRedo()).toBe(false);
+    expect(changed).toHaveBeenLastCalledWith(
+      expect.objectContaining({ action: "record", position: 2, size: 3 })
+    );
+  });
+
+  test("one interaction is one entry, and the stack is bounded", async () => {
+    afs = createBasicAFS({ history: { enabled: true, limit: 3 } });
+
+    // Several state writes in one tick record once
+    afs.filter.addFilter("category:fruit");
+    afs.search.search("app");
+    await flush();
+    afs.history.undo();
+    expect(afs.search.getValue()).toBe("");
+    expect(visibleTitles()).toEqual(["Apple", "Carrot"]);
+
+    for (const query of ["a", "ap", "app", "appl"]) {
+      afs.search.search(query);
+      await flush();
+    }
+    let undone = 0;
+    while (afs.history.undo()) undone++;
+    expect(undone).toBe(2);
+    expect(afs.search.getValue()).toBe("ap");
+  });
+
+  test("keyboard shortcuts are opt-in and leave text fields alone", async () => {
+    afs = createBasicAFS({ history: { enabled: true, keyboard: true } });
+    const press = (target, init) =>
+      target.dispatchEvent(
+        new KeyboardEvent("keydown", { bubbles: true, cancelable: true, ...init })
+      );
+
+    fruitButton().click();
+    await flush();
+
+    press(document.querySelector(".filter-search"), { key: "z", ctrlKey: true });
+    expect(visibleTitles()).toEqual(["Apple"]);
+
+    press(document.body, { key: "z", ctrlKey: true });
+    expect(visibleTitles()).toEqual(["Apple", "Carrot"]);
+
+    press(document.body, { key: "Z", metaKey: true, shiftKey: true });
+    expect(visibleTitles()).toEqual(["Apple"]);
+  });
+
+  test("records nothing unless enabled", async () => {
+    afs = createBasicAFS();
+
+    fruitButton().click();
+    await flush();
+    expect(afs.history.canUndo()).toBe(false);
+    expect(afs.history.undo()).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+import { createBasicAFS, cleanupEnv } from "./helpers";
+
+const makeItem = (title, categories) => {
+  const item = document.createElement("div");
+  item.className = "filter-item";
+  item.dataset.title = title;
+  item.dataset.categories = categories;
+  return item;
+};
+
+describe("AFS — Item index", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    afs = createBasicAFS();
+  });
+
+  afterEach(cleanupEnv);
+
+  test("indexes every item once at startup", () => {
+    expect(afs.index.size).toBe(2);
+
+    const apple = afs.items[0];
+    expect(afs.index.getCategories(apple)).toEqual(new Set(["category:fruit"]));
+    expect(afs.index.getSearchText(apple, ["title"])).toBe("apple");
+  });
+
+  test("search and sort read cached values instead of the dataset", () => {
+    const apple = afs.items[0];
+    afs.search.search("app");
+    jest.runAllTimers();
+
+    // Stale until re-indexed: the dataset is not read again per pass
+    apple.dataset.title = "Zucchini";
+    afs.search.search("zuc");
+    expect(afs.state.getState().items.visible.size).toBe(0);
+
+    afs.index.update(apple);
+    afs.search.search("zucc");
+    expect(Array.from(afs.state.getState().items.visible)).toEqual([apple]);
+  });
+
+  test("addItems and removeItems keep the index in sync", () => {
+    const pear = makeItem("Pear", "category:fruit");
+    afs.addItems(pear);
+    expect(afs.index.size).toBe(3);
+    expect(afs.index.getCategories(pear).has("category:fruit")).toBe(true);
+
+    afs.removeItems(pear);
+    expect(afs.index.size).toBe(2);
+  });
+
+  test("the MutationObserver path indexes inserted items and drops removed ones", async () => {
+    afs.destroy();
+    afs = createBasicAFS({ observeDOM: true });
+
+    const pear = makeItem("Pear", "category:fruit");
+    afs.container.appendChild(pear);
+    await Promise.resolve();
+    expect(afs.index.size).toBe(3);
+    expect(afs.index.getSearchText(pear, ["title"])).toBe("pear");
+
+    afs.items[0].remove();
+    await Promise.resolve();
+    expect(afs.index.size).toBe(2);
+  });
+
+  test("refresh re-reads data attributes changed in place", () => {
+    const carrot = afs.items[1];
+    const visibleTitles = () =>
+      Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+    afs.filter.addFilter("category:fruit");
+    carrot.dataset.categories = "category:fruit";
+    carrot.dataset.title = "Banana";
+    afs.refresh();
+    expect(visibleTitles()).toEqual(["Apple", "Banana"]);
+
+    afs.filter.clearAllFilters();
+    afs.search.search("banana");
+    expect(visibleTitles()).toEqual(["Banana"]);
+  });
+
+  test("refresh re-reads attributes that filter types are mapped to", () => {
+    afs.destroy();
+    afs = createBasicAFS({ filterTypeLogic: { color: { mode: "OR", attribute: true } } });
+    const [apple, carrot] = afs.items;
+    apple.dataset.color = "red";
+    carrot.dataset.color = "orange";
+    afs.refresh();
+
+    afs.filter.addFilter("color:red");
+    expect(Array.from(afs.state.getState().items.visible)).toEqual([apple]);
+
+    carrot.dataset.color = "red";
+    afs.refresh();
+    expect(Array.from(afs.state.getState().items.visible)).toEqual([apple, carrot]);
+  });
+
+  test("the MutationObserver path re-reads items whose data attributes change", async () => {
+    afs.destroy();
+    afs = createBasicAFS({ observeDOM: true });
+    const carrot = afs.items[1];
+
+    afs.filter.addFilter("category:fruit");
+    carrot.dataset.categories = "category:fruit";
+    await Promise.resolve();
+    expect(afs.index.getCategories(carrot)).toEqual(new Set(["category:fruit"]));
+    expect(afs.state.getState().items.visible.has(carrot)).toBe(true);
+  });
+
+  test("the MutationObserver watches data attributes of items added later", async () => {
+    afs.destroy();
+    afs = createBasicAFS({ observeDOM: true });
+    Array.from(afs.items).forEach((item) => item.remove());
+    await Promise.resolve();
+    expect(afs.items).toHaveLength(0);
+
+    const kiwi = makeItem("Kiwi", "category:fruit");
+    kiwi.dataset.color = "green";
+    afs.container.appendChild(kiwi);
+    await Promise.resolve();
+    expect(afs.items).toHaveLength(1);
+
+    kiwi.dataset.color = "brown";
+    await Promise.resolve();
+    expect(afs.index.getRaw(kiwi, "color")).toBe("brown");
+  });
+});
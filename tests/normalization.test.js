@@ -0,0 +1,140 @@
+import { AFS } from "../src/AFS";
+import { createFolder, findFoldedRanges } from "../src/core/TextFolding";
+import { cleanupEnv } from "./helpers";
+
+const DESSERTS = ["Crème brûlée", "Smørrebrød", "Straße cake", "Ispanak böreği"];
+
+function createDessertAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      ${DESSERTS.map(
+        (title) =>
+          `<div class="filter-item" data-title="${title}">
+             <h3 data-search-key="title">${title}</h3>
+           </div>`
+      ).join("")}
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    ...overrides,
+  });
+}
+
+describe("AFS — Search normalization", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    document.documentElement.lang = "";
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  test("folds accents and letters without a decomposition", () => {
+    const fold = createFolder();
+
+    expect(fold("Crème Brûlée")).toBe("creme brulee");
+    expect(fold("Smørrebrød STRAẞE Æble")).toBe("smorrebrod strasse aeble");
+    // Decomposed input folds the same as composed input
+    expect(fold("Crème")).toBe("creme");
+    expect(createFolder({ ignoreDiacritics: false })("Crème")).toBe("crème");
+  });
+
+  test("lowercases for the locale, falling back on invalid tags", () => {
+    expect(createFolder({ locale: "tr" })("ISPANAK İzmir")).toBe("ıspanak izmir");
+    expect(createFolder({ locale: "en" })("ISPANAK İzmir")).toBe("ispanak izmir");
+    expect(createFolder({ locale: "not a locale!" })("ABC")).toBe("abc");
+  });
+
+  test("maps matches back onto the original text", () => {
+    const fold = createFolder();
+
+    expect(findFoldedRanges("Crème brûlée", ["creme", "brul"], fold)).toEqual([
+      [0, 5],
+      [6, 10],
+    ]);
+    // A range keeps a letter together with its combining marks
+    expect(findFoldedRanges("Crème", ["cre"], fold)).toEqual([[0, 4]]);
+    expect(findFoldedRanges("Straße", ["ss"], fold)).toEqual([[4, 5]]);
+  });
+
+  test("finds accented items with plain queries, and the reverse", () => {
+    afs = createDessertAFS();
+
+    afs.search.search("creme brulee");
+    expect(visibleTitles()).toEqual(["Crème brûlée"]);
+
+    afs.search.search("smorrebrod");
+    expect(visibleTitles()).toEqual(["Smørrebrød"]);
+
+    afs.search.search("strasse");
+    expect(visibleTitles()).toEqual(["Straße cake"]);
+
+    afs.search.search("böreg");
+    expect(visibleTitles()).toEqual(["Ispanak böreği"]);
+    expect(afs.search.getValue()).toBe("böreg");
+
+    afs.search.updateConfig({ ignoreDiacritics: false });
+    afs.search.search("creme");
+    expect(visibleTitles()).toEqual([]);
+  });
+
+  test("uses the Turkish dotted and dotless i from the page language", () => {
+    document.documentElement.lang = "tr";
+    afs = createDessertAFS();
+
+    afs.search.search("ıspanak");
+    expect(visibleTitles()).toEqual(["Ispanak böreği"]);
+
+    afs.search.search("İSPANAK");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.search.updateConfig({ locale: "en" });
+    afs.search.search("ispanak");
+    expect(visibleTitles()).toEqual(["Ispanak böreği"]);
+  });
+
+  test("follows ignoreDiacritics and searchLocale changed through the options", () => {
+    afs = createDessertAFS();
+    const fold = afs.search.getFolder();
+
+    afs.options.set("debug", false);
+    expect(afs.search.getFolder()).toBe(fold);
+
+    afs.options.update({ ignoreDiacritics: false });
+    afs.search.search("creme");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.options.set("ignoreDiacritics", true);
+    afs.search.search("ıspanak");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.options.set("searchLocale", "tr");
+    afs.search.search("ıspanak");
+    expect(visibleTitles()).toEqual(["Ispanak böreği"]);
+  });
+
+  test("highlights the accented original text", () => {
+    afs = createDessertAFS({ highlightMatches: true });
+    const title = document.querySelector('[data-title="Crème brûlée"] h3');
+
+    afs.search.search("creme brul");
+    expect(Array.from(title.querySelectorAll(".afs-highlight"), (el) => el.textContent))
+      .toEqual(["Crème", "brûl"]);
+    expect(title.textContent).toBe("Crème brûlée");
+
+    afs.search.clearSearch();
+    expect(title.querySelector(".afs-highlight")).toBeNull();
+    expect(title.childNodes).toHaveLength(1);
+    expect(title.textContent).toBe("Crème brûlée");
+  });
+});
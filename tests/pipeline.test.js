@@ -0,0 +1,109 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+const PIPELINE_DOM = `
+  <div class="filter-container">
+    <button class="btn-filter" data-filter="category:fruit">Fruit</button>
+    <input class="filter-search" />
+    <div class="filter-item" data-categories="category:fruit" data-title="Apple" data-price="10"></div>
+    <div class="filter-item" data-categories="category:fruit" data-title="Pear" data-price="80"></div>
+    <div class="filter-item" data-categories="category:vegetable" data-title="Carrot" data-price="20"></div>
+    <div class="filter-counter"></div>
+  </div>
+  <div id="price-slider"></div>
+`;
+
+function createPipelineAFS() {
+  document.body.innerHTML = PIPELINE_DOM;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    filterButtonSelector: ".btn-filter",
+    searchInputSelector: ".filter-search",
+    counterSelector: ".filter-counter",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    searchKeys: ["title"],
+    debounceTime: 0,
+  });
+}
+
+const visibleTitles = (afs) =>
+  Array.from(afs.state.getState().items.visible)
+    .map((i) => i.dataset.title)
+    .sort();
+
+describe("AFS — Visibility pipeline", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    afs = createPipelineAFS();
+  });
+
+  afterEach(cleanupEnv);
+
+  test("every feature registers a stage", () => {
+    expect(afs.pipeline.getStageNames()).toEqual(
+      expect.arrayContaining(["filter", "search", "range", "date", "inputRange"])
+    );
+  });
+
+  test("moving a range slider does not un-hide items hidden by category filters", () => {
+    afs.rangeFilter.addRangeSlider({
+      key: "price",
+      container: document.getElementById("price-slider"),
+      min: 0,
+      max: 100,
+    });
+
+    document.querySelector('[data-filter="category:fruit"]').click();
+    jest.runAllTimers();
+    expect(visibleTitles(afs)).toEqual(["Apple", "Pear"]);
+
+    afs.rangeFilter.setRangeValues("price", 0, 50);
+    jest.runAllTimers();
+
+    // Carrot (20) is in range but still excluded by the category filter
+    expect(visibleTitles(afs)).toEqual(["Apple"]);
+  });
+
+  test("changing filters keeps the active search query applied", () => {
+    afs.search.search("pear");
+    jest.runAllTimers();
+    expect(visibleTitles(afs)).toEqual(["Pear"]);
+
+    afs.filter.addFilter("category:fruit");
+    jest.runAllTimers();
+    expect(visibleTitles(afs)).toEqual(["Pear"]);
+
+    afs.filter.resetFilters();
+    jest.runAllTimers();
+    expect(visibleTitles(afs)).toEqual(["Pear"]);
+  });
+
+  test("items.visible is written once per pass and the counter follows it", () => {
+    const writes = jest.fn();
+    afs.state.subscribe("items.visible", writes);
+
+    afs.filter.addFilter("category:fruit");
+
+    expect(writes).toHaveBeenCalledTimes(1);
+    expect(document.querySelector(".filter-counter").textContent).toBe(
+      "Showing 2 of 3 (1 filtered)"
+    );
+  });
+
+  test("custom stages take part and can be unregistered", () => {
+    const unregister = afs.pipeline.register(
+      "cheap",
+      (item) => parseFloat(item.dataset.price) < 50
+    );
+    afs.pipeline.apply();
+    expect(visibleTitles(afs)).toEqual(["Apple", "Carrot"]);
+
+    unregister();
+    afs.pipeline.apply();
+    expect(visibleTitles(afs)).toHaveLength(3);
+  });
+});
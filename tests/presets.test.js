@@ -0,0 +1,173 @@
+import { AFS } from "../src/AFS";
+import { MemoryStorageAdapter } from "../src/core/Storage";
+import { BASIC_DOM, BASIC_OPTIONS, cleanupEnv } from "./helpers";
+
+const PRESET_BUTTONS = `
+  <button data-afs-preset="Fruit only">Fruit only</button>
+  <button data-afs-preset="Missing">Missing</button>
+`;
+
+function createPresetAFS({ presets, ...overrides } = {}) {
+  document.body.innerHTML = BASIC_DOM.replace(
+    '<div class="filter-counter"></div>',
+    `<div class="filter-counter"></div>${PRESET_BUTTONS}`
+  );
+  return new AFS({
+    ...BASIC_OPTIONS,
+    presets: { enabled: true, ...presets },
+    ...overrides,
+  });
+}
+
+describe("AFS — Saved presets", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    afs = null;
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible)
+      .map((item) => item.dataset.title)
+      .sort();
+  const presetButton = (name) => document.querySelector(`[data-afs-preset="${name}"]`);
+
+  test("saves, applies, renames and deletes views", async () => {
+    afs = createPresetAFS();
+    const changed = jest.fn();
+    afs.on("presetsChanged", changed);
+
+    afs.filter.addFilter("category:fruit");
+    afs.sort.sort("title", "desc");
+    expect(await afs.presets.save("  Fruit only ")).toBe(true);
+    expect(changed).toHaveBeenLastCalledWith(
+      expect.objectContaining({ action: "save", name: "Fruit only" })
+    );
+
+    afs.filter.clearAllFilters();
+    afs.search.search("carrot");
+    expect(visibleTitles()).toEqual(["Carrot"]);
+
+    expect(await afs.presets.apply("Fruit only")).toBe(true);
+    expect(visibleTitles()).toEqual(["Apple"]);
+    expect(afs.search.getValue()).toBe("");
+    expect(afs.sort.getCurrentSort()).toEqual(
+      expect.objectContaining({ key: "title", direction: "desc" })
+    );
+
+    expect(await afs.presets.save("Everything")).toBe(true);
+    expect(await afs.presets.rename("Everything", "Fruit only")).toBe(false);
+    expect(await afs.presets.rename(" Everything ", "All")).toBe(true);
+    expect(afs.presets.list().map((preset) => preset.name)).toEqual(["Fruit only", "All"]);
+
+    expect(await afs.presets.delete(" All")).toBe(true);
+    expect(await afs.presets.delete("All")).toBe(false);
+    expect(await afs.presets.apply("All")).toBe(false);
+    expect(await afs.presets.save("  ")).toBe(false);
+  });
+
+  test("persists through the storage adapter", async () => {
+    const adapter = new MemoryStorageAdapter();
+    afs = createPresetAFS({ presets: { adapter } });
+
+    afs.filter.addFilter("category:vegetable");
+    await afs.presets.save("Veg");
+    afs.destroy();
+
+    afs = createPresetAFS({ presets: { adapter } });
+    await afs.presets.ready;
+    expect(afs.presets.has("Veg")).toBe(true);
+
+    await afs.presets.apply("Veg");
+    expect(visibleTitles()).toEqual(["Carrot"]);
+    expect((await adapter.get("afs_state:.filter-container_presets"))[0].name).toBe("Veg");
+  });
+
+  test("are off unless enabled, and then read nothing from storage", async () => {
+    const adapter = new MemoryStorageAdapter();
+    const get = jest.spyOn(adapter, "get");
+    afs = createPresetAFS({ presets: { enabled: false, adapter } });
+    const warn = jest.spyOn(afs.logger, "warn").mockImplementation(() => {});
+
+    expect(afs.presets.enabled).toBe(false);
+    expect(await afs.presets.save("Fruit only")).toBe(false);
+    expect(await afs.presets.import("[]")).toBe(0);
+    expect(warn).toHaveBeenCalledWith("Presets are disabled; set presets.enabled");
+    expect(get).not.toHaveBeenCalled();
+
+    presetButton("Fruit only").click();
+    await Promise.resolve();
+    expect(presetButton("Missing").classList.contains("afs-preset-missing")).toBe(false);
+  });
+
+  test("exports and imports JSON", async () => {
+    afs = createPresetAFS();
+    afs.search.search("app");
+    await afs.presets.save("Apples");
+    const json = afs.presets.export();
+
+    await afs.presets.import("[]", { replace: true });
+    expect(afs.presets.list()).toEqual([]);
+
+    expect(await afs.presets.import(json)).toBe(1);
+    await afs.presets.apply("Apples");
+    expect(afs.search.getValue()).toBe("app");
+
+    await expect(afs.presets.import("not json")).rejects.toThrow(SyntaxError);
+  });
+
+  test("preset buttons apply their preset and show whether it is active", async () => {
+    afs = createPresetAFS();
+    afs.filter.addFilter("category:fruit");
+    await afs.presets.save("Fruit only");
+    afs.filter.clearAllFilters();
+    await Promise.resolve();
+
+    const button = presetButton("Fruit only");
+    expect(button.classList.contains("active")).toBe(false);
+    expect(presetButton("Missing").classList.contains("afs-preset-missing")).toBe(true);
+
+    button.click();
+    await afs.presets.ready;
+    await Promise.resolve();
+    expect(visibleTitles()).toEqual(["Apple"]);
+    expect(button.classList.contains("active")).toBe(true);
+    expect(button.getAttribute("aria-pressed")).toBe("true");
+
+    afs.search.search("x");
+    await Promise.resolve();
+    expect(button.classList.contains("active")).toBe(false);
+  });
+
+  test("only binds buttons inside the container or presets.buttonContainer", async () => {
+    document.body.innerHTML = `
+      ${BASIC_DOM}
+      <div class="saved-views">${PRESET_BUTTONS}</div>
+    `;
+    afs = new AFS({ ...BASIC_OPTIONS, presets: { enabled: true } });
+    afs.filter.addFilter("category:fruit");
+    await afs.presets.save("Fruit only");
+    afs.filter.clearAllFilters();
+
+    presetButton("Fruit only").click();
+    await afs.presets.ready;
+    expect(visibleTitles()).toEqual(["Apple", "Carrot"]);
+    expect(presetButton("Missing").classList.contains("afs-preset-missing")).toBe(false);
+    afs.destroy();
+
+    afs = new AFS({
+      ...BASIC_OPTIONS,
+      presets: { enabled: true, buttonContainer: ".saved-views" },
+    });
+    await afs.presets.ready;
+    presetButton("Fruit only").click();
+    await afs.presets.ready;
+    expect(visibleTitles()).toEqual(["Apple"]);
+  });
+});
@@ -0,0 +1,146 @@
+import { AFS } from "../src/AFS";
+import { HeadlessAFS } from "../src/HeadlessAFS";
+import { parseSearchQuery } from "../src/core/SearchQuery";
+import { cleanupEnv } from "./helpers";
+
+const CARS = [
+  { title: "Ferrari SF90 carbon fiber edition", brand: "ferrari", year: 2020 },
+  { title: "Ferrari Portofino carbon fiber convertible", brand: "ferrari", year: 2018 },
+  { title: "Ferrari F40 carbon and fiber", brand: "ferrari", year: 1987 },
+  { title: "Porsche 911 carbon fiber", brand: "porsche", year: 2019 },
+  { title: "Aston Martin DB11", brand: "aston martin", year: 2017 },
+];
+
+function createCarAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      ${CARS.map(
+        ({ title, brand, year }) =>
+          `<div class="filter-item" data-title="${title}" data-brand="${brand}"
+                data-release-year="${year}">
+             <h3 data-search-key="title">${title}</h3>
+           </div>`
+      ).join("")}
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    ...overrides,
+  });
+}
+
+describe("parseSearchQuery", () => {
+  it("splits phrases, exclusions, fields and comparisons", () => {
+    expect(
+      parseSearchQuery('"carbon  fiber" -convertible brand:ferrari release-year:>=2015 -"soft top" gt')
+    ).toEqual({
+      terms: ["gt"],
+      phrases: ["carbon fiber"],
+      exclude: ["convertible", "soft top"],
+      fields: [
+        { key: "brand", operator: ":", value: "ferrari", negate: false, text: "brand:ferrari" },
+        { key: "releaseYear", operator: ">=", value: 2015, negate: false, text: "release-year:>=2015" },
+      ],
+      errors: [],
+    });
+    expect(parseSearchQuery('-brand:"aston martin"').fields).toEqual([
+      { key: "brand", operator: ":", value: "aston martin", negate: true, text: '-brand:"aston martin"' },
+    ]);
+  });
+
+  it("keeps malformed parts as plain text", () => {
+    const parsed = parseSearchQuery('"carbon fiber year:>new brand: 12:30 -');
+    expect(parsed.phrases).toEqual([]);
+    expect(parsed.fields).toEqual([]);
+    expect(parsed.terms).toEqual(["carbon", "fiber", "year:>new", "brand:", "12:30", "-"]);
+    expect(parsed.errors.map((error) => error.message)).toEqual([
+      "Unterminated quote",
+      '">" needs a number, found "new"',
+      'Missing value after "brand:"',
+    ]);
+    expect(parsed.errors[0].position).toBe(0);
+  });
+});
+
+describe("AFS — Search query syntax", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  it("combines phrases, exclusions, fields and comparisons", () => {
+    afs = createCarAFS();
+
+    afs.search.search('"carbon fiber" -convertible brand:ferrari release-year:>2015');
+    expect(visibleTitles()).toEqual(["Ferrari SF90 carbon fiber edition"]);
+
+    afs.search.search('-brand:ferrari release-year:<=2019');
+    expect(visibleTitles()).toEqual(["Porsche 911 carbon fiber", "Aston Martin DB11"]);
+
+    afs.search.search('brand:"aston martin"');
+    expect(visibleTitles()).toEqual(["Aston Martin DB11"]);
+  });
+
+  it("emits the parsed query and falls back to plain text", () => {
+    afs = createCarAFS();
+    const parsed = jest.fn();
+    afs.on("searchParsed", parsed);
+
+    afs.search.search('"Carbon Fiber');
+    expect(parsed).toHaveBeenCalledWith({
+      query: '"carbon fiber',
+      parsed: expect.objectContaining({
+        terms: ["carbon", "fiber"],
+        errors: [{ message: "Unterminated quote", position: 0 }],
+      }),
+    });
+    expect(visibleTitles()).toHaveLength(4);
+
+    // No item has data-engine, so it is searched as text
+    afs.search.search("engine:v8");
+    expect(afs.search.getParsedQuery()).toMatchObject({ terms: ["engine:v8"], fields: [] });
+    expect(visibleTitles()).toEqual([]);
+  });
+
+  it("highlights terms and phrases but not exclusions", () => {
+    afs = createCarAFS({ highlightMatches: true });
+
+    afs.search.search('"carbon fiber" -convertible 911');
+    const heading = afs.items[3].querySelector("h3");
+    expect(
+      Array.from(heading.querySelectorAll(".afs-highlight")).map((span) => span.textContent)
+    ).toEqual(["911", "carbon fiber"]);
+  });
+
+  it("searches the raw text with querySyntax off", () => {
+    afs = createCarAFS({ querySyntax: false });
+
+    afs.search.search("-brand:ferrari");
+    expect(visibleTitles()).toEqual([]);
+    expect(afs.search.getParsedQuery().fields).toEqual([]);
+  });
+
+  it("applies to headless searches", () => {
+    const engine = new HeadlessAFS(
+      CARS.map((car, id) => ({ id, ...car })),
+      { searchKeys: ["title"] }
+    );
+    const parsed = jest.fn();
+    engine.on("searchParsed", parsed);
+
+    expect(engine.search("carbon -convertible year:<2000").ids).toEqual([2]);
+    expect(parsed.mock.calls[0][0].parsed.fields).toHaveLength(1);
+    engine.destroy();
+  });
+});
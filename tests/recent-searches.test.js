@@ -0,0 +1,149 @@
+import { createBasicAFS, cleanupEnv } from "./helpers";
+
+describe("AFS — Recent searches", () => {
+  let afs;
+  let input;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    cleanupEnv();
+  });
+
+  const setup = (recentSearches = {}, overrides = {}) => {
+    afs = createBasicAFS({ recentSearches: { enabled: true, ...recentSearches }, ...overrides });
+    input = document.querySelector(".filter-search");
+  };
+
+  const searchFor = async (query) => {
+    afs.search.search(query);
+    await jest.runAllTimersAsync();
+  };
+
+  const options = () =>
+    Array.from(
+      document.getElementById(input.getAttribute("aria-controls")).querySelectorAll('[role="option"]')
+    );
+
+  test("remembers searches that found something, most recent first", async () => {
+    setup({ limit: 2 });
+
+    await searchFor("carrot");
+    await searchFor("banana"); // No results
+    await searchFor("apple");
+    expect(afs.search.getHistory()).toEqual(["apple", "carrot"]);
+
+    await searchFor("carrot");
+    expect(afs.search.getHistory()).toEqual(["carrot", "apple"]);
+
+    await searchFor("a"); // Shorter than minSearchLength
+    await searchFor("pp");
+    expect(afs.search.getHistory()).toEqual(["pp", "carrot"]);
+  });
+
+  test("a query replaces the one it extends", async () => {
+    setup();
+
+    await searchFor("ca");
+    await searchFor("car");
+    await searchFor("carr");
+    expect(afs.search.getHistory()).toEqual(["carr"]);
+  });
+
+  test("backspacing through a query keeps it", async () => {
+    setup();
+
+    for (const query of ["carrot", "carr", "ca", "ap", "apple"]) {
+      await searchFor(query);
+    }
+    expect(afs.search.getHistory()).toEqual(["apple", "carrot"]);
+  });
+
+  test("persists per instance through the storage adapter", async () => {
+    setup({}, { storage: { adapter: "session", key: "veg" } });
+    await searchFor("carrot");
+    expect(JSON.parse(sessionStorage.getItem("veg_searches")).queries).toEqual(["carrot"]);
+    afs.destroy();
+
+    setup({}, { storage: { adapter: "session", key: "veg" } });
+    await afs.search.recentSearches.ready;
+    expect(afs.search.getHistory()).toEqual(["carrot"]);
+    afs.destroy();
+
+    setup({ key: "other_searches" }, { storage: { adapter: "session", key: "veg" } });
+    await afs.search.recentSearches.ready;
+    expect(afs.search.getHistory()).toEqual([]);
+  });
+
+  test("offers recent searches while the input is focused and empty", async () => {
+    setup();
+    const selected = jest.fn();
+    afs.on("suggestionSelected", selected);
+
+    await searchFor("carrot");
+    await searchFor("apple");
+    afs.search.clearSearch();
+
+    input.focus();
+    expect(options().map((option) => option.textContent)).toEqual(["apple", "carrot"]);
+
+    // Autocomplete itself is off, so typing offers nothing
+    input.value = "c";
+    input.dispatchEvent(new Event("input"));
+    expect(options()).toHaveLength(0);
+
+    input.value = "";
+    input.dispatchEvent(new Event("input"));
+    options()[1].click();
+    expect(input.value).toBe("carrot");
+    expect(selected).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "recent", label: "carrot", count: null })
+    );
+  });
+
+  test("clearHistory forgets every query", async () => {
+    setup();
+    const changed = jest.fn();
+    afs.on("recentSearchesChanged", changed);
+
+    await searchFor("apple");
+    await afs.search.clearHistory();
+    expect(afs.search.getHistory()).toEqual([]);
+    expect(JSON.parse(sessionStorage.getItem("afs_state:.filter-container_searches")).queries).toEqual([]);
+    expect(changed).toHaveBeenLastCalledWith({ queries: [], recording: true });
+  });
+
+  test("the visitor can opt out, and the choice is stored", async () => {
+    setup();
+    await searchFor("apple");
+
+    await afs.search.setHistoryEnabled(false);
+    expect(afs.search.getHistory()).toEqual([]);
+    await searchFor("carrot");
+    expect(afs.search.getHistory()).toEqual([]);
+    afs.destroy();
+
+    setup();
+    await afs.search.recentSearches.ready;
+    expect(afs.search.recentSearches.isRecording()).toBe(false);
+
+    await afs.search.setHistoryEnabled(true);
+    await searchFor("carrot");
+    expect(afs.search.getHistory()).toEqual(["carrot"]);
+  });
+
+  test("is off unless enabled, and validates the limit", async () => {
+    afs = createBasicAFS();
+    afs.search.search("apple");
+    await jest.runAllTimersAsync();
+    expect(afs.search.getHistory()).toEqual([]);
+    expect(sessionStorage.getItem("afs_state:.filter-container_searches")).toBeNull();
+
+    expect(() => afs.options.set("recentSearches.limit", 0)).toThrow(
+      "recentSearches.limit must be a positive integer"
+    );
+  });
+});
@@ -0,0 +1,112 @@
+import { AFS } from "../src/AFS";
+import { HeadlessAFS } from "../src/HeadlessAFS";
+import { scoreRelevance } from "../src/core/Relevance";
+import { cleanupEnv } from "./helpers";
+
+const BOOKS = [
+  { title: "Cooking at home", description: "Recipes about pasta and pasta sauces" },
+  { title: "Pasta", description: "A short history" },
+  { title: "Italian kitchens", description: "Pasta shapes" },
+  { title: "Pastaferian", description: "Satire" },
+  { title: "Gardening", description: "Tomatoes" },
+];
+
+function createRelevanceAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      <button class="btn-sort" data-sort-key="relevance">Best match</button>
+      ${BOOKS.map(
+        ({ title, description }) =>
+          `<div class="filter-item" data-title="${title}" data-description="${description}"></div>`
+      ).join("")}
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    sortButtonSelector: ".btn-sort",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    searchKeys: [{ key: "title", weight: 3 }, "description"],
+    ...overrides,
+  });
+}
+
+describe("AFS — Relevance ranking", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(cleanupEnv);
+
+  const domOrder = () =>
+    Array.from(document.querySelectorAll(".filter-item"))
+      .filter((item) => !item.classList.contains("hidden"))
+      .map((item) => item.dataset.title);
+  const item = (title) => document.querySelector(`[data-title="${title}"]`);
+
+  test("whole words outrank prefixes and substrings, and repeats count", () => {
+    const score = (text) => scoreRelevance(["pasta"], [{ text, weight: 1 }]);
+
+    expect(score("pasta shapes")).toBeGreaterThan(score("pastaferian"));
+    expect(score("pastaferian")).toBeGreaterThan(score("antipasta"));
+    expect(score("pasta and pasta")).toBeGreaterThan(score("pasta"));
+    expect(score("gardening")).toBe(0);
+    expect(scoreRelevance(["pasta"], [{ text: "pasta", weight: 3 }])).toBe(3 * score("pasta"));
+  });
+
+  test("sorts by relevance while a query is active and re-ranks as it changes", () => {
+    afs = createRelevanceAFS();
+    afs.search.search("pasta");
+    expect(afs.search.getRelevance(item("Gardening"))).toBe(0);
+
+    afs.sort.sort("relevance");
+    expect(afs.sort.getCurrentSort()).toEqual({ key: "relevance", direction: "desc" });
+    // Title (weight 3) beats the description; a whole word beats a prefix;
+    // two description hits beat one
+    expect(domOrder()).toEqual([
+      "Pasta",
+      "Pastaferian",
+      "Cooking at home",
+      "Italian kitchens",
+    ]);
+
+    afs.search.search("italian");
+    expect(domOrder()).toEqual(["Italian kitchens"]);
+    expect(afs.sort.getCurrentSort().key).toBe("relevance");
+
+    afs.search.search("pasta");
+    expect(domOrder()[0]).toBe("Pasta");
+  });
+
+  test("the relevance sort button sorts most relevant first", () => {
+    afs = createRelevanceAFS();
+    afs.search.search("pasta");
+
+    document.querySelector(".btn-sort").click();
+    expect(afs.sort.getCurrentSort()).toEqual({ key: "relevance", direction: "desc" });
+    expect(domOrder()[0]).toBe("Pasta");
+  });
+
+  test("validates weighted searchKeys", () => {
+    afs = createRelevanceAFS();
+
+    expect(() => afs.options.set("searchKeys", [{ key: "title", weight: -1 }])).toThrow(
+      "searchKeys entries must be strings or { key, weight } objects"
+    );
+    expect(() => afs.options.set("searchKeys", [{ weight: 2 }])).toThrow();
+    expect(() => afs.options.set("searchKeys", ["title", { key: "description" }])).not.toThrow();
+  });
+
+  test("ranks headless results too", () => {
+    const engine = new HeadlessAFS(
+      BOOKS.map((book, id) => ({ id, ...book })),
+      { searchKeys: [{ key: "title", weight: 3 }, "description"] }
+    );
+
+    engine.sort("relevance");
+    expect(engine.search("pasta").ids).toEqual([1, 3, 0, 2]);
+  });
+});
@@ -1,3 +1,4 @@
+import { AFS } from "../src/AFS";
 import { State } from "../src/core/State";
 import { createBasicAFS, cleanupEnv } from "./helpers";
 
@@ -133,3 +134,167 @@ describe("State — subscription & encapsulated mutators", () => {
     expect(state.getState().items.visible.size).toBe(1);
   });
 });
+
+describe("AFS — Full snapshots", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = `
+      <div class="filter-container">
+        <button class="btn-filter" data-filter="*">All</button>
+        <input type="checkbox" class="btn-filter" data-filter="color:red">
+        <input type="checkbox" class="btn-filter" data-filter="color:blue">
+        <select class="dropdown-filter" data-filter-type="size">
+          <option value="">Any size</option>
+          <option value="size:small">Small</option>
+          <option value="size:large">Large</option>
+        </select>
+        <input class="filter-search" />
+        <button class="btn-sort" data-sort-key="price">Price</button>
+        <div class="filter-item" data-title="Apple" data-categories="color:red size:small" data-price="10" data-rating="4" data-date="2024-01-10"></div>
+        <div class="filter-item" data-title="Cherry" data-categories="color:red size:small" data-price="30" data-rating="5" data-date="2024-01-20"></div>
+        <div class="filter-item" data-title="Beet" data-categories="color:red size:large" data-price="20" data-rating="2" data-date="2024-01-15"></div>
+        <div class="filter-item" data-title="Berry" data-categories="color:blue size:small" data-price="40" data-rating="3" data-date="2024-01-25"></div>
+      </div>
+      <div id="price-slider"></div>
+      <div id="date-range"></div>
+      <div id="rating-range"></div>
+    `;
+    afs = new AFS({
+      containerSelector: ".filter-container",
+      itemSelector: ".filter-item",
+      filterButtonSelector: ".btn-filter",
+      filterDropdownSelector: ".dropdown-filter",
+      searchInputSelector: ".filter-search",
+      sortButtonSelector: ".btn-sort",
+      hiddenClass: "hidden",
+      animation: { duration: 0 },
+      debounceTime: 0,
+    });
+    afs.rangeFilter.addRangeSlider({
+      key: "price",
+      container: document.getElementById("price-slider"),
+      min: 0,
+      max: 50,
+    });
+    afs.dateFilter.addDateRange({
+      key: "date",
+      container: document.getElementById("date-range"),
+    });
+    afs.inputRangeFilter.addInputRange({
+      key: "rating",
+      container: document.getElementById("rating-range"),
+      min: 0,
+      max: 5,
+    });
+  });
+
+  afterEach(() => {
+    afs.destroy();
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible)
+      .map((item) => item.dataset.title)
+      .sort();
+  const domOrder = () =>
+    Array.from(document.querySelectorAll(".filter-item")).map(
+      (item) => item.dataset.title
+    );
+  const control = (filter) => document.querySelector(`[data-filter="${filter}"]`);
+
+  function applyEverything() {
+    control("color:red").click();
+    const size = document.querySelector(".dropdown-filter");
+    size.value = "size:small";
+    size.dispatchEvent(new Event("change"));
+    afs.filter.setFilterTypeLogic("color", { mode: "OR", multi: true });
+    afs.filter.addFilterGroup("cheap", ["color:red"], "AND");
+    afs.filter.setGroupMode("OR");
+    afs.filter.setExpression("price < 40");
+    afs.rangeFilter.setRangeValues("price", 5, 35);
+    afs.dateFilter.setDateRange("date", new Date(2024, 0, 5), new Date(2024, 0, 22));
+    afs.inputRangeFilter.setRange("rating", 4, 5);
+    afs.search.search("e");
+    afs.sort.sort("price", "desc");
+  }
+
+  test("captures every feature and survives JSON", () => {
+    applyEverything();
+    const snapshot = JSON.parse(JSON.stringify(afs.getState()));
+
+    expect(snapshot.filters.current).toEqual(
+      expect.arrayContaining(["color:red", "size:small"])
+    );
+    expect(snapshot.filters.groups).toEqual([
+      ["cheap", { filters: ["color:red"], operator: "AND" }],
+    ]);
+    expect(snapshot.filters.groupMode).toBe("OR");
+    expect(snapshot.filters.typeLogic).toEqual({
+      color: { mode: "OR", multi: true },
+    });
+    expect(snapshot.filters.expression).toBe("price < 40");
+    expect(snapshot.filters.ranges).toEqual([
+      ["price", expect.objectContaining({ currentMin: 5, currentMax: 35 })],
+    ]);
+    expect(snapshot.filters.dateRanges[0][0]).toBe("date");
+    expect(snapshot.filters.inputRanges).toEqual([
+      ["rating", expect.objectContaining({ currentMin: 4, currentMax: 5 })],
+    ]);
+    expect(snapshot.search.query).toBe("e");
+    expect(snapshot.sort.current).toEqual({ key: "price", direction: "desc" });
+  });
+
+  test("setState() restores the items and every control", () => {
+    applyEverything();
+    const snapshot = JSON.parse(JSON.stringify(afs.getState()));
+    const visible = visibleTitles();
+    expect(visible).toEqual(["Apple", "Cherry"]);
+
+    afs.filter.clearAllFilters();
+    afs.rangeFilter.setRangeValues("price", 0, 50);
+    afs.dateFilter.setDateRange("date", new Date(2024, 0, 1), new Date(2024, 11, 31));
+    afs.inputRangeFilter.setRange("rating", 0, 5);
+    afs.sort.sort("price", "asc");
+    expect(visibleTitles()).toHaveLength(4);
+
+    afs.setState(snapshot);
+
+    expect(visibleTitles()).toEqual(visible);
+    expect(afs.filter.getFilterGroups().get("cheap").operator).toBe("AND");
+    expect(afs.options.get("groupMode")).toBe("OR");
+    expect(afs.filter.getExpression()).toBe("price < 40");
+
+    // Controls
+    expect(control("color:red").checked).toBe(true);
+    expect(control("color:blue").checked).toBe(false);
+    expect(control("*").classList.contains("active")).toBe(false);
+    expect(document.querySelector(".dropdown-filter").value).toBe("size:small");
+    expect(document.querySelector(".filter-search").value).toBe("e");
+    expect(afs.rangeFilter.getRangeValues("price")).toMatchObject({ min: 5, max: 35 });
+    const [startInput, endInput] = document.querySelectorAll("#date-range input");
+    expect(startInput.value).toBe(new Date(2024, 0, 5).toISOString().split("T")[0]);
+    expect(endInput.value).toBe(new Date(2024, 0, 22).toISOString().split("T")[0]);
+    const [minInput, maxInput] = document.querySelectorAll("#rating-range input");
+    expect([minInput.value, maxInput.value]).toEqual(["4", "5"]);
+    expect(document.querySelector(".btn-sort").classList.contains("sort-active")).toBe(true);
+    expect(domOrder()).toEqual(["Berry", "Cherry", "Beet", "Apple"]);
+  });
+
+  test("setState() resets controls that the snapshot leaves inactive", () => {
+    const empty = afs.getState();
+    applyEverything();
+
+    afs.setState(empty);
+
+    expect(visibleTitles()).toHaveLength(4);
+    expect(control("*").classList.contains("active")).toBe(true);
+    expect(control("color:red").checked).toBe(false);
+    expect(document.querySelector(".dropdown-filter").value).toBe("");
+    expect(afs.rangeFilter.getRangeValues("price")).toMatchObject({ min: 0, max: 50 });
+    expect(afs.getState().filters.ranges).toEqual([]);
+    expect(afs.sort.getCurrentSort()).toBeNull();
+  });
+});
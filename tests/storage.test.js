@@ -0,0 +1,202 @@
+import {
+  createStorageAdapter,
+  IndexedDBStorageAdapter,
+  MemoryStorageAdapter,
+} from "../src/core/Storage";
+import { AFS } from "../src/AFS";
+import { createBasicAFS, cleanupEnv } from "./helpers";
+
+/**
+ * Just enough of IndexedDB for the adapter: one database holding Map-backed
+ * stores, with requests that succeed asynchronously like the real thing.
+ */
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const request = (run) => {
+    const req = {};
+    Promise.resolve().then(() => {
+      req.result = run();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+  const db = {
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (name) => ({
+      objectStore: () => {
+        const store = stores.get(name);
+        return {
+          get: (key) => request(() => store.get(key)),
+          put: (value, key) => request(() => store.set(key, value)),
+          delete: (key) => request(() => store.delete(key)),
+        };
+      },
+    }),
+  };
+  return {
+    stores,
+    open: () => {
+      const req = { result: db };
+      Promise.resolve().then(() => {
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+describe("AFS — Storage adapters", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    afs = null;
+    delete global.indexedDB;
+    cleanupEnv();
+  });
+
+  test("built-in adapters round-trip values asynchronously", async () => {
+    for (const name of ["local", "session", "memory"]) {
+      const adapter = createStorageAdapter(name);
+
+      await expect(adapter.get("k")).resolves.toBeUndefined();
+      await adapter.set("k", { filters: ["color:red"] });
+      await expect(adapter.get("k")).resolves.toEqual({ filters: ["color:red"] });
+      await adapter.remove("k");
+      await expect(adapter.get("k")).resolves.toBeUndefined();
+    }
+
+    expect(() => createStorageAdapter("cookies")).toThrow(
+      'Unknown storage adapter "cookies"'
+    );
+    expect(() => createStorageAdapter({ get() {} })).toThrow(
+      "Storage adapter must implement get, set and remove"
+    );
+  });
+
+  test("IndexedDB adapter stores values and fails cleanly when unavailable", async () => {
+    await expect(new IndexedDBStorageAdapter().get("k")).rejects.toThrow(
+      "IndexedDB is not available"
+    );
+
+    global.indexedDB = createFakeIndexedDB();
+    const adapter = new IndexedDBStorageAdapter({ store: "prefs" });
+
+    await adapter.set("k", { search: "apple" });
+    await expect(adapter.get("k")).resolves.toEqual({ search: "apple" });
+    expect(global.indexedDB.stores.get("prefs").has("k")).toBe(true);
+    await adapter.remove("k");
+    await expect(adapter.get("k")).resolves.toBeUndefined();
+  });
+
+  test("saves to the configured adapter under a per-instance key", async () => {
+    const adapter = new MemoryStorageAdapter();
+    afs = createBasicAFS({
+      preserveState: true,
+      storage: { adapter, key: "fruit_state" },
+    });
+    // Class instances are used as-is, not deep-merged into a copy
+    expect(afs.storage).toBe(adapter);
+
+    afs.filter.addFilter("category:fruit");
+    await afs.saveState();
+
+    const saved = await adapter.get("fruit_state");
+    expect(saved.filters.current).toEqual(["category:fruit"]);
+    await expect(adapter.get("afs_state:.filter-container")).resolves.toBeUndefined();
+  });
+
+  test("two instances with different keys do not clobber each other", async () => {
+    const first = createBasicAFS({
+      preserveState: true,
+      storage: { adapter: "local", key: "first" },
+    });
+    first.filter.addFilter("category:fruit");
+    await first.saveState();
+    first.destroy();
+
+    afs = createBasicAFS({
+      preserveState: true,
+      storage: { adapter: "local", key: "second" },
+    });
+    afs.filter.addFilter("category:vegetable");
+    await afs.saveState();
+    await Promise.resolve(); // let first.destroy() finish removing its key
+
+    expect(localStorage.getItem("first")).toBeNull();
+    expect(JSON.parse(localStorage.getItem("second")).filters.current).toEqual([
+      "category:vegetable",
+    ]);
+  });
+
+  test("instances on one page get their own default key", async () => {
+    document.body.innerHTML = ["list-a", "list-b"]
+      .map(
+        (name) => `
+          <div class="${name}">
+            <div class="filter-item" data-categories="category:fruit"></div>
+          </div>`
+      )
+      .join("");
+    const [first, second] = [".list-a", ".list-b"].map(
+      (containerSelector) =>
+        new AFS({ containerSelector, itemSelector: ".filter-item", preserveState: true })
+    );
+    expect(first.getStorageKey()).toBe("afs_state:.list-a");
+    expect(second.getStorageKey()).toBe("afs_state:.list-b");
+
+    first.filter.addFilter("category:fruit");
+    await first.saveState();
+    await second.saveState();
+
+    expect(JSON.parse(sessionStorage.getItem("afs_state:.list-a")).filters.current).toEqual([
+      "category:fruit",
+    ]);
+    expect(JSON.parse(sessionStorage.getItem("afs_state:.list-b")).filters.current).toEqual([
+      "*",
+    ]);
+    first.destroy();
+    second.destroy();
+  });
+
+  test("restores through the adapter and drops expired state from it", async () => {
+    afs = createBasicAFS({ preserveState: true, stateExpiry: 1000 });
+    const setState = jest.spyOn(afs, "setState").mockImplementation(() => {});
+
+    afs.filter.addFilter("category:fruit");
+    await afs.saveState();
+    expect(sessionStorage.getItem("afs_state:.filter-container")).not.toBeNull();
+
+    await afs.restoreState();
+    expect(setState.mock.calls[0][0].filters.current).toEqual(["category:fruit"]);
+
+    // Expired state is removed from the same storage it was read from
+    jest.setSystemTime(Date.now() + 2000);
+    setState.mockClear();
+    await afs.restoreState();
+    expect(setState).not.toHaveBeenCalled();
+    expect(sessionStorage.getItem("afs_state:.filter-container")).toBeNull();
+  });
+
+  test("logs storage failures instead of throwing", async () => {
+    const failing = {
+      get: () => Promise.reject(new Error("offline")),
+      set: () => {
+        throw new Error("quota");
+      },
+      remove: () => {},
+    };
+    afs = createBasicAFS({ preserveState: true, storage: { adapter: failing } });
+    const error = jest.spyOn(afs.logger, "error").mockImplementation(() => {});
+
+    await expect(afs.saveState()).resolves.toBeUndefined();
+    await expect(afs.restoreState()).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith("Error saving state:", expect.any(Error));
+    expect(error).toHaveBeenCalledWith("Error restoring state:", expect.any(Error));
+  });
+});
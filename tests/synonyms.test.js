@@ -0,0 +1,165 @@
+import { AFS } from "../src/AFS";
+import { HeadlessAFS } from "../src/HeadlessAFS";
+import { englishStemmer, stemText } from "../src/core/Stemmer";
+import { buildSynonymMap } from "../src/core/Synonyms";
+import { createFolder } from "../src/core/TextFolding";
+import { cleanupEnv } from "./helpers";
+
+const SHOES = ["White trainers", "Trail running shoes", "Run club tee", "Short shorts", "Leather boots"];
+
+function createShoeAFS(overrides = {}) {
+  document.body.innerHTML = `
+    <div class="filter-container">
+      ${SHOES.map(
+        (title) =>
+          `<div class="filter-item" data-title="${title}">
+             <h3 data-search-key="title">${title}</h3>
+           </div>`
+      ).join("")}
+    </div>
+  `;
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    ...overrides,
+  });
+}
+
+describe("englishStemmer", () => {
+  test.each([
+    ["running", "run"],
+    ["runs", "run"],
+    ["run", "run"],
+    ["sneakers", "sneaker"],
+    ["batteries", "battery"],
+    ["glasses", "glass"],
+    ["jumped", "jump"],
+    ["making", "mak"],
+    ["make", "mak"],
+    ["quickly", "quick"],
+    ["bus", "bus"],
+    ["naïve", "naïve"],
+  ])("%s -> %s", (word, stem) => {
+    expect(englishStemmer(word)).toBe(stem);
+  });
+
+  test("stemText stems each word", () => {
+    expect(stemText("trail-running shoes!", englishStemmer)).toBe("trail run sho");
+  });
+});
+
+describe("buildSynonymMap", () => {
+  test("links every entry of a group both ways, folded", () => {
+    const map = buildSynonymMap(
+      { Sneakers: ["trainers", "Running  shoes"], tee: ["T-shirt"] },
+      createFolder()
+    );
+    expect(map.get("sneakers")).toEqual(["trainers", "running shoes"]);
+    expect(map.get("trainers")).toEqual(["sneakers", "running shoes"]);
+    expect(map.get("t-shirt")).toEqual(["tee"]);
+  });
+});
+
+describe("AFS — Search synonyms and stemming", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    cleanupEnv();
+  });
+
+  const visibleTitles = () =>
+    Array.from(afs.state.getState().items.visible).map((item) => item.dataset.title);
+
+  test("synonyms match either way and are highlighted", () => {
+    afs = createShoeAFS({
+      synonyms: { sneakers: ["trainers", "running shoes"] },
+      highlightMatches: true,
+    });
+
+    afs.search.search("sneakers");
+    expect(visibleTitles()).toEqual(["White trainers", "Trail running shoes"]);
+    expect(afs.items[0].querySelector(".afs-highlight").textContent).toBe("trainers");
+
+    afs.search.search("white sneakers");
+    expect(visibleTitles()).toEqual(["White trainers"]);
+  });
+
+  test("follow synonyms changed through the options", () => {
+    afs = createShoeAFS();
+
+    afs.search.search("sneakers");
+    expect(visibleTitles()).toEqual([]);
+
+    afs.options.update({ synonyms: { sneakers: ["trainers"] } });
+    afs.search.search("sneakers");
+    expect(visibleTitles()).toEqual(["White trainers"]);
+  });
+
+  test("a stemmer matches other forms of a word", () => {
+    afs = createShoeAFS({ stemmer: "english" });
+
+    afs.search.search("running");
+    expect(visibleTitles()).toEqual(["Trail running shoes", "Run club tee"]);
+
+    // Stems match whole words
+    afs.search.search("shoes");
+    expect(visibleTitles()).toEqual(["Trail running shoes"]);
+
+    afs.search.updateConfig({ stemmer: (word) => word.replace(/s$/, "") });
+    afs.search.search("tees");
+    expect(visibleTitles()).toEqual(["Run club tee"]);
+
+    afs.search.updateConfig({ stemmer: null });
+    afs.search.search("running");
+    expect(visibleTitles()).toEqual(["Trail running shoes"]);
+  });
+
+  test("the search event lists the expansions", async () => {
+    afs = createShoeAFS({
+      synonyms: { sneakers: ["trainers"] },
+      stemmer: "english",
+    });
+    const onSearch = jest.fn();
+    afs.on("search", onSearch);
+
+    afs.search.search("sneakers club");
+    await jest.runAllTimersAsync();
+    expect(onSearch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        matches: 0,
+        expansions: [{ term: "sneakers", synonyms: ["trainers"], stem: "sneaker" }],
+      })
+    );
+
+    afs.search.search("tee");
+    await jest.runAllTimersAsync();
+    expect(onSearch).toHaveBeenLastCalledWith(expect.objectContaining({ matches: 1, expansions: [] }));
+  });
+
+  test("rejects malformed dictionaries", () => {
+    afs = createShoeAFS();
+    expect(() => afs.options.set("synonyms", { sneakers: "trainers" })).toThrow(
+      "synonyms must map words to arrays of strings"
+    );
+    expect(() => afs.options.set("stemmer", "porter")).toThrow(
+      'stemmer must be "english", a function or null'
+    );
+  });
+
+  test("applies to headless searches", () => {
+    const engine = new HeadlessAFS(
+      SHOES.map((title, id) => ({ id, title })),
+      { searchKeys: ["title"], synonyms: { sneakers: ["trainers"] }, stemmer: "english" }
+    );
+
+    expect(engine.search("sneakers").ids).toEqual([0]);
+    expect(engine.search("runs").ids).toEqual([1, 2]);
+    engine.destroy();
+  });
+});
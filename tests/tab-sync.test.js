@@ -0,0 +1,126 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+// Delivers to every other open channel of the same name, like the browser
+class FakeBroadcastChannel {
+  static open = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    this.sent = [];
+    FakeBroadcastChannel.open.add(this);
+  }
+
+  postMessage(data) {
+    this.sent.push(data);
+    const copy = JSON.parse(JSON.stringify(data));
+    FakeBroadcastChannel.open.forEach((channel) => {
+      if (channel !== this && channel.name === this.name) {
+        channel.onmessage?.({ data: copy });
+      }
+    });
+  }
+
+  close() {
+    FakeBroadcastChannel.open.delete(this);
+  }
+}
+
+const ITEMS = `
+  <div class="filter-item" data-categories="category:fruit" data-title="Apple"></div>
+  <div class="filter-item" data-categories="category:vegetable" data-title="Carrot"></div>
+`;
+
+function createTab(name, overrides = {}) {
+  document.body.insertAdjacentHTML(
+    "beforeend",
+    `<div class="${name}">${ITEMS}</div>`
+  );
+  return new AFS({
+    containerSelector: `.${name}`,
+    itemSelector: ".filter-item",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    syncTabs: true,
+    syncTabsKey: "products",
+    ...overrides,
+  });
+}
+
+describe("AFS — Cross-tab sync", () => {
+  let tabs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.BroadcastChannel = FakeBroadcastChannel;
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach((afs) => afs.destroy());
+    delete global.BroadcastChannel;
+    cleanupEnv();
+  });
+
+  const visibleTitles = (afs) =>
+    Array.from(afs.state.getState().items.visible)
+      .map((item) => item.dataset.title)
+      .sort();
+
+  test("mirrors filters, search and sort to instances with the same key", async () => {
+    const first = createTab("tab-a");
+    const second = createTab("tab-b");
+    tabs.push(first, second);
+    const synced = jest.fn();
+    second.on("stateSynced", synced);
+
+    first.filter.addFilter("category:fruit");
+    await Promise.resolve();
+    expect(visibleTitles(second)).toEqual(["Apple"]);
+    expect(synced).toHaveBeenCalledWith(
+      expect.objectContaining({
+        state: expect.objectContaining({
+          filters: expect.objectContaining({ current: ["category:fruit"] }),
+        }),
+      })
+    );
+
+    second.search.search("carrot");
+    second.filter.removeFilter("category:fruit");
+    second.sort.sort("title", "desc");
+    await Promise.resolve();
+    expect(visibleTitles(first)).toEqual(["Carrot"]);
+    expect(first.search.getValue()).toBe("carrot");
+    expect(first.sort.getCurrentSort()).toEqual(
+      expect.objectContaining({ key: "title", direction: "desc" })
+    );
+  });
+
+  test("does not echo a received state back", async () => {
+    const first = createTab("tab-a");
+    const second = createTab("tab-b");
+    tabs.push(first, second);
+
+    first.filter.addFilter("category:vegetable");
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(first.tabSync.channel.sent).toHaveLength(1);
+    expect(second.tabSync.channel.sent).toHaveLength(0);
+  });
+
+  test("only syncs instances that opted in with the same key", async () => {
+    const first = createTab("tab-a");
+    const other = createTab("tab-b", { syncTabsKey: "orders" });
+    const off = createTab("tab-c", { syncTabs: false });
+    tabs.push(first, other, off);
+
+    first.filter.addFilter("category:fruit");
+    await Promise.resolve();
+
+    expect(visibleTitles(other)).toEqual(["Apple", "Carrot"]);
+    expect(visibleTitles(off)).toEqual(["Apple", "Carrot"]);
+    expect(off.tabSync.channel).toBeNull();
+  });
+});
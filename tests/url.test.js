@@ -20,4 +20,23 @@ describe("AFS — URL management", () => {
     const urlParams = new URLSearchParams(window.location.search);
     expect(urlParams.get("category")).toBe("fruit");
   });
+
+  test("Should round-trip exclusion filters through the URL", () => {
+    filterInstance.filter.addFilter("category:fruit");
+    filterInstance.filter.addExclusion("category:vegetable");
+    filterInstance.urlManager.updateURL();
+
+    const urlParams = new URLSearchParams(window.location.search);
+    expect(urlParams.get("category")).toBe("fruit");
+    expect(urlParams.get("exclude_category")).toBe("vegetable");
+
+    // Resetting rewrites the URL, so restore the shared link before loading
+    const sharedURL = window.location.search;
+    filterInstance.filter.resetFilters();
+    window.history.replaceState({}, "", sharedURL);
+    filterInstance.urlManager.loadFromURL();
+    expect(filterInstance.filter.getActiveFilters()).toEqual(
+      new Set(["category:fruit", "!category:vegetable"])
+    );
+  });
 });
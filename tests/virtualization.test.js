@@ -0,0 +1,125 @@
+import { AFS } from "../src/AFS";
+import { cleanupEnv } from "./helpers";
+
+const ITEM_COUNT = 100;
+
+function createVirtualAFS(overrides = {}) {
+  const items = Array.from(
+    { length: ITEM_COUNT },
+    (_, i) => `<div class="filter-item" data-categories="parity:${i % 2 ? "odd" : "even"}"
+      data-title="Item ${i}" data-index="${i}"></div>`
+  ).join("");
+
+  document.body.innerHTML = `
+    <div class="filter-container">${items}</div>
+    <div class="pagination-container"></div>
+  `;
+
+  return new AFS({
+    containerSelector: ".filter-container",
+    itemSelector: ".filter-item",
+    hiddenClass: "hidden",
+    animation: { duration: 0 },
+    debounceTime: 0,
+    // jsdom viewport is 768px high: 8 rows of 100px plus 2 overscan rows
+    virtualization: { enabled: true, itemHeight: 100, overscan: 2 },
+    ...overrides,
+  });
+}
+
+const attachedIndexes = () =>
+  Array.from(document.querySelectorAll(".filter-container .filter-item")).map(
+    (item) => Number(item.dataset.index)
+  );
+
+describe("AFS — Virtualization", () => {
+  let afs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    afs?.destroy();
+    cleanupEnv();
+  });
+
+  test("attaches only the viewport window and sizes the spacers for the rest", () => {
+    afs = createVirtualAFS();
+
+    expect(attachedIndexes()).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const [top, bottom] = document.querySelectorAll(".afs-virtual-spacer");
+    expect(top.style.height).toBe("0px");
+    expect(bottom.style.height).toBe(`${(ITEM_COUNT - 10) * 100}px`);
+
+    // Every item is still tracked and counted
+    expect(afs.items).toHaveLength(ITEM_COUNT);
+    // ...and keeps the NodeList interface
+    expect(afs.items.item(0)).toBe(afs.items[0]);
+    expect(afs.items.item(ITEM_COUNT)).toBeNull();
+    expect(afs.state.getState().items.visible.size).toBe(ITEM_COUNT);
+  });
+
+  test("filters window only the matches", () => {
+    afs = createVirtualAFS();
+
+    afs.filter.addFilter("parity:odd");
+
+    expect(afs.state.getState().items.visible.size).toBe(ITEM_COUNT / 2);
+    expect(attachedIndexes()).toEqual([1, 3, 5, 7, 9, 11, 13, 15, 17, 19]);
+  });
+
+  test("scrolling moves the window", () => {
+    afs = createVirtualAFS();
+    const top = document.querySelector(".afs-virtual-spacer");
+    jest
+      .spyOn(top, "getBoundingClientRect")
+      .mockReturnValue({ top: -2000, bottom: 0, height: 0 });
+
+    window.dispatchEvent(new Event("scroll"));
+    jest.runAllTimers();
+
+    // Rows 20–27 are in view; overscan adds 18–19 and 28–29
+    expect(attachedIndexes()).toEqual([18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29]);
+    expect(top.style.height).toBe("1800px");
+  });
+
+  test("sorting reorders the window without attaching every item", () => {
+    afs = createVirtualAFS();
+
+    afs.sort.sort("index", "desc");
+
+    expect(attachedIndexes()).toEqual([99, 98, 97, 96, 95, 94, 93, 92, 91, 90]);
+    expect(afs.items[0].dataset.index).toBe("99");
+    expect(afs.items.item(0)).toBe(afs.items[0]);
+  });
+
+  test("pagination windows the current page slice", () => {
+    afs = createVirtualAFS({
+      pagination: {
+        enabled: true,
+        itemsPerPage: 5,
+        container: ".pagination-container",
+      },
+    });
+    jest.runAllTimers();
+    expect(attachedIndexes()).toEqual([0, 1, 2, 3, 4]);
+
+    afs.pagination.goToPage(3);
+    jest.runAllTimers();
+    expect(attachedIndexes()).toEqual([10, 11, 12, 13, 14]);
+  });
+
+  test("destroy re-attaches every item in order", () => {
+    afs = createVirtualAFS();
+    afs.sort.sort("index", "desc");
+
+    afs.destroy();
+    afs = null;
+
+    expect(document.querySelectorAll(".afs-virtual-spacer")).toHaveLength(0);
+    const indexes = attachedIndexes();
+    expect(indexes).toHaveLength(ITEM_COUNT);
+    expect(indexes[0]).toBe(99);
+  });
+});